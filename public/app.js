@@ -6,34 +6,164 @@ let currentDepartment = null;
 let currentSelectedCourse = null;
 let currentCourseData = null;
 let showOtherCourses = true;
+let completedCourseCodes = new Set(); // Courses imported from a transcript, shown in teal on the graph
+let currentProfile = null; // Saved profile loaded from /api/profiles
+let eligibilityOverlay = false; // Color every course by whether the student can take it
+let eligibilityStatuses = new Map(); // course code -> { status, missing } from /api/eligibility, for the current view
+let eligibilityTimer = null;
+let importedTranscriptInput = null; // completedCoursesInput text filled in by the last transcript import
+let departmentCodes = []; // Department codes, offered as "show department" search results
+let searchTimer = null;
+let activeSearchIndex = -1; // Search result highlighted with the arrow keys
+let restoringView = false; // True while applying a view from the URL, so it isn't pushed to history again
+let layoutMode = 'force'; // Graph layout: 'force', 'layered' (prerequisite ladder) or 'radial'
+let currentPath = null; // Prerequisite path on display: { from, to, paths, active, between, nodes, edges }
+let nodeSizeMetric = null; // Course analytics metric that sizes the nodes (null = uniform size)
+let courseAnalytics = null; // course code -> metrics from /api/analytics/courses, fetched when first needed
+let courseAnalyticsMax = {}; // Highest value of each metric in the catalog
+let currentSchedule = null; // Timetables on display: result of /api/schedule/solve plus the active option
+let catalogInfo = { subjectPattern: '[A-Z]{2,4}', numberPattern: '\\d{3}' }; // Course code format of the loaded catalog
 
 const API_BASE = CONFIG.API_BASE;
 
+// Week grid for timetables built from class schedule sections
+const SCHEDULE_DAYS = [['M', 'Mon'], ['T', 'Tue'], ['W', 'Wed'], ['R', 'Thu'], ['F', 'Fri'], ['S', 'Sat'], ['U', 'Sun']];
+const SCHEDULE_COLORS = ['#2196F3', '#4CAF50', '#9C27B0', '#FF9800', '#00897B', '#e84a27', '#795548', '#607D8B'];
+const SCHEDULE_PX_PER_MINUTE = 0.8;
+
 const nodes = new vis.DataSet();
 const edges = new vis.DataSet();
 
 async function init() {
+    await loadCatalogInfo();
     await loadDepartments();
+    await loadProfiles();
+    await loadScheduleTerms();
     await loadGraphData();
     initNetwork();
-    populateSearchDropdowns();
     setupEventListeners();
     updateStats();
+
+    // Open the view encoded in a shared link, and follow back/forward through earlier views
+    await restoreViewFromURL();
+    window.addEventListener('popstate', restoreViewFromURL);
+
     await loadNoPrerequisiteCourses();
 }
 
+function getViewParams() {
+    // Only non-default settings go in the URL, e.g. ?course=CS+374&others=hidden&layout=layered
+    const params = new URLSearchParams();
+    if (currentDepartment) params.set('dept', currentDepartment);
+    if (currentSelectedCourse) params.set('course', currentSelectedCourse);
+    if (currentSelectedCourse && !showOtherCourses) params.set('others', 'hidden');
+    if (currentSelectedCourse && currentPath) params.set('from', currentPath.from);
+    if (layoutMode !== 'force') params.set('layout', layoutMode);
+    if (nodeSizeMetric) params.set('size', nodeSizeMetric);
+
+    const completed = document.getElementById('completedCoursesInput').value.trim();
+    if (completed) params.set('completed', completed);
+    if (completed && completed === importedTranscriptInput) params.set('transcript', '1');
+    if (currentProfile) params.set('profile', currentProfile.id);
+    if (eligibilityOverlay) params.set('eligibility', '1');
+    return params;
+}
+
+function updateURL({ replace = false } = {}) {
+    // A new selection adds a history entry; tweaks to the current view replace it
+    if (restoringView) return;
+
+    const query = getViewParams().toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+    if (url === `${window.location.pathname}${window.location.search}`) return;
+
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+async function restoreViewFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    restoringView = true;
+
+    try {
+        if (currentProfile && !params.get('profile')) clearProfile();
+
+        const completed = params.get('completed') || '';
+        document.getElementById('completedCoursesInput').value = completed;
+
+        // Courses from an imported transcript are marked on the graph and suggested in transcript mode
+        if (params.get('transcript') && completed) {
+            importedTranscriptInput = completed;
+            completedCourseCodes = new Set(completed.split(',').map(c => c.trim().toUpperCase()).filter(c => c));
+        } else {
+            importedTranscriptInput = null;
+            completedCourseCodes = new Set();
+        }
+        allNodes = allNodes.map(node => ({ ...node, color: getBaseNodeColor(node.id) }));
+
+        // A saved profile fills in its own completed courses (and turns on the overlay)
+        if (params.get('profile')) {
+            await applyProfile(params.get('profile'));
+        } else if (Boolean(params.get('eligibility')) !== eligibilityOverlay) {
+            await setEligibilityOverlay(Boolean(params.get('eligibility')));
+        } else {
+            await updateEligibility();
+        }
+
+        const layout = ['layered', 'radial'].includes(params.get('layout')) ? params.get('layout') : 'force';
+        if (layout !== layoutMode) {
+            layoutMode = layout;
+            network.setOptions(getLayoutOptions(layout));
+        }
+        document.getElementById('layoutSelect').value = layout;
+
+        const sizeMetric = NODE_SIZE_METRICS[params.get('size')] ? params.get('size') : null;
+        if (sizeMetric) await loadCourseAnalytics();
+        nodeSizeMetric = sizeMetric;
+        document.getElementById('nodeSizeSelect').value = sizeMetric || '';
+
+        const course = params.get('course');
+        const dept = params.get('dept');
+        if (course && params.get('from')) {
+            await showPrerequisitePath(params.get('from').toUpperCase(), course.toUpperCase());
+            if (params.get('others') === 'hidden' && currentSelectedCourse) {
+                setShowOtherCourses(false);
+            }
+        } else if (course) {
+            await focusOnCourse(course.toUpperCase());
+            if (params.get('others') === 'hidden' && currentSelectedCourse) {
+                setShowOtherCourses(false);
+            }
+        } else if (dept || currentDepartment) {
+            // Going back from a course to a department (or to the overview) reloads that graph
+            await showDepartment(dept ? dept.toUpperCase() : null);
+        } else {
+            resetHighlight();
+        }
+    } finally {
+        restoringView = false;
+    }
+}
+
+async function loadCatalogInfo() {
+    try {
+        const response = await fetch(`${API_BASE}/catalog`);
+        catalogInfo = await response.json();
+        if (catalogInfo.institution) {
+            document.querySelector('header h1').textContent = `${catalogInfo.institution} Course Graph Network`;
+        }
+    } catch (error) {
+        console.error('Error loading catalog info:', error);
+    }
+}
+
 async function loadDepartments() {
     try {
         const response = await fetch(`${API_BASE}/departments`);
-        const departments = await response.json();
-
-        const deptFilterSelect = document.getElementById('deptFilterSelect');
-        departments.forEach(dept => {
-            const option = document.createElement('option');
-            option.value = dept;
-            option.textContent = dept;
-            deptFilterSelect.appendChild(option);
-        });
+        departmentCodes = await response.json();
     } catch (error) {
         console.error('Error loading departments:', error);
     }
@@ -48,41 +178,16 @@ async function loadGraphData(department = null) {
         const data = await response.json();
 
         currentDepartment = department;
+        if (eligibilityOverlay) await fetchEligibility(data.nodes.map(node => node.id));
 
-        allNodes = data.nodes.map(node => ({
-            id: node.id,
-            label: node.id,
-            title: `${node.id}: ${node.name}`,
-            color: {
-                background: '#13294b',
-                border: '#0d1d33',
-                highlight: {
-                    background: '#e84a27',
-                    border: '#c23d1f'
-                }
-            },
-            font: { color: '#ffffff', size: 12 },
-            data: node
-        }));
-
-        allEdges = data.edges.map((edge, index) => ({
-            id: index,
-            from: edge.from,
-            to: edge.to,
-            arrows: 'to',
-            color: {
-                color: edge.type === 'prerequisite' ? '#666666' : '#4CAF50',
-                highlight: '#e84a27'
-            },
-            width: edge.type === 'prerequisite' ? 1 : 2,
-            dashes: edge.type === 'corequisite',
-            title: edge.type
-        }));
+        allNodes = data.nodes.map(createVisNode);
+        allEdges = data.edges.map(createVisEdge);
 
         nodes.clear();
         edges.clear();
         nodes.add(allNodes);
         edges.add(allEdges);
+        applyRadialLayout();
 
         const coursesResponse = await fetch(`${API_BASE}/graph`);
         const coursesGraphData = await coursesResponse.json();
@@ -93,28 +198,139 @@ async function loadGraphData(department = null) {
     }
 }
 
+function createVisNode(node) {
+    return {
+        id: node.id,
+        label: node.id,
+        title: getNodeTitle(node),
+        color: getBaseNodeColor(node.id),
+        size: getNodeSize(node.id),
+        font: { color: '#ffffff', size: 12 },
+        level: node.prerequisiteDepth || 0, // Row in the layered layout
+        data: node
+    };
+}
+
+function createVisEdge(edge, id) {
+    return {
+        id,
+        from: edge.from,
+        to: edge.to,
+        arrows: 'to',
+        color: {
+            color: edge.type === 'prerequisite' ? '#666666' : '#4CAF50',
+            highlight: '#e84a27'
+        },
+        width: edge.type === 'prerequisite' ? 1 : 2,
+        dashes: edge.type === 'corequisite',
+        title: edge.type
+    };
+}
+
+function getBaseNodeColor(courseCode) {
+    const highlight = {
+        background: '#e84a27',
+        border: '#c23d1f'
+    };
+
+    // The eligibility overlay colors every course by what the student can take
+    if (eligibilityOverlay && eligibilityStatuses.has(courseCode)) {
+        return { ...ELIGIBILITY_STYLES[eligibilityStatuses.get(courseCode).status], highlight };
+    }
+
+    // Completed courses from an imported transcript stand out in teal
+    const completed = completedCourseCodes.has(courseCode);
+    return {
+        background: completed ? '#00897B' : '#13294b',
+        border: completed ? '#00695C' : '#0d1d33',
+        highlight: {
+            background: '#e84a27',
+            border: '#c23d1f'
+        }
+    };
+}
+
+// Eligibility overlay colors, by status from /api/eligibility
+const ELIGIBILITY_STYLES = {
+    completed: { background: '#00897B', border: '#00695C', label: 'Completed' },
+    eligible: { background: '#43A047', border: '#2E7D32', label: 'Eligible now' },
+    concurrent: { background: '#9CCC65', border: '#7CB342', label: 'Eligible with concurrent registration' },
+    'one-away': { background: '#FFCA28', border: '#FFA000', label: 'One course away' },
+    locked: { background: '#78909C', border: '#546E7A', label: 'Locked' }
+};
+
+// Metrics offered for node sizing, with the label shown in tooltips
+const NODE_SIZE_METRICS = {
+    transitiveDependents: 'Downstream courses',
+    betweenness: 'Betweenness',
+    longestChain: 'Longest chain',
+    pageRank: 'PageRank'
+};
+
+async function loadCourseAnalytics() {
+    if (courseAnalytics) return;
+    try {
+        const response = await fetch(`${API_BASE}/analytics/courses?limit=all`);
+        const courses = await response.json();
+        courseAnalytics = new Map(courses.map(course => [course.code, course]));
+        Object.keys(NODE_SIZE_METRICS).forEach(metric => {
+            courseAnalyticsMax[metric] = Math.max(0, ...courses.map(course => course[metric]));
+        });
+    } catch (error) {
+        console.error('Error loading course analytics:', error);
+    }
+}
+
+function getNodeSize(courseCode) {
+    // Area grows with the metric, relative to the highest value in the catalog
+    if (!nodeSizeMetric || !courseAnalytics || !courseAnalytics.has(courseCode)) return 15;
+
+    const max = courseAnalyticsMax[nodeSizeMetric];
+    const value = courseAnalytics.get(courseCode)[nodeSizeMetric];
+    return max > 0 ? 8 + 32 * Math.sqrt(value / max) : 15;
+}
+
+function getNodeTitle(node) {
+    let title = `${node.id}: ${node.name}`;
+    if (node.offeredTerms) {
+        title += `\n${node.offeredTerms.length > 0 ? `Offered ${node.offeredTerms.join(', ')}` : 'Not scheduled'}`;
+    }
+    if (eligibilityOverlay && eligibilityStatuses.has(node.id)) {
+        const { status, missing } = eligibilityStatuses.get(node.id);
+        title += `\n${ELIGIBILITY_STYLES[status].label}${missing.length > 0 ? ` (needs ${missing.join(', ')})` : ''}`;
+    }
+    if (!nodeSizeMetric || !courseAnalytics || !courseAnalytics.has(node.id)) return title;
+    return `${title}\n${NODE_SIZE_METRICS[nodeSizeMetric]}: ${courseAnalytics.get(node.id)[nodeSizeMetric]}`;
+}
+
+async function setNodeSizeMetric(metric) {
+    if (metric) await loadCourseAnalytics();
+    nodeSizeMetric = metric || null;
+
+    allNodes = allNodes.map(node => ({
+        ...node,
+        size: getNodeSize(node.id),
+        title: getNodeTitle(node.data)
+    }));
+
+    if (currentSelectedCourse && currentCourseData) {
+        highlightCourseWithDependencies(currentSelectedCourse, currentCourseData);
+    } else {
+        nodes.clear();
+        edges.clear();
+        nodes.add(allNodes);
+        edges.add(allEdges);
+        applyRadialLayout();
+    }
+    updateURL({ replace: true });
+}
+
 function initNetwork() {
     const container = document.getElementById('network');
     const data = { nodes, edges };
 
     const options = {
-        layout: {
-            improvedLayout: true,
-            hierarchical: {
-                enabled: false
-            }
-        },
-        physics: {
-            enabled: true,
-            barnesHut: {
-                gravitationalConstant: -8000,
-                springConstant: 0.04,
-                springLength: 95
-            },
-            stabilization: {
-                iterations: 200
-            }
-        },
+        ...getLayoutOptions(layoutMode),
         interaction: {
             hover: true,
             navigationButtons: true,
@@ -138,69 +354,269 @@ function initNetwork() {
     });
 }
 
-function populateSearchDropdowns() {
-    const courseNumbers = new Set();
+function getLayoutOptions(mode) {
+    if (mode === 'layered') {
+        // Prerequisite ladder: one row per prerequisite depth, entry-level courses at the top
+        return {
+            layout: {
+                improvedLayout: true,
+                hierarchical: {
+                    enabled: true,
+                    direction: 'UD',
+                    levelSeparation: 120,
+                    nodeSpacing: 90
+                }
+            },
+            physics: {
+                enabled: true,
+                solver: 'hierarchicalRepulsion',
+                hierarchicalRepulsion: {
+                    nodeDistance: 100
+                },
+                stabilization: {
+                    iterations: 200
+                }
+            }
+        };
+    }
+
+    if (mode === 'radial') {
+        // Positions are set by applyRadialLayout, so physics stays off
+        return {
+            layout: {
+                improvedLayout: true,
+                hierarchical: {
+                    enabled: false
+                }
+            },
+            physics: {
+                enabled: false
+            }
+        };
+    }
 
-    // Extract course numbers from currently loaded nodes
-    allNodes.forEach(node => {
-        const parts = node.id.split(' ');
-        if (parts.length === 2) {
-            const [dept, num] = parts;
-            // Only add if it matches the current department filter
-            if (currentDepartment && dept === currentDepartment) {
-                courseNumbers.add(num);
+    return {
+        layout: {
+            improvedLayout: true,
+            hierarchical: {
+                enabled: false
+            }
+        },
+        physics: {
+            enabled: true,
+            solver: 'barnesHut',
+            barnesHut: {
+                gravitationalConstant: -8000,
+                springConstant: 0.04,
+                springLength: 95
+            },
+            stabilization: {
+                iterations: 200
             }
         }
+    };
+}
+
+function setLayoutMode(mode) {
+    layoutMode = mode;
+    network.setOptions(getLayoutOptions(mode));
+    applyRadialLayout();
+    updateURL({ replace: true });
+
+    if (currentSelectedCourse) {
+        focusSelectedCourse(currentSelectedCourse);
+    } else if (mode === 'radial') {
+        network.fit();
+    } else {
+        network.stabilize();
+    }
+}
+
+function applyRadialLayout() {
+    // Rings around the selected course (or the most connected course) by number of hops
+    if (layoutMode !== 'radial' || nodes.length === 0) return;
+
+    const neighbors = new Map(nodes.getIds().map(id => [id, []]));
+    edges.forEach(edge => {
+        if (!neighbors.has(edge.from) || !neighbors.has(edge.to)) return;
+        neighbors.get(edge.from).push(edge.to);
+        neighbors.get(edge.to).push(edge.from);
     });
 
-    const numSelect = document.getElementById('courseNumSelect');
+    let center = currentSelectedCourse;
+    if (!neighbors.has(center)) {
+        center = [...neighbors.keys()].reduce((best, id) =>
+            neighbors.get(id).length > neighbors.get(best).length ? id : best);
+    }
 
-    if (currentDepartment && courseNumbers.size > 0) {
-        // Populate with course numbers from the selected department
-        numSelect.innerHTML = '<option value="">Select Course Number</option>';
-        const sortedNumbers = Array.from(courseNumbers).sort((a, b) => {
-            // Sort numerically
-            return parseInt(a) - parseInt(b);
+    // Breadth-first search gives each course its ring; unreachable courses go on the outer ring
+    const rings = [[center]];
+    const seen = new Set([center]);
+    while (rings[rings.length - 1].length > 0) {
+        const next = [];
+        rings[rings.length - 1].forEach(id => {
+            neighbors.get(id).forEach(neighbor => {
+                if (!seen.has(neighbor)) {
+                    seen.add(neighbor);
+                    next.push(neighbor);
+                }
+            });
         });
-        sortedNumbers.forEach(num => {
-            const option = document.createElement('option');
-            option.value = num;
-            option.textContent = num;
-            numSelect.appendChild(option);
+        rings.push(next);
+    }
+    rings.pop();
+    const unreachable = nodes.getIds().filter(id => !seen.has(id));
+    if (unreachable.length > 0) rings.push(unreachable);
+
+    const ringSpacing = 180;
+    const positions = [];
+    rings.forEach((ring, distance) => {
+        // Crowded rings grow so nodes don't overlap
+        const radius = distance === 0 ? 0 : Math.max(distance * ringSpacing, (ring.length * 40) / (2 * Math.PI));
+        ring.forEach((id, i) => {
+            const angle = (2 * Math.PI * i) / ring.length;
+            positions.push({ id, x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
         });
+    });
+    nodes.update(positions);
+}
+
+function focusSelectedCourse(courseCode) {
+    const focus = () => network.focus(courseCode, {
+        scale: 1.2,
+        animation: {
+            duration: 1000,
+            easingFunction: 'easeInOutQuad'
+        }
+    });
+
+    // The radial layout is placed directly; the others settle through physics first
+    if (layoutMode === 'radial') {
+        focus();
+        return;
+    }
+
+    // Wait for network to stabilize before focusing
+    // This ensures the node positions are calculated
+    network.once('stabilized', focus);
+
+    // Trigger stabilization if it's not already running
+    network.stabilize();
+}
+
+async function searchCourses(query) {
+    const resultsDiv = document.getElementById('searchResults');
+    activeSearchIndex = -1;
+
+    if (query.length < 2) {
+        closeSearchResults();
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/search?q=${encodeURIComponent(query)}&limit=10`);
+        const data = await response.json();
+
+        // Ignore responses for text the user has already changed
+        if (document.getElementById('courseSearchInput').value.trim() !== query) return;
+
+        let html = '';
+
+        // Typing a department code also offers the whole department's graph
+        const dept = query.toUpperCase();
+        if (departmentCodes.includes(dept)) {
+            html += `<div class="search-result department-result" data-department="${dept}">
+                <span class="result-code">${dept}</span> <span class="result-name">Show all ${dept} courses</span>
+            </div>`;
+        }
+
+        html += data.results.map(result => `
+            <div class="search-result" data-code="${result.code}">
+                <span class="result-code">${result.code}</span> <span class="result-name">${result.name}</span>
+            </div>
+        `).join('');
+
+        if (!html) {
+            html = '<div class="search-result" style="cursor: default; color: #999;">No matching courses</div>';
+        }
+
+        resultsDiv.innerHTML = html;
+        resultsDiv.classList.add('open');
+    } catch (error) {
+        console.error('Error searching courses:', error);
+    }
+}
+
+function closeSearchResults() {
+    const resultsDiv = document.getElementById('searchResults');
+    resultsDiv.classList.remove('open');
+    resultsDiv.innerHTML = '';
+    activeSearchIndex = -1;
+}
+
+async function selectSearchResult(resultElement) {
+    if (!resultElement) return;
+    const { code, department } = resultElement.dataset;
+    if (!code && !department) return;
+
+    closeSearchResults();
+    document.getElementById('courseSearchInput').value = code || department;
+
+    if (department) {
+        // Picking a department is a new view, so Back returns to the previous one
+        await showDepartment(department);
+        updateURL();
     } else {
-        // No department selected
-        numSelect.innerHTML = '<option value="">Select a department first</option>';
+        await focusOnCourse(code);
     }
 }
 
-function setupEventListeners() {
-    document.getElementById('filterBtn').addEventListener('click', async () => {
-        const dept = document.getElementById('deptFilterSelect').value;
-        await loadGraphData(dept || null);
-        nodes.clear();
-        edges.clear();
-        nodes.add(allNodes);
-        edges.add(allEdges);
-        populateSearchDropdowns();
-        network.fit({
-            animation: {
-                duration: 500,
-                easingFunction: 'easeInOutQuad'
-            },
-            maxZoomLevel: 0.5  // Limit zoom to prevent too close view
-        });
+async function showDepartment(dept) {
+    await loadGraphData(dept);
+    resetHighlight();
+    network.fit({
+        animation: {
+            duration: 500,
+            easingFunction: 'easeInOutQuad'
+        },
+        maxZoomLevel: 0.5  // Limit zoom to prevent too close view
     });
+}
 
-    document.getElementById('searchBtn').addEventListener('click', () => {
-        const num = document.getElementById('courseNumSelect').value;
+function setupEventListeners() {
+    // Search as you type, waiting for a short pause between keystrokes
+    const searchInput = document.getElementById('courseSearchInput');
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => searchCourses(searchInput.value.trim()), 150);
+    });
 
-        if (currentDepartment && num) {
-            const courseCode = `${currentDepartment} ${num}`;
-            focusOnCourse(courseCode);
+    searchInput.addEventListener('keydown', (event) => {
+        const results = document.querySelectorAll('#searchResults .search-result[data-code], #searchResults .search-result[data-department]');
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (results.length === 0) return;
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            activeSearchIndex = (activeSearchIndex + step + results.length) % results.length;
+            results.forEach((result, i) => result.classList.toggle('active', i === activeSearchIndex));
+        } else if (event.key === 'Enter') {
+            // Enter picks the highlighted result, or the best match
+            selectSearchResult(results[activeSearchIndex] || results[0]);
+        } else if (event.key === 'Escape') {
+            closeSearchResults();
         }
     });
 
+    document.getElementById('searchResults').addEventListener('click', (event) => {
+        selectSearchResult(event.target.closest('.search-result'));
+    });
+
+    // Close the results when clicking anywhere else
+    document.addEventListener('click', (event) => {
+        if (!event.target.closest('.course-search')) closeSearchResults();
+    });
+
     document.getElementById('resetBtn').addEventListener('click', () => {
         resetHighlight();
         network.fit({
@@ -213,13 +629,7 @@ function setupEventListeners() {
     });
 
     document.getElementById('toggleOtherCoursesBtn').addEventListener('click', () => {
-        showOtherCourses = !showOtherCourses;
-        const btn = document.getElementById('toggleOtherCoursesBtn');
-        btn.textContent = showOtherCourses ? 'Hide Other Courses' : 'Show Other Courses';
-
-        if (currentSelectedCourse && currentCourseData) {
-            highlightCourseWithDependencies(currentSelectedCourse, currentCourseData);
-        }
+        setShowOtherCourses(!showOtherCourses);
     });
 
     document.getElementById('suggestCoursesBtn').addEventListener('click', async () => {
@@ -248,11 +658,349 @@ function setupEventListeners() {
             orGroups = null;
         }
 
-        await showCourseSuggestions(completedCourses, orGroups);
+        // An imported transcript lists everything completed, not courses to require ALL of
+        const mode = input === importedTranscriptInput ? 'transcript' : null;
+        updateURL({ replace: true });
+        await showCourseSuggestions(completedCourses, orGroups, mode);
+    });
+
+    document.getElementById('importTranscriptBtn').addEventListener('click', showTranscriptImport);
+
+    document.getElementById('profileSelect').addEventListener('change', (event) => {
+        if (event.target.value) {
+            applyProfile(event.target.value);
+        } else {
+            clearProfile();
+        }
+    });
+
+    document.getElementById('saveProfileBtn').addEventListener('click', saveProfile);
+
+    document.getElementById('eligibilityBtn').addEventListener('click', () => {
+        setEligibilityOverlay(!eligibilityOverlay);
+    });
+
+    // The overlay follows the Completed Courses box as the student types
+    document.getElementById('completedCoursesInput').addEventListener('input', () => {
+        if (!eligibilityOverlay) return;
+        clearTimeout(eligibilityTimer);
+        eligibilityTimer = setTimeout(() => {
+            updateEligibility();
+            updateURL({ replace: true });
+        }, 300);
+    });
+
+    document.getElementById('findPathBtn').addEventListener('click', () => {
+        const from = document.getElementById('pathFromInput').value.trim().toUpperCase();
+        // Without a destination, find the path to the selected course
+        const to = document.getElementById('pathToInput').value.trim().toUpperCase() || currentSelectedCourse;
+        if (!from || !to) {
+            alert('Please enter the course to start from and the course to reach');
+            return;
+        }
+        showPrerequisitePath(from, to);
+    });
+
+    document.getElementById('buildScheduleBtn').addEventListener('click', buildSchedule);
+
+    document.getElementById('layoutSelect').addEventListener('change', (event) => {
+        setLayoutMode(event.target.value);
+    });
+
+    document.getElementById('nodeSizeSelect').addEventListener('change', (event) => {
+        setNodeSizeMetric(event.target.value);
+    });
+}
+
+function showTranscriptImport() {
+    const infoDiv = document.getElementById('courseInfo');
+    infoDiv.innerHTML = `
+        <h3>Import Transcript</h3>
+        <p style="font-size: 0.9em; color: #666;">
+            Upload a CSV (term, code, title, grade, hours) or paste the text of your unofficial transcript.
+            Failed, withdrawn and unfinished courses are left out.
+        </p>
+        <input type="file" id="transcriptFile" accept=".csv,.txt,text/csv,text/plain" style="margin: 10px 0;">
+        <textarea id="transcriptText" rows="10" style="width: 100%; font-family: monospace; font-size: 0.85em;"
+            placeholder="Fall 2023&#10;CS 124    Intro to Computer Science I    A    3.00&#10;MATH 221  Calculus I                     B+   4.00"></textarea>
+        <button id="transcriptSubmitBtn" style="margin-top: 10px;">Import</button>
+    `;
+
+    // Load an uploaded file into the text box so it can be checked before importing
+    document.getElementById('transcriptFile').addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('transcriptText').value = reader.result;
+        };
+        reader.readAsText(file);
     });
+
+    document.getElementById('transcriptSubmitBtn').addEventListener('click', importTranscript);
+}
+
+async function importTranscript() {
+    const text = document.getElementById('transcriptText').value;
+    if (!text.trim()) {
+        alert('Please upload or paste a transcript');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/transcript`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ text })
+        });
+        const transcript = await response.json();
+        if (!response.ok) {
+            alert(transcript.error);
+            return;
+        }
+
+        // Use the imported courses as the completed-course input and mark them on the graph
+        // (they replace a loaded profile; "Save Profile" keeps them as a new one)
+        if (currentProfile) clearProfile();
+        importedTranscriptInput = transcript.completedCourses.join(', ');
+        document.getElementById('completedCoursesInput').value = importedTranscriptInput;
+        completedCourseCodes = new Set(transcript.completedCourses);
+        allNodes = allNodes.map(node => ({ ...node, color: getBaseNodeColor(node.id) }));
+        nodes.clear();
+        edges.clear();
+        nodes.add(allNodes);
+        edges.add(allEdges);
+        applyRadialLayout();
+        updateURL({ replace: true });
+        await updateEligibility();
+
+        await showCourseSuggestions(transcript.completedCourses, null, 'transcript');
+        document.getElementById('courseInfo').insertAdjacentHTML('afterbegin', formatTranscriptSummary(transcript));
+    } catch (error) {
+        console.error('Error importing transcript:', error);
+        alert('Error importing transcript. Please try again.');
+    }
 }
 
-async function focusOnCourse(courseCode) {
+async function loadProfiles() {
+    try {
+        const response = await fetch(`${API_BASE}/profiles`);
+        const profiles = await response.json();
+
+        const select = document.getElementById('profileSelect');
+        select.innerHTML = '<option value="">Saved profiles...</option>' + profiles.map(profile =>
+            `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`
+        ).join('');
+        select.value = currentProfile ? currentProfile.id : '';
+    } catch (error) {
+        console.error('Error loading profiles:', error);
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function getProfileCourses(profile) {
+    // Courses in progress count as completed, as they do when registering for the next term
+    return [
+        ...profile.completedCourses,
+        ...profile.inProgress.flatMap(term => term.courses)
+    ];
+}
+
+async function applyProfile(profileId) {
+    try {
+        const response = await fetch(`${API_BASE}/profiles/${encodeURIComponent(profileId)}`);
+        if (!response.ok) {
+            clearProfile();
+            return;
+        }
+        currentProfile = await response.json();
+        document.getElementById('profileSelect').value = currentProfile.id;
+
+        // The profile's completed courses are a full list, so suggestions use transcript mode
+        const completedInput = currentProfile.completedCourses.join(', ');
+        document.getElementById('completedCoursesInput').value = completedInput;
+        importedTranscriptInput = completedInput;
+        completedCourseCodes = new Set(getProfileCourses(currentProfile));
+
+        // Show the profile's whole frontier: completed, eligible, one course away or locked
+        await setEligibilityOverlay(true);
+        updateURL({ replace: true });
+
+        if (!currentSelectedCourse) {
+            document.getElementById('courseInfo').innerHTML = formatProfileSummary(currentProfile);
+        }
+    } catch (error) {
+        console.error('Error loading profile:', error);
+    }
+}
+
+function clearProfile() {
+    currentProfile = null;
+    completedCourseCodes = new Set();
+    importedTranscriptInput = null;
+    document.getElementById('profileSelect').value = '';
+    if (eligibilityOverlay) {
+        updateEligibility();
+    } else {
+        refreshNodeColors();
+    }
+    updateURL({ replace: true });
+}
+
+async function saveProfile() {
+    const completedCourses = document.getElementById('completedCoursesInput').value
+        .split(',')
+        .map(c => c.trim().toUpperCase())
+        .filter(c => c.length > 0 && !/\sOR\s/.test(c));
+
+    // Saving updates the loaded profile, otherwise it creates a new one
+    const name = currentProfile ? currentProfile.name : prompt('Name for this profile:');
+    if (!name) return;
+
+    try {
+        const response = await fetch(
+            currentProfile ? `${API_BASE}/profiles/${currentProfile.id}` : `${API_BASE}/profiles`,
+            {
+                method: currentProfile ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    name,
+                    completedCourses,
+                    inProgress: currentProfile ? currentProfile.inProgress : []
+                })
+            }
+        );
+        const profile = await response.json();
+        if (!response.ok) {
+            alert(profile.error);
+            return;
+        }
+
+        currentProfile = profile;
+        await loadProfiles();
+        await applyProfile(profile.id);
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        alert('Error saving profile. Please try again.');
+    }
+}
+
+function getEligibilityCompletedCourses() {
+    // Everything typed in Completed Courses (both "," and "or" lists), plus a profile's courses in progress
+    const typed = document.getElementById('completedCoursesInput').value
+        .split(/,|\s+or\s+/i)
+        .map(c => c.trim().toUpperCase())
+        .filter(c => c.length > 0);
+    return [...new Set([...typed, ...(currentProfile ? getProfileCourses(currentProfile) : [])])];
+}
+
+async function fetchEligibility(courseCodes) {
+    try {
+        const response = await fetch(`${API_BASE}/eligibility`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ completed: getEligibilityCompletedCourses(), courses: courseCodes })
+        });
+        const result = await response.json();
+        eligibilityStatuses = new Map(Object.entries(result.courses));
+        updateEligibilityLegend(result.counts);
+    } catch (error) {
+        console.error('Error loading eligibility:', error);
+    }
+}
+
+async function updateEligibility() {
+    // Recompute the overlay for the courses in view
+    if (!eligibilityOverlay) return;
+    await fetchEligibility(allNodes.map(node => node.id));
+    refreshNodeColors();
+}
+
+async function setEligibilityOverlay(enabled) {
+    eligibilityOverlay = enabled;
+    document.getElementById('eligibilityBtn').textContent = enabled ? 'Hide Eligibility' : 'Show Eligibility';
+    document.getElementById('eligibilityLegend').style.display = enabled ? 'flex' : 'none';
+
+    if (enabled) {
+        await updateEligibility();
+    } else {
+        eligibilityStatuses = new Map();
+        refreshNodeColors();
+    }
+    updateURL({ replace: true });
+}
+
+function updateEligibilityLegend(counts) {
+    document.getElementById('eligibilityLegend').innerHTML = Object.keys(ELIGIBILITY_STYLES).map(status => `
+        <span class="eligibility-legend-item">
+            <span style="color: ${ELIGIBILITY_STYLES[status].background};">●</span>
+            ${ELIGIBILITY_STYLES[status].label} (${counts[status] || 0})
+        </span>
+    `).join('');
+}
+
+function refreshNodeColors() {
+    // Recolor the graph after the completed/eligible courses change
+    allNodes = allNodes.map(node => ({ ...node, color: getBaseNodeColor(node.id), title: getNodeTitle(node.data) }));
+    if (currentSelectedCourse && currentCourseData) {
+        highlightCourseWithDependencies(currentSelectedCourse, currentCourseData);
+        return;
+    }
+    nodes.clear();
+    edges.clear();
+    nodes.add(allNodes);
+    edges.add(allEdges);
+    applyRadialLayout();
+}
+
+function formatProfileSummary(profile) {
+    const inProgress = profile.inProgress
+        .filter(term => term.courses.length > 0)
+        .map(term => `<li>${escapeHtml(term.term)}: ${term.courses.map(escapeHtml).join(', ')}</li>`)
+        .join('');
+
+    return `<div class="transcript-summary">
+        <h4>Profile: ${escapeHtml(profile.name)}</h4>
+        <p>${profile.completedCourses.length} completed courses</p>
+        ${inProgress ? `<p><strong>In progress</strong> (counted as completed):</p><ul>${inProgress}</ul>` : ''}
+        <p>The graph shows what this profile can take; see the legend above it.</p>
+    </div>`;
+}
+
+function formatTranscriptSummary(transcript) {
+    let html = `<div class="transcript-summary">
+        <h3>Transcript Imported</h3>
+        <p><strong>${transcript.completedCourses.length}</strong> completed courses (shown in teal on the graph)</p>`;
+
+    // Codes, terms and titles come from the pasted or uploaded transcript, so they are escaped
+    if (transcript.excluded.length > 0) {
+        html += `<p><strong>Not counted:</strong></p><ul>${transcript.excluded.map(entry =>
+            `<li>${escapeHtml(entry.code)}${entry.term ? ` (${escapeHtml(entry.term)})` : ''} - ${escapeHtml(entry.reason)}</li>`
+        ).join('')}</ul>`;
+    }
+
+    // Courses that aren't in the catalog can't be used for suggestions, so flag them
+    if (transcript.unmatched.length > 0) {
+        html += `<p class="transcript-unmatched"><strong>⚠ Not found in the catalog:</strong></p><ul>${transcript.unmatched.map(entry =>
+            `<li>${escapeHtml(entry.code)}${entry.title ? ` - ${escapeHtml(entry.title)}` : ''}</li>`
+        ).join('')}</ul>`;
+    }
+
+    return html + '</div>';
+}
+
+async function focusOnCourse(courseCode, path = null) {
     try {
         // Get course data
         const response = await fetch(`${API_BASE}/course/${courseCode.replace(' ', '-')}`);
@@ -265,11 +1013,14 @@ async function focusOnCourse(courseCode) {
         await loadGraphData(dept);
 
         // Clear and reload the graph with department data
+        // A prerequisite path can run through courses outside the department
+        currentPath = path;
+        if (path) addPathToGraph(path);
+
         nodes.clear();
         edges.clear();
         nodes.add(allNodes);
         edges.add(allEdges);
-        populateSearchDropdowns();
 
         // Store current selection
         currentSelectedCourse = courseCode;
@@ -283,21 +1034,13 @@ async function focusOnCourse(courseCode) {
         // Highlight the course and its prerequisites/corequisites
         highlightCourseWithDependencies(courseCode, courseData);
         displayCourseInfo(courseData);
+        if (path) {
+            document.getElementById('courseInfo').insertAdjacentHTML('afterbegin', formatPathSummary(path));
+        }
 
-        // Wait for network to stabilize before focusing
-        // This ensures the node positions are calculated
-        network.once('stabilized', () => {
-            network.focus(courseCode, {
-                scale: 1.2,
-                animation: {
-                    duration: 1000,
-                    easingFunction: 'easeInOutQuad'
-                }
-            });
-        });
-
-        // Trigger stabilization if it's not already running
-        network.stabilize();
+        // Keep the chosen layout after reloading the department's courses
+        focusSelectedCourse(courseCode);
+        updateURL();
 
     } catch (error) {
         console.error('Error fetching course data:', error);
@@ -309,12 +1052,18 @@ function highlightCourseWithDependencies(courseCode, courseData) {
     const corequisites = new Set(courseData.corequisites || []);
     const postrequisites = new Set((courseData.postrequisites || []).map(p => p.code));
 
-    // Create set of all relevant courses (selected + pre/co/post requisites)
+    // Courses on the prerequisite path being shown, and its edges as "from->to"
+    const activePath = currentPath ? currentPath.paths[currentPath.active] : [];
+    const pathCourses = new Set(activePath);
+    const pathEdges = new Set(activePath.slice(1).map((code, i) => `${activePath[i]}->${code}`));
+
+    // Create set of all relevant courses (selected + pre/co/post requisites + path)
     const relevantCourses = new Set([
         courseCode,
         ...prerequisites,
         ...corequisites,
-        ...postrequisites
+        ...postrequisites,
+        ...pathCourses
     ]);
 
     const updatedNodes = allNodes
@@ -337,6 +1086,17 @@ function highlightCourseWithDependencies(courseCode, courseData) {
                     font: { color: '#ffffff', size: 16, bold: true },
                     size: 30
                 };
+            } else if (pathCourses.has(node.id)) {
+                // Prerequisite path - amber
+                return {
+                    ...node,
+                    color: {
+                        background: '#FFB300',
+                        border: '#FF8F00'
+                    },
+                    font: { color: '#ffffff', size: 14 },
+                    size: 22
+                };
             } else if (prerequisites.has(node.id)) {
                 // Prerequisites - blue
                 return {
@@ -370,30 +1130,307 @@ function highlightCourseWithDependencies(courseCode, courseData) {
                     font: { color: '#ffffff', size: 14 },
                     size: 20
                 };
+            } else if (eligibilityOverlay && eligibilityStatuses.has(node.id)) {
+                // Other courses keep their eligibility color, dimmed, while the overlay is on
+                const { background, border } = ELIGIBILITY_STYLES[eligibilityStatuses.get(node.id).status];
+                return {
+                    ...node,
+                    color: { background, border },
+                    font: { color: '#666666', size: 10 },
+                    opacity: 0.5
+                };
             } else {
-                // Other courses in department - dimmed
+                // Other courses in department - dimmed (completed courses keep a light teal)
+                const completed = completedCourseCodes.has(node.id);
                 return {
                     ...node,
                     color: {
-                        background: '#cccccc',
-                        border: '#999999'
+                        background: completed ? '#80CBC4' : '#cccccc',
+                        border: completed ? '#4DB6AC' : '#999999'
                     },
                     font: { color: '#666666', size: 10 },
                     opacity: 0.5
                 };
             }
+        })
+        .map(node => {
+            // Highlighted courses show their eligibility as a thick border while the overlay is on
+            if (!relevantCourses.has(node.id) || !eligibilityOverlay || !eligibilityStatuses.has(node.id)) return node;
+            const { background } = ELIGIBILITY_STYLES[eligibilityStatuses.get(node.id).status];
+            return { ...node, color: { ...node.color, border: background }, borderWidth: 4 };
         });
 
     // Filter edges to only show connections between visible nodes
     const visibleNodeIds = new Set(updatedNodes.map(n => n.id));
-    const relevantEdges = allEdges.filter(edge =>
-        visibleNodeIds.has(edge.from) && visibleNodeIds.has(edge.to)
-    );
+    const relevantEdges = allEdges
+        .filter(edge => visibleNodeIds.has(edge.from) && visibleNodeIds.has(edge.to))
+        .map(edge => (edge.title === 'prerequisite' && pathEdges.has(`${edge.from}->${edge.to}`)
+            ? { ...edge, color: { color: '#FFB300', highlight: '#e84a27' }, width: 4 }
+            : edge));
 
     nodes.clear();
     edges.clear();
     nodes.add(updatedNodes);
     edges.add(relevantEdges);
+    applyRadialLayout();
+}
+
+async function showPrerequisitePath(from, to) {
+    try {
+        const params = new URLSearchParams({ from, to, k: 3, between: 'true' });
+        const response = await fetch(`${API_BASE}/path?${params}`);
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.error);
+            return;
+        }
+
+        const path = {
+            from: result.from,
+            to: result.to,
+            paths: [result.path, ...result.alternatives],
+            active: 0,
+            between: result.between,
+            nodes: result.nodes,
+            edges: result.edges
+        };
+        await focusOnCourse(result.to, path);
+    } catch (error) {
+        console.error('Error finding prerequisite path:', error);
+    }
+}
+
+function addPathToGraph(path) {
+    // Add path courses and edges the department graph doesn't already have
+    const nodeIds = new Set(allNodes.map(node => node.id));
+    path.nodes
+        .filter(node => !nodeIds.has(node.id))
+        .forEach(node => allNodes.push(createVisNode(node)));
+
+    const edgeKeys = new Set(allEdges.map(edge => `${edge.from}->${edge.to}:${edge.title}`));
+    path.edges
+        .filter(edge => !edgeKeys.has(`${edge.from}->${edge.to}:${edge.type}`))
+        .forEach(edge => allEdges.push(createVisEdge(edge, `path:${edge.from}->${edge.to}`)));
+}
+
+function showPathAlternative(index) {
+    if (!currentPath || !currentCourseData) return;
+    currentPath.active = index;
+    highlightCourseWithDependencies(currentSelectedCourse, currentCourseData);
+
+    document.querySelectorAll('.path-option').forEach((option, i) => {
+        option.classList.toggle('active', i === index);
+    });
+}
+
+function formatPathSummary(path) {
+    const formatCodes = codes => codes.map(code =>
+        `<span class="course-link" onclick="focusOnCourse('${code}')">${code}</span>`
+    ).join(', ');
+
+    const options = path.paths.map((codes, i) => `
+        <li class="path-option${i === path.active ? ' active' : ''}" onclick="showPathAlternative(${i})">
+            ${codes.join(' → ')} <span class="path-length">(${codes.length - 1} step${codes.length === 2 ? '' : 's'})</span>
+        </li>
+    `).join('');
+
+    let html = `<div class="path-summary">
+        <h4>Prerequisite Path: ${path.from} → ${path.to}</h4>
+        <ul class="path-options">${options}</ul>`;
+    if (path.paths.length > 1) {
+        html += '<p class="path-note">Click a route to highlight it.</p>';
+    }
+    if (path.between) {
+        if (path.between.required.length > 0) {
+            html += `<p><strong>On every route:</strong> ${formatCodes(path.between.required)}</p>`;
+        }
+        html += `<p><strong>All courses in between:</strong> ${path.between.courses.length > 0 ? formatCodes(path.between.courses) : 'None'}</p>`;
+    }
+    return html + '</div>';
+}
+
+async function loadScheduleTerms() {
+    // The weekly schedule controls only appear when a class schedule has been scraped
+    try {
+        const response = await fetch(`${API_BASE}/schedule/terms`);
+        const { terms } = await response.json();
+        if (terms.length === 0) return;
+
+        document.getElementById('scheduleTermSelect').innerHTML = terms.map(term =>
+            `<option value="${term}">${term}</option>`
+        ).join('');
+        document.getElementById('scheduleControls').style.display = '';
+    } catch (error) {
+        console.error('Error loading schedule terms:', error);
+    }
+}
+
+async function buildSchedule() {
+    const courses = document.getElementById('scheduleCoursesInput').value
+        .split(',')
+        .map(code => code.trim().toUpperCase())
+        .filter(code => code.length > 0);
+    if (courses.length === 0) {
+        alert('Please enter the courses to fit into one week');
+        return;
+    }
+
+    const constraints = {};
+    const earliestStart = document.getElementById('scheduleStartSelect').value;
+    const maxGap = document.getElementById('scheduleGapSelect').value;
+    if (earliestStart) constraints.earliestStart = earliestStart;
+    if (maxGap) constraints.maxGap = parseInt(maxGap);
+    if (document.getElementById('freeFridaysCheckbox').checked) constraints.freeDays = ['F'];
+
+    try {
+        const response = await fetch(`${API_BASE}/schedule/solve`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                courses,
+                term: document.getElementById('scheduleTermSelect').value,
+                constraints
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(result.error);
+            return;
+        }
+
+        currentSchedule = { ...result, active: 0 };
+        showScheduleOption(0);
+    } catch (error) {
+        console.error('Error building schedule:', error);
+    }
+}
+
+function showScheduleOption(index) {
+    currentSchedule.active = index;
+    document.getElementById('scheduleView').style.display = '';
+    renderScheduleView();
+    document.getElementById('courseInfo').innerHTML = formatScheduleSummary(currentSchedule);
+}
+
+function closeScheduleView() {
+    currentSchedule = null;
+    document.getElementById('scheduleView').style.display = 'none';
+    document.getElementById('scheduleView').innerHTML = '';
+}
+
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function getScheduleColor(courseCode) {
+    return SCHEDULE_COLORS[currentSchedule.courses.indexOf(courseCode) % SCHEDULE_COLORS.length] || SCHEDULE_COLORS[0];
+}
+
+function renderScheduleView() {
+    const view = document.getElementById('scheduleView');
+    const schedule = currentSchedule.schedules[currentSchedule.active];
+
+    const tabs = currentSchedule.schedules.map((option, i) =>
+        `<button class="schedule-tab${i === currentSchedule.active ? ' active' : ''}" onclick="showScheduleOption(${i})">${i + 1}</button>`
+    ).join('');
+    const header = `<div class="schedule-view-header">
+        <strong>${currentSchedule.term}</strong>
+        <span class="schedule-tabs">${tabs}</span>
+        <button class="schedule-close" onclick="closeScheduleView()" title="Close">×</button>
+    </div>`;
+
+    if (!schedule) {
+        view.innerHTML = `${header}<p class="schedule-empty">No timetable fits. See the details on the right.</p>`;
+        return;
+    }
+
+    // One block per meeting day; meetings without days or times are listed below the grid
+    const blocks = [];
+    const arranged = [];
+    schedule.sections.forEach(section => {
+        const timed = section.meetings.filter(meeting => meeting.days && meeting.start && meeting.end);
+        if (timed.length === 0) arranged.push(section);
+        timed.forEach(meeting => meeting.days.split('').forEach(day => {
+            blocks.push({ day, section, meeting, start: timeToMinutes(meeting.start), end: timeToMinutes(meeting.end) });
+        }));
+    });
+
+    const days = SCHEDULE_DAYS.filter(([day], i) => i < 5 || blocks.some(block => block.day === day));
+    const firstHour = blocks.length > 0 ? Math.floor(Math.min(...blocks.map(block => block.start)) / 60) : 8;
+    const lastHour = blocks.length > 0 ? Math.ceil(Math.max(...blocks.map(block => block.end)) / 60) : 17;
+    const height = (lastHour - firstHour) * 60 * SCHEDULE_PX_PER_MINUTE;
+    const top = minutes => (minutes - firstHour * 60) * SCHEDULE_PX_PER_MINUTE;
+
+    const hours = [];
+    for (let hour = firstHour; hour < lastHour; hour++) hours.push(hour);
+    const hourLabels = hours.map(hour =>
+        `<span class="week-grid-hour" style="top: ${top(hour * 60)}px;">${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}</span>`
+    ).join('');
+    const hourLines = hours.map(hour =>
+        `<div class="week-grid-line" style="top: ${top(hour * 60)}px;"></div>`
+    ).join('');
+
+    const dayColumns = days.map(([day]) => {
+        const dayBlocks = blocks.filter(block => block.day === day).map(block => `
+            <div class="week-grid-block" style="top: ${top(block.start)}px; height: ${(block.end - block.start) * SCHEDULE_PX_PER_MINUTE}px; background: ${getScheduleColor(block.section.course)};"
+                title="${block.section.course} ${block.section.section} (CRN ${block.section.crn})\n${block.meeting.start}-${block.meeting.end}${block.meeting.location ? `, ${block.meeting.location}` : ''}">
+                <strong>${block.section.course}</strong> ${block.section.section}<br>${block.meeting.start}-${block.meeting.end}
+            </div>
+        `).join('');
+        return `<div class="week-grid-day" style="height: ${height}px;">${hourLines}${dayBlocks}</div>`;
+    }).join('');
+
+    const arrangedHtml = arranged.length > 0
+        ? `<p class="schedule-arranged"><strong>Online / arranged:</strong> ${arranged.map(section => `${section.course} ${section.section}`).join(', ')}</p>`
+        : '';
+
+    view.innerHTML = `${header}
+        <div class="week-grid" style="grid-template-columns: 3rem repeat(${days.length}, 1fr);">
+            <div></div>
+            ${days.map(([, name]) => `<div class="week-grid-day-name">${name}</div>`).join('')}
+            <div class="week-grid-times" style="height: ${height}px;">${hourLabels}</div>
+            ${dayColumns}
+        </div>
+        ${arrangedHtml}`;
+}
+
+function formatScheduleSummary(result) {
+    let html = `<div class="path-summary">
+        <h4>Weekly Schedule: ${result.term}</h4>
+        <p>${result.totalFound} conflict-free timetable${result.totalFound === 1 ? '' : 's'} found${result.truncated ? ' (search stopped early; add constraints to narrow it down)' : ''}</p>`;
+
+    if (result.notOffered.length > 0) {
+        html += `<p class="transcript-unmatched">Not offered in ${result.term}: ${result.notOffered.join(', ')}</p>`;
+    }
+    if (result.reasons.length > 0) {
+        html += `<ul>${result.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>`;
+    }
+
+    const options = result.schedules.map((option, i) => `
+        <li class="path-option${i === result.active ? ' active' : ''}" onclick="showScheduleOption(${i})">
+            Option ${i + 1}: ${option.daysOnCampus} day${option.daysOnCampus === 1 ? '' : 's'} on campus
+            <span class="path-length">(${option.totalGapMinutes} min between classes${option.earliestStart ? `, ${option.earliestStart}-${option.latestEnd}` : ''})</span>
+        </li>
+    `).join('');
+    if (options) html += `<ul class="path-options">${options}</ul>`;
+
+    const schedule = result.schedules[result.active];
+    if (schedule) {
+        html += `<h4>Sections (Option ${result.active + 1})</h4><ul>` + schedule.sections.map(section => {
+            const times = section.meetings
+                .map(meeting => (meeting.start ? `${meeting.days} ${meeting.start}-${meeting.end}` : 'Arranged'))
+                .join('; ');
+            const instructors = section.instructors.length > 0 ? ` - ${section.instructors.join('; ')}` : '';
+            return `<li>
+                <span class="course-link" onclick="focusOnCourse('${section.course}')" style="color: ${getScheduleColor(section.course)};">${section.course}</span>
+                ${section.section} ${section.typeName || ''}
+                <br><span style="font-size: 0.85em; color: #666;">CRN ${section.crn} · ${times}${instructors}</span>
+            </li>`;
+        }).join('') + '</ul>';
+    }
+
+    return html + '</div>';
 }
 
 function resetHighlight() {
@@ -405,7 +1442,10 @@ function resetHighlight() {
     // Reset state
     currentSelectedCourse = null;
     currentCourseData = null;
+    currentPath = null;
     showOtherCourses = true;
+    applyRadialLayout();
+    updateURL();
 
     // Hide toggle button
     document.getElementById('toggleOtherCoursesBtn').style.display = 'none';
@@ -414,6 +1454,17 @@ function resetHighlight() {
         '<p>Click on a course node or search for a course to see details</p>';
 }
 
+function setShowOtherCourses(show) {
+    showOtherCourses = show;
+    const btn = document.getElementById('toggleOtherCoursesBtn');
+    btn.textContent = showOtherCourses ? 'Hide Other Courses' : 'Show Other Courses';
+
+    if (currentSelectedCourse && currentCourseData) {
+        highlightCourseWithDependencies(currentSelectedCourse, currentCourseData);
+    }
+    updateURL({ replace: true });
+}
+
 function displayCourseInfo(course) {
     const infoDiv = document.getElementById('courseInfo');
 
@@ -431,9 +1482,25 @@ function displayCourseInfo(course) {
         ).join('') + '</ul>';
     }
 
+    // Prerequisite checklist; falls back to the structured AND/OR requirement, e.g. "(CS 173 or MATH 213) and CS 225"
+    let requirementHtml = '';
+    if (course.prerequisiteBreakdown && course.prerequisiteBreakdown.items.length > 0) {
+        requirementHtml = formatPrerequisiteChecklist(course.prerequisiteBreakdown);
+    } else if (course.requirementText) {
+        requirementHtml = `<p class="requirement-text"><strong>Requirement:</strong> ${course.requirementText}</p>`;
+    }
+
+    // Cross-listed courses ("Same as") are the same class under another code
+    let crossListHtml = '';
+    if (course.crossListings && course.crossListings.length > 0) {
+        crossListHtml = '<p><strong>Cross-listed as:</strong> ' + course.crossListings.map(code =>
+            `<span class="course-link" onclick="focusOnCourse('${code}')">${code}</span>`
+        ).join(', ') + '</p>';
+    }
+
     let description = course.description || 'No description available';
 
-    const coursePattern = /([A-Z]{2,4})\s*(\d{3})/g;
+    const coursePattern = new RegExp(`(${catalogInfo.subjectPattern})\\s*(${catalogInfo.numberPattern})`, 'g');
     description = description.replace(coursePattern, (match) => {
         const normalized = match.replace(/\s+/g, ' ');
         return `<span class="course-link" onclick="focusOnCourse('${normalized}')">${normalized}</span>`;
@@ -444,10 +1511,11 @@ function displayCourseInfo(course) {
     if (course.postrequisites && course.postrequisites.length > 0) {
         postreqHtml = '<ul>' + course.postrequisites.map(postreq => {
             let otherPrereqsText = '';
-            if (postreq.otherPrerequisites && postreq.otherPrerequisites.length > 0) {
-                const requireText = postreq.hasOrInPrereqs ? 'also may require' : 'also requires';
-                const checkDescText = postreq.hasOrInPrereqs ? ' - check course description for details' : '';
-                otherPrereqsText = ` <span style="font-size: 0.9em; color: #666;">(${requireText}: ${postreq.otherPrerequisites.join(', ')}${checkDescText})</span>`;
+            if (postreq.hasOrInPrereqs && postreq.requirementText) {
+                // Show the full AND/OR requirement when there are alternatives
+                otherPrereqsText = ` <span style="font-size: 0.9em; color: #666;">(requires: ${postreq.requirementText})</span>`;
+            } else if (postreq.otherPrerequisites && postreq.otherPrerequisites.length > 0) {
+                otherPrereqsText = ` <span style="font-size: 0.9em; color: #666;">(also requires: ${postreq.otherPrerequisites.join(', ')})</span>`;
             }
             return `<li><span class="course-link" onclick="focusOnCourse('${postreq.code}')">${postreq.code}</span> - ${postreq.name}${otherPrereqsText}</li>`;
         }).join('') + '</ul>';
@@ -457,6 +1525,8 @@ function displayCourseInfo(course) {
         <h4 class="course-code">${course.code}</h4>
         <h5>${course.name}</h5>
         <p><strong>Department:</strong> ${course.department}</p>
+        ${formatCourseAttributes(course)}
+        ${crossListHtml}
 
         <div style="margin: 10px 0; padding: 10px; background: #f5f5f5; border-radius: 5px;">
             <strong>Legend:</strong><br>
@@ -465,12 +1535,16 @@ function displayCourseInfo(course) {
             <span style="color: #4CAF50;">●</span> Corequisites (Green)<br>
             <span style="color: #9C27B0;">●</span> Postrequisites (Purple)<br>
             <span style="color: #cccccc;">●</span> Other Department Courses
+            ${completedCourseCodes.size > 0 ? `<br><span style="color: #00897B;">●</span> Completed${currentProfile ? '' : ' (from transcript)'}` : ''}
+            ${currentPath ? '<br><span style="color: #FFB300;">●</span> Prerequisite Path (Amber)' : ''}
+            ${eligibilityOverlay ? '<br>Borders and other courses: eligibility colors (see the legend above the graph)' : ''}
         </div>
 
         <h4>Description</h4>
         <p>${description}</p>
 
         <h4>Prerequisites</h4>
+        ${requirementHtml}
         ${prereqHtml}
 
         <h4>Corequisites</h4>
@@ -478,9 +1552,100 @@ function displayCourseInfo(course) {
 
         <h4>Postrequisites (Courses You Can Take After)</h4>
         ${postreqHtml}
+
+        ${formatCourseSections(course.sections)}
     `;
 }
 
+// Checklist of everything a course requires (see src/graph/prerequisiteBreakdown.js)
+// Courses already completed start checked; conditions like "Consent of instructor" are for the student to tick
+function formatPrerequisiteChecklist(breakdown) {
+    const isMet = (item) => {
+        if (item.type === 'course') return completedCourseCodes.has(item.code);
+        if (item.type === 'oneOf') return item.options.some(isMet);
+        if (item.type === 'allOf') return item.items.every(isMet);
+        return false;
+    };
+
+    const formatItem = (item) => {
+        const checkbox = `<input type="checkbox"${isMet(item) ? ' checked' : ''}>`;
+        if (item.type === 'course') {
+            const concurrentNote = item.concurrentAllowed
+                ? ' <span style="font-size: 0.85em; color: #666;">(or concurrent registration)</span>'
+                : '';
+            return `<li><label>${checkbox} <span class="course-link" onclick="focusOnCourse('${item.code}')">${item.code}</span>${concurrentNote}</label></li>`;
+        }
+        if (item.type === 'oneOf') {
+            return `<li><label>${checkbox} One of:</label><ul>${item.options.map(formatItem).join('')}</ul></li>`;
+        }
+        if (item.type === 'allOf') {
+            return `<li><label>${checkbox} All of:</label><ul>${item.items.map(formatItem).join('')}</ul></li>`;
+        }
+        return `<li><label>${checkbox} ${item.text}</label></li>`;
+    };
+
+    const required = breakdown.items.filter(item => !item.alternative);
+    const alternatives = breakdown.items.filter(item => item.alternative);
+
+    let html = `<ul class="prereq-checklist">${required.map(formatItem).join('')}</ul>`;
+    if (alternatives.length > 0) {
+        html += `<p class="prereq-checklist-divider">Or instead:</p><ul class="prereq-checklist">${alternatives.map(formatItem).join('')}</ul>`;
+    }
+    return html;
+}
+
+function formatCourseAttributes(course) {
+    const lines = [];
+
+    if (course.minCredits !== undefined && course.minCredits !== null) {
+        const credits = course.minCredits === course.maxCredits
+            ? course.minCredits
+            : `${course.minCredits}-${course.maxCredits}`;
+        lines.push(`<strong>Credit Hours:</strong> ${credits}`);
+    }
+    if (course.level) {
+        lines.push(`<strong>Level:</strong> ${course.level}${course.graduateOnly ? ' (graduate only)' : ''}`);
+    }
+    if (course.genEd && course.genEd.length > 0) {
+        lines.push(`<strong>Gen Ed:</strong> ${course.genEd.join('; ')}`);
+    }
+    if (course.repeatable) {
+        const maxText = course.maxRepeatCredits ? ` (up to ${course.maxRepeatCredits} hours)` : '';
+        lines.push(`<strong>Repeatable:</strong> Yes${maxText}`);
+    }
+    if (course.offered) {
+        lines.push(`<strong>Schedule:</strong> ${course.offered}`);
+    }
+
+    return lines.map(line => `<p>${line}</p>`).join('');
+}
+
+// Sections per scheduled term, e.g. "Fall 2026: Lecture (1), Laboratory-Discussion (2) - Challen, G"
+function formatCourseSections(sections) {
+    if (!sections || sections.length === 0) return '';
+
+    const terms = new Map();
+    sections.forEach(section => {
+        if (!terms.has(section.term)) terms.set(section.term, { types: new Map(), instructors: new Set() });
+        const term = terms.get(section.term);
+        const type = section.typeName || section.type || 'Section';
+        term.types.set(type, (term.types.get(type) || 0) + 1);
+        section.instructors.forEach(name => term.instructors.add(name));
+    });
+
+    const items = [...terms.entries()].map(([termName, term]) => {
+        const types = [...term.types.entries()].map(([type, count]) => `${type} (${count})`).join(', ');
+        const instructors = term.instructors.size > 0 ? ` - ${[...term.instructors].join('; ')}` : '';
+        return `<li><strong>${termName}:</strong> ${types}${instructors}</li>`;
+    });
+    return `<h4>Sections</h4><ul>${items.join('')}</ul>`;
+}
+
+// "Offered Fall 2026 and Spring 2027" line under a suggested course (empty without a class schedule)
+function formatOfferedNote(course) {
+    return course.offered ? `<br><span style="font-size: 0.8em; color: #999;">${course.offered}</span>` : '';
+}
+
 async function updateStats() {
     try {
         const response = await fetch(`${API_BASE}/stats`);
@@ -497,25 +1662,25 @@ async function updateStats() {
     }
 }
 
-async function showCourseSuggestions(completedCourses, orGroups = null) {
+async function showCourseSuggestions(completedCourses, orGroups = null, mode = null) {
     try {
         const response = await fetch(`${API_BASE}/suggest-courses`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ completedCourses, orGroups })
+            body: JSON.stringify({ completedCourses, orGroups, mode })
         });
 
         const suggestions = await response.json();
-        displayCourseSuggestions(completedCourses, suggestions, orGroups);
+        displayCourseSuggestions(completedCourses, suggestions, orGroups, mode);
     } catch (error) {
         console.error('Error getting course suggestions:', error);
         alert('Error getting course suggestions. Please try again.');
     }
 }
 
-function displayCourseSuggestions(completedCourses, suggestions, orGroups = null) {
+function displayCourseSuggestions(completedCourses, suggestions, orGroups = null, mode = null) {
     const infoDiv = document.getElementById('courseInfo');
 
     let completedList;
@@ -530,7 +1695,7 @@ function displayCourseSuggestions(completedCourses, suggestions, orGroups = null
         canTakeHtml = `<ul>${suggestions.canTake.map(course =>
             `<li>
                 <span class="course-link" onclick="focusOnCourse('${course.code}')">${course.code}</span> - ${course.name}
-                <span style="font-size: 0.85em; color: #666;"> (${course.department})</span>
+                <span style="font-size: 0.85em; color: #666;"> (${course.department})</span>${formatOfferedNote(course)}
             </li>`
         ).join('')}</ul>`;
     }
@@ -542,7 +1707,7 @@ function displayCourseSuggestions(completedCourses, suggestions, orGroups = null
             return `<li>
                 <span class="course-link" onclick="focusOnCourse('${course.code}')">${course.code}</span> - ${course.name}
                 <span style="font-size: 0.85em; color: #666;"> (${course.department})</span>
-                <br><span style="font-size: 0.8em; color: #999;">Still need: ${missing.join(', ')}</span>
+                <br><span style="font-size: 0.8em; color: #999;">Still need: ${missing.join(', ')}</span>${formatOfferedNote(course)}
             </li>`;
         }).join('')}</ul>`;
         if (suggestions.partialPrereqs.length > 50) {
@@ -555,7 +1720,7 @@ function displayCourseSuggestions(completedCourses, suggestions, orGroups = null
         noPrereqsHtml = `<ul>${suggestions.noPrereqs.slice(0, 50).map(course =>
             `<li>
                 <span class="course-link" onclick="focusOnCourse('${course.code}')">${course.code}</span> - ${course.name}
-                <span style="font-size: 0.85em; color: #666;"> (${course.department})</span>
+                <span style="font-size: 0.85em; color: #666;"> (${course.department})</span>${formatOfferedNote(course)}
             </li>`
         ).join('')}</ul>`;
         if (suggestions.noPrereqs.length > 50) {
@@ -567,10 +1732,12 @@ function displayCourseSuggestions(completedCourses, suggestions, orGroups = null
         <h3>Course Suggestions</h3>
         <p><strong>Input Courses:</strong> ${completedList}</p>
         <p style="font-size: 0.9em; color: #666; margin-top: 10px;">
-            <em>Tip: Use commas to find courses that require ALL listed courses (e.g., "CS 225, MATH 221"). Use "or" to find courses that require ANY of the listed courses (e.g., "CS 173 or MATH 213").</em>
+            <em>${mode === 'transcript'
+                ? 'Courses from your transcript are treated as completed; "Ready to Take" lists every course whose requirements they meet.'
+                : 'Tip: Use commas to find courses that require ALL listed courses (e.g., "CS 225, MATH 221"). Use "or" to find courses that require ANY of the listed courses (e.g., "CS 173 or MATH 213").'}</em>
         </p>
         <p style="font-size: 0.9em; color: #666; margin-top: 5px;">
-            <em>Note: Results don't account for flexible "or" requirements in course prerequisites. Check individual course descriptions for details.</em>
+            <em>Note: Flexible "or" and "one of" requirements in course prerequisites are taken into account.</em>
         </p>
 
         <h4 style="color: #4CAF50; margin-top: 20px;">✓ Ready to Take (${suggestions.canTake.length})</h4>
@@ -1,8 +1,30 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs').promises;
 const CourseGraph = require('./src/graph/graphBuilder');
+const DegreePlanner = require('./src/planner/degreePlanner');
+const ScheduleSolver = require('./src/planner/scheduleSolver');
+const { normalizeConstraints } = require('./src/planner/scheduleSolver');
+const { summarizeReport } = require('./src/graph/catalogDiagnostics');
+const { FORMATS, exportGraph, selectGraphData } = require('./src/graph/graphExporter');
+const CatalogHistory = require('./src/history/catalogHistory');
+const { loadCatalog } = require('./src/scraper/adapters');
+const CourseSearch = require('./src/search/courseSearch');
+const { parseTranscript } = require('./src/transcript/transcriptParser');
+const ProgramAudit = require('./src/audit/programAudit');
+const { loadPrograms } = require('./src/audit/programAudit');
+const { watchCourseData } = require('./src/data/courseDataLoader');
+const CourseDataset = require('./src/data/courseDataset');
+const { formatOfferedTerms } = require('./src/data/scheduleData');
+const { extractPrerequisiteText, buildPrerequisiteBreakdown } = require('./src/graph/prerequisiteBreakdown');
+const JsonFileStore = require('./src/store/jsonFileStore');
+const { normalizeProfile, normalizePlan } = require('./src/store/records');
+const {
+  formatRequirement,
+  getRequirementCourses,
+  hasAlternatives,
+  allowsConcurrent
+} = require('./src/graph/requirements');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,19 +36,50 @@ app.use(cors({
 app.use(express.json());
 app.use(express.static('public'));
 
-let courseGraph = new CourseGraph();
+// MERGE_CROSS_LISTINGS=true shows cross-listed courses (e.g. CS 374 / ECE 374) as a single node
+const mergeCrossListings = process.env.MERGE_CROSS_LISTINGS === 'true';
+let courseGraph = new CourseGraph({ mergeCrossListings });
 let coursesData = [];
+let courseSearch = new CourseSearch();
+let catalog = null; // Catalog chosen by the CATALOG environment variable (see config/catalogs.json)
+let catalogHistory = null;
+let programs = new Map(); // Program definitions from <dataDir>/programs/*.json, by id
+let profileStore = null; // Saved completed-course profiles (<dataDir>/store/profiles.json)
+let planStore = null; // Saved term-by-term plans (<dataDir>/store/plans.json)
+
+let courseDataset = null; // Loads and hot-reloads the catalog's courses.json and schedule.json
 
 async function loadCourseData() {
-  try {
-    const dataPath = path.join(__dirname, 'data', 'courses.json');
-    const data = await fs.readFile(dataPath, 'utf-8');
-    coursesData = JSON.parse(data);
-    courseGraph.buildFromCourses(coursesData);
-    console.log('Course data loaded successfully');
-    console.log('Graph stats:', courseGraph.getStats());
-  } catch (error) {
-    console.log('No existing course data found. Run scraper first.');
+  catalog = await loadCatalog();
+  catalogHistory = new CatalogHistory(catalog.dataDir);
+  console.log(`Using catalog "${catalog.id}" (${catalog.institution})`);
+
+  programs = await loadPrograms(path.join(catalog.dataDir, 'programs'));
+  console.log(`Loaded ${programs.size} program definitions`);
+
+  profileStore = new JsonFileStore(path.join(catalog.dataDir, 'store', 'profiles.json'));
+  planStore = new JsonFileStore(path.join(catalog.dataDir, 'store', 'plans.json'));
+
+  courseDataset = new CourseDataset({
+    dataDir: catalog.dataDir,
+    institution: catalog.institution,
+    mergeCrossListings,
+    onLoad: ({ courses, graph, search }) => {
+      coursesData = courses;
+      courseGraph = graph;
+      courseSearch = search;
+    }
+  });
+  await courseDataset.reload();
+
+  // WATCH_COURSE_DATA=false turns off hot reloading (e.g. on read-only deploys)
+  if (process.env.WATCH_COURSE_DATA !== 'false') {
+    watchCourseData(path.join(catalog.dataDir, 'courses.json'), () => {
+      courseDataset.reload();
+    });
+    watchCourseData(path.join(catalog.dataDir, 'schedule.json'), () => {
+      courseDataset.reload();
+    });
   }
 }
 
@@ -38,37 +91,18 @@ app.get('/api/graph', (req, res) => {
 
   if (dept) {
     // Get department-specific data plus cross-department prerequisites/corequisites
-    const deptNodes = courseGraph.getNodesByDepartment(dept.toUpperCase());
-    const deptNodeCodes = new Set(deptNodes.map(n => n.id));
-
-    // Get all edges connected to department courses
-    const relevantEdges = courseGraph.edges.filter(
-      e => deptNodeCodes.has(e.from) || deptNodeCodes.has(e.to)
-    );
-
-    // Find prerequisite/corequisite courses from other departments
-    const additionalNodeCodes = new Set();
-    relevantEdges.forEach(edge => {
-      if (!deptNodeCodes.has(edge.from)) additionalNodeCodes.add(edge.from);
-      if (!deptNodeCodes.has(edge.to)) additionalNodeCodes.add(edge.to);
+    // Optional ?level=300 and ?genEd=Humanities narrow down the department's courses
+    graphData = courseGraph.getDepartmentGraph(dept.toUpperCase(), {
+      level: req.query.level,
+      genEd: req.query.genEd
     });
-
-    // Get the additional nodes (prerequisites/corequisites from other departments)
-    const allGraphNodes = courseGraph.getGraphData().nodes;
-    const additionalNodes = allGraphNodes.filter(n => additionalNodeCodes.has(n.id));
-
-    // Combine department nodes with cross-department prerequisite/corequisite nodes
-    const allNodes = [...deptNodes, ...additionalNodes];
-
-    graphData = { nodes: allNodes, edges: relevantEdges };
   } else {
     // Get limited data to prevent browser freeze
     const allData = courseGraph.getGraphData();
+    const limitedNodes = allData.nodes.slice(0, limit);
     graphData = {
-      nodes: allData.nodes.slice(0, limit),
-      edges: allData.edges.filter(e =>
-        allData.nodes.slice(0, limit).some(n => n.id === e.from || n.id === e.to)
-      ),
+      nodes: limitedNodes,
+      edges: courseGraph.getConnectedEdges(limitedNodes.map(n => n.id)),
       total: allData.nodes.length,
       showing: Math.min(limit, allData.nodes.length)
     };
@@ -79,11 +113,9 @@ app.get('/api/graph', (req, res) => {
 
 app.get('/api/graph/department/:dept', (req, res) => {
   const dept = req.params.dept.toUpperCase();
-  const nodes = courseGraph.getNodesByDepartment(dept);
-  const nodeCodes = nodes.map(n => n.id);
-  const edges = courseGraph.edges.filter(
-    e => nodeCodes.includes(e.from) || nodeCodes.includes(e.to)
-  );
+  const nodes = courseGraph.getNodesByDepartment(dept)
+    .filter(node => courseGraph.matchesFilters(node, req.query));
+  const edges = courseGraph.getConnectedEdges(nodes.map(n => n.id));
   res.json({ nodes, edges });
 });
 
@@ -99,6 +131,82 @@ app.get('/api/graph/subgraph', (req, res) => {
   res.json(subgraph);
 });
 
+app.get('/api/export', (req, res) => {
+  const format = (req.query.format || 'graphml').toLowerCase();
+
+  if (!FORMATS[format]) {
+    return res.status(400).json({
+      error: `Unknown format. Use one of: ${Object.keys(FORMATS).join(', ')}`
+    });
+  }
+
+  // Same filters as /api/graph (dept) and /api/graph/subgraph (courses, depth)
+  const graphData = selectGraphData(courseGraph, {
+    dept: req.query.dept,
+    courses: req.query.courses ? req.query.courses.split(',') : null,
+    depth: parseInt(req.query.depth) || 1,
+    level: req.query.level,
+    genEd: req.query.genEd
+  });
+
+  const filename = `courses${req.query.dept ? `-${req.query.dept.toLowerCase()}` : ''}.${FORMATS[format].extension}`;
+  res.set('Content-Type', FORMATS[format].contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(exportGraph(graphData, format));
+});
+
+app.get('/api/path', (req, res) => {
+  const normalize = code => courseGraph.resolveCode(String(code || '').trim().toUpperCase().replace('-', ' '));
+  const from = normalize(req.query.from);
+  const to = normalize(req.query.to);
+  const k = Math.min(parseInt(req.query.k) || 1, 10);
+
+  if (!req.query.from || !req.query.to) {
+    return res.status(400).json({ error: 'from and to course codes are required' });
+  }
+  const unknown = [from, to].filter(code => !courseGraph.nodes.has(code));
+  if (unknown.length > 0) {
+    return res.status(404).json({ error: `Course not found: ${unknown.join(', ')}` });
+  }
+
+  const paths = courseGraph.findPrerequisitePaths(from, to, k);
+  if (paths.length === 0) {
+    return res.status(404).json({ error: `No prerequisite path from ${from} to ${to}` });
+  }
+
+  // Nodes and edges of every returned path, so the frontend can draw courses outside the loaded department
+  const pathCodes = new Set(paths.flat());
+  const pathEdges = new Set(paths.flatMap(path => path.slice(1).map((code, i) => `${path[i]}->${code}`)));
+
+  const result = {
+    from,
+    to,
+    path: paths[0],
+    length: paths[0].length - 1,
+    alternatives: paths.slice(1),
+    nodes: [...pathCodes].map(code => courseGraph.nodes.get(code)),
+    edges: courseGraph.getConnectedEdges([...pathCodes])
+      .filter(edge => edge.type === 'prerequisite' && pathEdges.has(`${edge.from}->${edge.to}`))
+  };
+
+  if (req.query.between === 'true') {
+    result.between = courseGraph.getCoursesBetween(from, to);
+  }
+
+  res.json(result);
+});
+
+app.get('/api/search', (req, res) => {
+  const query = (req.query.q || '').trim();
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+  if (!query) {
+    return res.status(400).json({ error: 'q parameter is required' });
+  }
+
+  res.json({ query, results: courseSearch.search(query, limit) });
+});
+
 app.get('/api/course/:code', (req, res) => {
   const code = req.params.code.toUpperCase().replace('-', ' ');
   const course = coursesData.find(c => c.code === code);
@@ -108,34 +216,37 @@ app.get('/api/course/:code', (req, res) => {
   }
 
   // Add postrequisites (courses that require this course)
-  const postrequisites = courseGraph.getDependentsFor(code);
+  const postrequisites = courseGraph.getDependentsFor(courseGraph.resolveCode(code));
   const postrequisiteData = postrequisites.map(node => {
-    const postreqCourse = coursesData.find(c => c.code === node.id);
-    const otherPrereqs = postreqCourse?.prerequisites.filter(p => p !== code) || [];
-
-    // Check if the description contains "or" or "one of" in the prerequisite section
-    // Include "and/or", standalone "or", and "one of" as indicators of flexible prerequisites
-    const description = postreqCourse?.description || '';
-    const prereqIndex = description.toLowerCase().indexOf('prerequisite:');
-    let hasOrInPrereqs = false;
-
-    if (prereqIndex !== -1) {
-      const prereqSection = description.substring(prereqIndex).toLowerCase();
-      // Look for word "or" (including in "and/or") or "one of"
-      hasOrInPrereqs = /\bor\b/.test(prereqSection) || /\bone of\b/.test(prereqSection);
-    }
+    const requirements = courseGraph.getRequirements(node.id);
+    const otherPrereqs = getRequirementCourses(requirements).filter(p => p !== courseGraph.resolveCode(code));
+
+    // Flexible prerequisites come from "one of"/"or" groups in the requirement tree
+    const hasOrInPrereqs = hasAlternatives(requirements);
 
     return {
       code: node.id,
       name: node.name,
       otherPrerequisites: otherPrereqs,
-      hasOrInPrereqs: hasOrInPrereqs
+      hasOrInPrereqs: hasOrInPrereqs,
+      requirementText: formatRequirement(requirements)
     };
   });
 
   res.json({
     ...course,
-    postrequisites: postrequisiteData
+    requirements: courseGraph.getRequirements(code),
+    requirementText: formatRequirement(courseGraph.getRequirements(code)),
+    prerequisiteBreakdown: buildPrerequisiteBreakdown(
+      courseGraph.getRequirements(code),
+      course.description,
+      text => catalog.adapter.findCourseCodes(text)
+    ),
+    crossListings: courseGraph.getCrossListings(code),
+    postrequisites: postrequisiteData,
+    offeredTerms: courseGraph.getOfferedTerms(code),
+    offered: formatOfferedTerms(courseGraph.getOfferedTerms(code), courseGraph.scheduledTerms),
+    sections: courseGraph.getSections(code)
   });
 });
 
@@ -151,10 +262,103 @@ app.get('/api/course/:code/dependents', (req, res) => {
   res.json(dependents);
 });
 
+app.get('/api/course/:code/ancestry', (req, res) => {
+  // With merged cross-listings, any code of the group finds the merged course
+  const code = courseGraph.resolveCode(req.params.code.toUpperCase().replace('-', ' '));
+  const direction = (req.query.direction || 'up').toLowerCase();
+  // No maxDepth means no limit; maxDepth=0 returns no courses
+  const maxDepth = req.query.maxDepth === undefined ? Infinity : Number(req.query.maxDepth);
+
+  if (!courseGraph.nodes.has(code)) {
+    return res.status(404).json({ error: 'Course not found' });
+  }
+
+  if (direction !== 'up' && direction !== 'down') {
+    return res.status(400).json({ error: 'direction must be "up" or "down"' });
+  }
+
+  if (maxDepth !== Infinity && !/^\d+$/.test(req.query.maxDepth)) {
+    return res.status(400).json({ error: 'maxDepth must be a non-negative integer' });
+  }
+
+  res.json(courseGraph.getAncestry(code, direction, maxDepth));
+});
+
+app.get('/api/catalog', (req, res) => {
+  res.json(catalog.adapter);
+});
+
+app.get('/api/health', (req, res) => {
+  const { status, ...details } = courseDataset.getHealth();
+  res.json({
+    status,
+    catalog: catalog ? catalog.id : null,
+    ...details
+  });
+});
+
 app.get('/api/stats', (req, res) => {
   res.json(courseGraph.getStats());
 });
 
+const ANALYTICS_SORTS = ['transitiveDependents', 'betweenness', 'longestChain', 'pageRank'];
+
+app.get('/api/analytics/courses', (req, res) => {
+  const sort = req.query.sort || 'transitiveDependents';
+  const dept = req.query.dept ? req.query.dept.toUpperCase() : null;
+  // limit=all returns every course (used by the frontend for node sizing)
+  const all = req.query.limit === 'all';
+  const limit = req.query.limit === undefined || all ? 50 : Math.min(Number(req.query.limit), 500);
+
+  if (!ANALYTICS_SORTS.includes(sort)) {
+    return res.status(400).json({ error: `Unknown sort. Use one of: ${ANALYTICS_SORTS.join(', ')}` });
+  }
+
+  if (req.query.limit !== undefined && !all && !/^[1-9]\d*$/.test(req.query.limit)) {
+    return res.status(400).json({ error: 'limit must be a positive integer or "all"' });
+  }
+
+  const courses = [];
+  courseGraph.getCourseAnalytics().forEach((metrics, code) => {
+    const node = courseGraph.nodes.get(code);
+    if (dept && node.department !== dept) return;
+    courses.push({ code, name: node.name, department: node.department, ...metrics });
+  });
+
+  courses.sort((a, b) => b[sort] - a[sort] || a.code.localeCompare(b.code, undefined, { numeric: true }));
+  res.json(all ? courses : courses.slice(0, limit));
+});
+
+app.get('/api/diagnostics', (req, res) => {
+  const report = courseGraph.validate();
+  res.json({
+    summary: summarizeReport(report),
+    ...report
+  });
+});
+
+app.get('/api/changes', async (req, res) => {
+  const snapshots = await catalogHistory.listSnapshots();
+
+  // Default to comparing the two most recent snapshots
+  const to = req.query.to || snapshots[snapshots.length - 1];
+  const from = req.query.from || snapshots[snapshots.indexOf(to) - 1];
+
+  if (!from || !to) {
+    return res.status(400).json({
+      error: 'Need two snapshots to compare',
+      snapshots
+    });
+  }
+
+  const diff = await catalogHistory.diffSnapshots(from, to);
+  if (!diff) {
+    return res.status(404).json({ error: 'Snapshot not found', snapshots });
+  }
+
+  res.json(diff);
+});
+
 // Scraping endpoint removed - data is now pre-scraped and committed to repository
 // To update data: run `npm run scrape` locally, then commit and push data/courses.json
 
@@ -167,11 +371,11 @@ app.get('/api/no-prerequisites', (req, res) => {
   const noPrereqCourses = [];
 
   coursesData.forEach(course => {
-    const description = course.description || '';
-    const prereqIndex = description.indexOf('Prerequisite:');
+    // Text after "Prerequisite:" up to "Credit Hours:", "Same as" or the end
+    let prereqText = extractPrerequisiteText(course.description);
 
     // Case 1: No "Prerequisite:" keyword at all - truly no prerequisites
-    if (prereqIndex === -1) {
+    if (prereqText === null) {
       if (course.prerequisites.length === 0 && course.corequisites.length === 0) {
         noPrereqCourses.push({
           code: course.code,
@@ -185,21 +389,6 @@ app.get('/api/no-prerequisites', (req, res) => {
       // Case 2: "Prerequisite:" keyword exists
       // Check if there are actual course links after it
       if (course.prerequisites.length === 0 && course.corequisites.length === 0) {
-        // Extract the text after "Prerequisite:" up to the next section or end
-        const prereqSection = description.substring(prereqIndex);
-        // Find the end of the prerequisite section (look for common section markers)
-        const sectionEndMarkers = [
-          prereqSection.indexOf('Credit Hours:'),
-          prereqSection.indexOf('Same as'),
-          prereqSection.length
-        ].filter(idx => idx !== -1);
-        const sectionEnd = Math.min(...sectionEndMarkers);
-
-        let prereqText = prereqSection.substring('Prerequisite:'.length, sectionEnd).trim();
-
-        // Clean up the text (remove extra whitespace)
-        prereqText = prereqText.replace(/\s+/g, ' ').trim();
-
         // Limit length for display
         if (prereqText.length > 150) {
           prereqText = prereqText.substring(0, 150) + '...';
@@ -225,6 +414,9 @@ app.get('/api/no-prerequisites', (req, res) => {
 app.post('/api/suggest-courses', (req, res) => {
   const completedCourses = req.body.completedCourses || [];
   const orGroups = req.body.orGroups || null;
+  // "transcript" mode treats the list as everything the student has completed,
+  // instead of looking for courses that require ALL of the listed courses
+  const transcriptMode = req.body.mode === 'transcript';
 
   const completedSet = new Set(completedCourses.map(c => c.toUpperCase()));
 
@@ -247,17 +439,22 @@ app.post('/api/suggest-courses', (req, res) => {
   };
 
   coursesData.forEach(course => {
-    // Skip if already completed (check all OR groups if applicable)
-    const isAlreadyCompleted = orGroups
-      ? orGroups.some(group => group.includes(course.code))
-      : completedSet.has(course.code);
+    // Skip if already completed (check all OR groups if applicable), including under a cross-listed code
+    const isAlreadyCompleted = courseGraph.withCrossListings(isPrereqSatisfied)(course.code);
 
     if (isAlreadyCompleted) return;
 
     const prereqs = course.prerequisites || [];
     const coreqs = course.corequisites || [];
 
-    if (prereqs.length === 0 && coreqs.length === 0) {
+    // Evaluate the AND/OR requirement tree instead of treating every linked course as required
+    const evaluation = courseGraph.evaluateRequirements(course.code, isPrereqSatisfied);
+
+    // When the course is scheduled, e.g. "Offered Fall 2026 and Spring 2027" (null without a schedule)
+    const offeredTerms = courseGraph.getOfferedTerms(course.code);
+    const offered = formatOfferedTerms(offeredTerms, courseGraph.scheduledTerms);
+
+    if (evaluation.courses.length === 0) {
       // No prerequisites required
       suggestions.noPrereqs.push({
         code: course.code,
@@ -265,70 +462,59 @@ app.post('/api/suggest-courses', (req, res) => {
         department: course.department,
         prerequisites: [],
         corequisites: [],
+        requirementText: '',
         missingPrereqs: [],
-        missingCoreqs: []
+        missingCoreqs: [],
+        offeredTerms,
+        offered
       });
-    } else {
-      // Check which prerequisites are met
-      const missingPrereqs = prereqs.filter(p => !isPrereqSatisfied(p));
-      const missingCoreqs = coreqs.filter(c => !isPrereqSatisfied(c));
-      const completedPrereqs = prereqs.filter(p => isPrereqSatisfied(p));
-      const completedCoreqs = coreqs.filter(c => isPrereqSatisfied(c));
-
-      // For comma-separated (AND) mode: check if ALL completed courses are prerequisites
-      if (!orGroups && completedCourses.length > 0) {
-        const allCompletedArePrereqs = completedCourses.every(completed =>
-          prereqs.includes(completed) || coreqs.includes(completed)
-        );
-
-        if (allCompletedArePrereqs && missingPrereqs.length === 0 && missingCoreqs.length === 0) {
-          // This course requires ALL the completed courses
-          suggestions.canTake.push({
-            code: course.code,
-            name: course.name,
-            department: course.department,
-            prerequisites: prereqs,
-            corequisites: coreqs,
-            missingPrereqs: [],
-            missingCoreqs: []
-          });
-        } else if (allCompletedArePrereqs && (missingPrereqs.length > 0 || missingCoreqs.length > 0)) {
-          // Course requires all completed courses but has other missing prerequisites
-          suggestions.partialPrereqs.push({
-            code: course.code,
-            name: course.name,
-            department: course.department,
-            prerequisites: prereqs,
-            corequisites: coreqs,
-            missingPrereqs,
-            missingCoreqs
-          });
-        }
+      return;
+    }
+
+    // Split unmet requirements into those that allow concurrent registration and those that don't
+    const missingPrereqs = evaluation.unmet
+      .filter(r => !allowsConcurrent(r))
+      .map(formatRequirement);
+    const missingCoreqs = evaluation.unmet
+      .filter(allowsConcurrent)
+      .map(formatRequirement);
+
+    const suggestion = {
+      code: course.code,
+      name: course.name,
+      department: course.department,
+      prerequisites: prereqs,
+      corequisites: coreqs,
+      requirementText: formatRequirement(courseGraph.getRequirements(course.code)),
+      missingPrereqs,
+      missingCoreqs,
+      offeredTerms,
+      offered
+    };
+
+    // For comma-separated (AND) mode: check if ALL completed courses are mentioned in the requirements
+    if (!orGroups && !transcriptMode && completedCourses.length > 0) {
+      const allCompletedArePrereqs = completedCourses.every(completed =>
+        [completed, ...courseGraph.getCrossListings(completed)].some(code => evaluation.courses.includes(code))
+      );
+
+      if (!allCompletedArePrereqs) return;
+
+      if (evaluation.met) {
+        // This course requires ALL the completed courses and nothing else is missing
+        suggestions.canTake.push(suggestion);
       } else {
-        // OR mode or regular completion check
-        if (missingPrereqs.length === 0 && missingCoreqs.length === 0) {
-          // All prerequisites met
-          suggestions.canTake.push({
-            code: course.code,
-            name: course.name,
-            department: course.department,
-            prerequisites: prereqs,
-            corequisites: coreqs,
-            missingPrereqs: [],
-            missingCoreqs: []
-          });
-        } else if (completedPrereqs.length > 0 || completedCoreqs.length > 0) {
-          // Partial prerequisites met - at least one prerequisite/corequisite completed
-          suggestions.partialPrereqs.push({
-            code: course.code,
-            name: course.name,
-            department: course.department,
-            prerequisites: prereqs,
-            corequisites: coreqs,
-            missingPrereqs,
-            missingCoreqs
-          });
-        }
+        // Course requires all completed courses but has other missing prerequisites
+        suggestions.partialPrereqs.push(suggestion);
+      }
+    } else {
+      // OR mode or regular completion check
+      if (evaluation.met) {
+        // All requirements met
+        suggestions.canTake.push(suggestion);
+      } else if (evaluation.satisfiedCourses.length > 0) {
+        // Partial prerequisites met - at least one prerequisite/corequisite completed
+        suggestions.partialPrereqs.push(suggestion);
       }
     }
   });
@@ -341,8 +527,181 @@ app.post('/api/suggest-courses', (req, res) => {
   res.json(suggestions);
 });
 
+app.post('/api/eligibility', (req, res) => {
+  const normalize = (codes) => (Array.isArray(codes) ? codes : [])
+    .map(c => courseGraph.resolveCode(String(c).trim().toUpperCase().replace('-', ' ')))
+    .filter(c => c.length > 0);
+
+  if (!Array.isArray(req.body.completed)) {
+    return res.status(400).json({ error: 'completed must be an array of course codes' });
+  }
+
+  // Without a course list, every course in the catalog is evaluated
+  const courses = Array.isArray(req.body.courses) ? normalize(req.body.courses) : null;
+  const statuses = courseGraph.getEligibility(normalize(req.body.completed), courses);
+
+  const counts = { completed: 0, eligible: 0, concurrent: 0, 'one-away': 0, locked: 0 };
+  statuses.forEach(({ status }) => { counts[status]++; });
+
+  res.json({ counts, courses: Object.fromEntries(statuses) });
+});
+
+app.post('/api/transcript', (req, res) => {
+  const text = req.body.text;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'text must be a non-empty CSV or plain-text transcript' });
+  }
+
+  res.json(parseTranscript(text, {
+    codePattern: catalog.adapter.getCodePattern(''),
+    knownCodes: new Set(coursesData.map(c => c.code))
+  }));
+});
+
+app.get('/api/programs', (req, res) => {
+  res.json([...programs.values()].map(program => ({
+    id: program.id,
+    name: program.name,
+    requirements: program.requirements.length
+  })));
+});
+
+app.post('/api/audit', (req, res) => {
+  if (!req.body.program || !Array.isArray(req.body.completed)) {
+    return res.status(400).json({ error: 'program and completed (array of course codes) are required' });
+  }
+
+  const program = programs.get(req.body.program);
+  const completed = req.body.completed.map(code => String(code).toUpperCase());
+
+  if (!program) {
+    return res.status(404).json({ error: `Unknown program "${req.body.program}"` });
+  }
+
+  const audit = new ProgramAudit(courseGraph);
+  res.json(audit.audit(program, completed));
+});
+
+/**
+ * Adds list/create/read/update/delete routes for a record store
+ * @param {string} route - Base route (e.g., "/api/profiles")
+ * @param {Function} getStore - Returns the store (stores are created once the catalog is loaded)
+ * @param {Function} normalize - Async; turns a request body into { record, problems }
+ */
+function addRecordRoutes(route, getStore, normalize) {
+  const handle = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Error in ${req.method} ${req.originalUrl}:`, error.message);
+      res.status(500).json({ error: 'Could not access saved data' });
+    }
+  };
+
+  app.get(route, handle(async (req, res) => {
+    res.json(await getStore().list());
+  }));
+
+  app.post(route, handle(async (req, res) => {
+    const { record, problems } = await normalize(req.body);
+    if (problems.length > 0) return res.status(400).json({ error: problems.join('; ') });
+    res.status(201).json(await getStore().create(record));
+  }));
+
+  app.get(`${route}/:id`, handle(async (req, res) => {
+    const record = await getStore().get(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Not found' });
+    res.json(record);
+  }));
+
+  app.put(`${route}/:id`, handle(async (req, res) => {
+    const { record, problems } = await normalize(req.body);
+    if (problems.length > 0) return res.status(400).json({ error: problems.join('; ') });
+    const updated = await getStore().update(req.params.id, record);
+    if (!updated) return res.status(404).json({ error: 'Not found' });
+    res.json(updated);
+  }));
+
+  app.delete(`${route}/:id`, handle(async (req, res) => {
+    if (!await getStore().remove(req.params.id)) return res.status(404).json({ error: 'Not found' });
+    res.status(204).end();
+  }));
+}
+
+addRecordRoutes('/api/profiles', () => profileStore, async (body) => {
+  const { profile, problems } = normalizeProfile(body, catalog.adapter.getCodePattern(''));
+  return { record: profile, problems };
+});
+
+addRecordRoutes('/api/plans', () => planStore, async (body) => {
+  const { plan, problems } = normalizePlan(body, catalog.adapter.getCodePattern(''));
+  // A plan may belong to a saved profile
+  if (plan.profileId && !await profileStore.get(plan.profileId)) {
+    problems.push(`profile "${plan.profileId}" not found`);
+  }
+  return { record: plan, problems };
+});
+
+app.post('/api/plan', (req, res) => {
+  const normalize = (codes) => (Array.isArray(codes) ? codes : [])
+    .map(c => String(c).trim().toUpperCase().replace('-', ' '))
+    .filter(c => c.length > 0);
+
+  const targets = normalize(req.body.targets);
+  const completed = normalize(req.body.completed);
+  const maxCredits = parseInt(req.body.maxCredits) || 18;
+  const terms = parseInt(req.body.terms) || 8;
+
+  if (targets.length === 0) {
+    return res.status(400).json({ error: 'No target courses specified' });
+  }
+
+  const planner = new DegreePlanner(courseGraph);
+  res.json(planner.plan({ targets, completed, maxCredits, terms }));
+});
+
+app.get('/api/schedule/terms', (req, res) => {
+  res.json({ terms: courseGraph.scheduledTerms });
+});
+
+app.post('/api/schedule/solve', (req, res) => {
+  if (courseGraph.scheduledTerms.length === 0) {
+    return res.status(404).json({ error: 'No class schedule loaded (run npm run scrape-schedule)' });
+  }
+
+  const courses = [...new Set((Array.isArray(req.body.courses) ? req.body.courses : [])
+    .map(c => courseGraph.resolveCode(String(c).trim().toUpperCase().replace('-', ' ')))
+    .filter(c => c.length > 0))];
+  if (courses.length === 0) {
+    return res.status(400).json({ error: 'No courses specified' });
+  }
+
+  // Defaults to the first term in the schedule
+  const term = req.body.term || courseGraph.scheduledTerms[0];
+  if (!courseGraph.scheduledTerms.includes(term)) {
+    return res.status(400).json({ error: `term must be one of: ${courseGraph.scheduledTerms.join(', ')}` });
+  }
+
+  const { constraints, problems } = normalizeConstraints(req.body.constraints);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: problems.join('; ') });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.body.limit) || 5, 1), 20);
+  const solver = new ScheduleSolver(courseGraph);
+  res.json({
+    term,
+    courses,
+    ...solver.solve({ courses, term, constraints, limit })
+  });
+});
+
 loadCourseData().then(() => {
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
   });
+}).catch(error => {
+  console.error('Failed to load catalog:', error.message);
+  process.exitCode = 1;
 });
@@ -0,0 +1,220 @@
+// Degree requirement audit
+// Checks a completed-course list against a program definition from data/programs/*.json
+// and lists the courses a student could take next to close each remaining gap
+//
+// Program format:
+// {
+//   "id": "cs-bs",
+//   "name": "Computer Science, BS",
+//   "requirements": [
+//     { "id": "core", "name": "Core", "type": "required", "courses": ["CS 124", "CS 128"] },
+//     { "id": "calc", "name": "Calculus", "type": "choose", "count": 1, "courses": ["MATH 220", "MATH 221"] },
+//     { "id": "electives", "name": "Electives", "type": "credits", "minCredits": 12,
+//       "courses": ["STAT 400"], "departments": ["CS"], "minLevel": 400 }
+//   ]
+// }
+// Requirements are checked in order, and a course counts toward only one of them
+const fs = require('fs').promises;
+const path = require('path');
+
+const REQUIREMENT_TYPES = ['required', 'choose', 'credits'];
+
+/**
+ * Checks that a program definition is usable
+ * @param {object} program - Parsed program JSON
+ * @returns {Array} Problems found (empty if the program is valid)
+ */
+function validateProgram(program) {
+  const problems = [];
+  if (!program.id) problems.push('missing "id"');
+  if (!program.name) problems.push('missing "name"');
+  if (!Array.isArray(program.requirements)) {
+    problems.push('"requirements" must be an array');
+    return problems;
+  }
+
+  program.requirements.forEach((requirement, i) => {
+    const label = requirement.id || `requirement ${i + 1}`;
+    if (!REQUIREMENT_TYPES.includes(requirement.type)) {
+      problems.push(`${label}: type must be one of ${REQUIREMENT_TYPES.join(', ')}`);
+    }
+    if (requirement.type !== 'credits' && !Array.isArray(requirement.courses)) {
+      problems.push(`${label}: "courses" must be an array`);
+    }
+    if (requirement.type === 'choose' && !(requirement.count > 0)) {
+      problems.push(`${label}: "count" must be a positive number`);
+    }
+    if (requirement.type === 'credits') {
+      if (!(requirement.minCredits > 0)) problems.push(`${label}: "minCredits" must be a positive number`);
+      if (!requirement.courses && !requirement.departments) {
+        problems.push(`${label}: needs "courses" or "departments" to define its category`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Loads every program definition in a directory
+ * @param {string} programDir - Directory with one JSON file per program
+ * @returns {Map} program id -> program (invalid files are skipped with a warning)
+ */
+async function loadPrograms(programDir) {
+  const programs = new Map();
+  let files = [];
+  try {
+    files = (await fs.readdir(programDir)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    return programs; // No programs defined
+  }
+
+  for (const file of files) {
+    try {
+      const program = JSON.parse(await fs.readFile(path.join(programDir, file), 'utf-8'));
+      const problems = validateProgram(program);
+      if (problems.length > 0) {
+        console.warn(`Skipping program ${file}: ${problems.join('; ')}`);
+        continue;
+      }
+      programs.set(program.id, program);
+    } catch (error) {
+      console.warn(`Skipping program ${file}: ${error.message}`);
+    }
+  }
+
+  return programs;
+}
+
+class ProgramAudit {
+  constructor(courseGraph, options = {}) {
+    this.graph = courseGraph; // CourseGraph with nodes and requirement trees
+    this.defaultCredits = options.defaultCredits || 3; // Credits assumed when a course has none recorded
+    this.maxEligible = options.maxEligible || 25; // Eligible courses listed per unsatisfied requirement
+  }
+
+  /**
+   * Gets the credit hours a course counts for
+   * @param {string} code - Course code
+   * @returns {number} Credit hours (minimum for variable-credit courses)
+   */
+  getCredits(code) {
+    const node = this.graph.nodes.get(code);
+    return (node && (node.minCredits || node.maxCredits)) || this.defaultCredits;
+  }
+
+  /**
+   * Checks whether a course belongs to a requirement's category
+   * @param {object} requirement - Requirement from the program definition
+   * @param {string} code - Course code
+   * @returns {boolean} True if the course can count toward the requirement
+   */
+  isInCategory(requirement, code) {
+    if ((requirement.courses || []).includes(code)) return true;
+    if (!requirement.departments) return false;
+
+    const node = this.graph.nodes.get(code);
+    if (!node || !requirement.departments.includes(node.department)) return false;
+    if (requirement.minLevel && !(node.level >= requirement.minLevel)) return false;
+    if (requirement.maxLevel && !(node.level <= requirement.maxLevel)) return false;
+    return !(requirement.excludeCourses || []).includes(code);
+  }
+
+  /**
+   * Finds courses in a requirement's category that the student can take now
+   * @param {object} requirement - Requirement from the program definition
+   * @param {Function} isCompleted - Returns true for completed course codes
+   * @returns {Array} Eligible courses with code, name and credits
+   */
+  findEligibleCourses(requirement, isCompleted) {
+    const candidates = requirement.type === 'credits' && requirement.departments
+      ? [...this.graph.nodes.keys()]
+      : requirement.courses;
+
+    return candidates
+      .filter(code => this.graph.nodes.has(code) && !isCompleted(code) && this.isInCategory(requirement, code))
+      .filter(code => this.graph.evaluateRequirements(code, isCompleted).met)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .slice(0, this.maxEligible)
+      .map(code => ({
+        code,
+        name: this.graph.nodes.get(code).name,
+        credits: this.getCredits(code)
+      }));
+  }
+
+  /**
+   * Audits completed courses against a program
+   * @param {object} program - Program definition
+   * @param {Array} completed - Completed course codes
+   * @returns {object} Overall result and the status of each requirement
+   */
+  audit(program, completed) {
+    // Completing one code of a cross-listed pair counts for the other
+    const completedSet = new Set(completed.flatMap(code => [code, ...this.graph.getCrossListings(code)]));
+    const isCompleted = code => completedSet.has(code);
+    const used = new Set(); // Completed courses already counted toward a requirement
+
+    // Takes completed, not-yet-used courses from a list (and their cross-listed codes)
+    const claim = (codes) => codes.filter(code => {
+      if (!isCompleted(code) || used.has(code)) return false;
+      [code, ...this.graph.getCrossListings(code)].forEach(c => used.add(c));
+      return true;
+    });
+
+    const requirements = program.requirements.map(requirement => {
+      const result = {
+        id: requirement.id,
+        name: requirement.name,
+        type: requirement.type
+      };
+
+      if (requirement.type === 'required') {
+        result.completedCourses = claim(requirement.courses);
+        // A completed course already counted toward an earlier requirement is still remaining here
+        result.remainingCourses = requirement.courses.filter(code => !result.completedCourses.includes(code));
+        result.satisfied = result.remainingCourses.length === 0;
+      } else if (requirement.type === 'choose') {
+        const available = requirement.courses.filter(code => isCompleted(code) && !used.has(code));
+        result.completedCourses = claim(available.slice(0, requirement.count));
+        result.count = requirement.count;
+        result.remainingCount = Math.max(0, requirement.count - result.completedCourses.length);
+        result.satisfied = result.remainingCount === 0;
+      } else {
+        // Credit minimum: count completed courses in the category until the minimum is reached
+        const inCategory = [...completedSet]
+          .filter(code => !used.has(code) && this.isInCategory(requirement, code))
+          .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        const counted = [];
+        let credits = 0;
+        inCategory.forEach(code => {
+          if (credits >= requirement.minCredits) return;
+          if (claim([code]).length === 0) return; // Cross-listed with a course already counted
+          counted.push(code);
+          credits += this.getCredits(code);
+        });
+        result.completedCourses = counted;
+        result.minCredits = requirement.minCredits;
+        result.completedCredits = credits;
+        result.remainingCredits = Math.max(0, requirement.minCredits - credits);
+        result.satisfied = result.remainingCredits === 0;
+      }
+
+      // Courses the student could take now to make progress on an unmet requirement
+      result.eligibleCourses = result.satisfied ? [] : this.findEligibleCourses(requirement, isCompleted);
+      return result;
+    });
+
+    return {
+      program: { id: program.id, name: program.name },
+      satisfied: requirements.every(r => r.satisfied),
+      satisfiedRequirements: requirements.filter(r => r.satisfied).length,
+      totalRequirements: requirements.length,
+      requirements
+    };
+  }
+}
+
+module.exports = ProgramAudit;
+module.exports.loadPrograms = loadPrograms;
+module.exports.validateProgram = validateProgram;
@@ -0,0 +1,108 @@
+// Reading, validating and watching the scraped course data file (courses.json)
+// The server loads a new dataset only after it passes validation, so a half-written
+// or malformed file never replaces the courses it is serving
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Checks that parsed course data has the shape the graph and search expect
+ * @param {*} courses - Parsed contents of courses.json
+ * @returns {Array} Problems found (empty if the data is usable)
+ */
+function validateCourseData(courses) {
+  if (!Array.isArray(courses)) return ['course data must be an array of courses'];
+  if (courses.length === 0) return ['course data contains no courses'];
+
+  const problems = [];
+  const seen = new Set();
+  courses.forEach((course, i) => {
+    const label = course && course.code ? course.code : `course ${i + 1}`;
+    if (!course || typeof course !== 'object') {
+      problems.push(`${label}: not an object`);
+      return;
+    }
+    if (typeof course.code !== 'string' || !course.code.trim()) problems.push(`${label}: missing "code"`);
+    if (typeof course.department !== 'string' || !course.department) problems.push(`${label}: missing "department"`);
+    if (!Array.isArray(course.prerequisites)) problems.push(`${label}: "prerequisites" must be an array`);
+    if (!Array.isArray(course.corequisites)) problems.push(`${label}: "corequisites" must be an array`);
+    if (seen.has(course.code)) problems.push(`${label}: listed more than once`);
+    seen.add(course.code);
+  });
+
+  return problems;
+}
+
+/**
+ * Reads and validates a course data file
+ * @param {string} dataPath - Path to courses.json
+ * @returns {object} courses and version (short hash of the file contents)
+ * @throws {Error} If the file can't be read or parsed, or fails validation
+ */
+async function readCourseData(dataPath) {
+  const text = await fs.promises.readFile(dataPath, 'utf-8');
+
+  let courses;
+  try {
+    courses = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${path.basename(dataPath)} is not valid JSON: ${error.message}`);
+  }
+
+  const problems = validateCourseData(courses);
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 5).join('; ');
+    const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+    throw new Error(`${path.basename(dataPath)} failed validation: ${shown}${more}`);
+  }
+
+  return {
+    courses,
+    version: crypto.createHash('sha1').update(text).digest('hex').slice(0, 12)
+  };
+}
+
+/**
+ * Calls onChange when a course data file is written or replaced
+ * Watches the directory rather than the file, because scrapers and deploy tools often
+ * replace the file (rename) instead of writing to it, which ends a watch on the file itself
+ * Watch errors (e.g. no data directory yet) are logged and turn hot reloading off instead of stopping the server
+ * @param {string} dataPath - Path to courses.json
+ * @param {Function} onChange - Called once the file has been quiet for debounceMs
+ * @param {number} debounceMs - Wait for writes to settle before calling onChange
+ * @returns {Function} Stops watching
+ */
+function watchCourseData(dataPath, onChange, debounceMs = 500) {
+  const fileName = path.basename(dataPath);
+  let timer = null;
+
+  let watcher;
+  try {
+    watcher = fs.watch(path.dirname(dataPath), (eventType, changedFile) => {
+      if (changedFile && changedFile !== fileName) return;
+      clearTimeout(timer);
+      timer = setTimeout(onChange, debounceMs);
+    });
+  } catch (error) {
+    console.error(`Not watching ${fileName} for changes: ${error.message}`);
+    return () => {};
+  }
+
+  // e.g. the data directory was removed while the server was running
+  watcher.on('error', error => {
+    console.error(`Stopped watching ${fileName} for changes: ${error.message}`);
+    clearTimeout(timer);
+    watcher.close();
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+module.exports = {
+  validateCourseData,
+  readCourseData,
+  watchCourseData
+};
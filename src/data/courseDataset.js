@@ -0,0 +1,141 @@
+// The course data the server is serving: courses, graph and search index, built from
+// courses.json and the optional schedule.json in a catalog's data directory
+// A reload builds everything first and swaps it in at once, so requests never see a
+// half-built dataset, and a file that fails validation leaves the previous data in use
+const path = require('path');
+const CourseGraph = require('../graph/graphBuilder');
+const CourseSearch = require('../search/courseSearch');
+const { readCourseData } = require('./courseDataLoader');
+const { readScheduleData } = require('./scheduleData');
+
+class CourseDataset {
+  /**
+   * @param {object} options - Dataset options
+   * @param {string} options.dataDir - Directory holding courses.json and schedule.json
+   * @param {string} options.institution - Tagged on courses that don't store one (older data files)
+   * @param {boolean} options.mergeCrossListings - Show each cross-listed group as one node
+   * @param {Function} options.onLoad - Called with { courses, graph, search } after each swap
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir;
+    this.institution = options.institution || null;
+    this.mergeCrossListings = Boolean(options.mergeCrossListings);
+    this.onLoad = options.onLoad || (() => {});
+
+    // What's being served
+    this.courses = [];
+    this.graph = new CourseGraph({ mergeCrossListings: this.mergeCrossListings });
+    this.search = new CourseSearch();
+
+    // For /api/health
+    this.version = null; // Short hash of the loaded courses.json
+    this.scheduleVersion = null; // Short hash of the loaded schedule.json (null if there is none)
+    this.loadedAt = null;
+    this.lastReloadAt = null; // Last load attempt, successful or not
+    this.lastReloadError = null; // Why the last attempt was rejected (the previous data stays in use)
+    this.scheduleError = null; // Why schedule.json couldn't be loaded (courses are served without a schedule)
+
+    this.reloading = null; // Promise of the reload in progress, so file events don't overlap
+  }
+
+  /**
+   * Loads the data files again, keeping the current data if they can't be used
+   * A reload requested while one is running waits for it, then reads the files as they are now
+   */
+  async reload() {
+    while (this.reloading) await this.reloading;
+    this.reloading = this.load().finally(() => { this.reloading = null; });
+    return this.reloading;
+  }
+
+  async load() {
+    this.lastReloadAt = new Date().toISOString();
+
+    try {
+      const { courses, version } = await readCourseData(path.join(this.dataDir, 'courses.json'));
+      const scheduleData = await this.loadSchedule();
+      const scheduleVersion = scheduleData ? scheduleData.version : null;
+      if (version === this.version && scheduleVersion === this.scheduleVersion) {
+        this.lastReloadError = null; // Touched but unchanged (or put back after a rejected edit)
+        return;
+      }
+
+      // Tag every course with its institution (older data files don't store it)
+      const nextCourses = courses.map(course => ({
+        ...course,
+        institution: course.institution || this.institution
+      }));
+
+      // Build everything before swapping, so requests never see a half-built dataset
+      const nextGraph = new CourseGraph({ mergeCrossListings: this.mergeCrossListings });
+      nextGraph.buildFromCourses(nextCourses);
+      nextGraph.setSchedule(scheduleData ? scheduleData.schedule : null);
+      const nextSearch = new CourseSearch();
+      nextSearch.build(nextCourses);
+
+      this.courses = nextCourses;
+      this.graph = nextGraph;
+      this.search = nextSearch;
+      this.version = version;
+      this.scheduleVersion = scheduleVersion;
+      this.loadedAt = this.lastReloadAt;
+      this.lastReloadError = null;
+      this.onLoad({ courses: nextCourses, graph: nextGraph, search: nextSearch });
+
+      console.log(`Course data loaded successfully (version ${version})`);
+      if (scheduleData) {
+        console.log(`Class schedule loaded: ${scheduleData.schedule.sections.length} sections in ${scheduleData.schedule.terms.join(', ')}`);
+      }
+      console.log('Graph stats:', nextGraph.getStats());
+    } catch (error) {
+      if (error.code === 'ENOENT' && !this.version) {
+        console.log('No existing course data found. Run scraper first.');
+        this.lastReloadError = 'courses.json not found';
+        return;
+      }
+      // Keep serving the previous data
+      this.lastReloadError = error.message;
+      console.error(`Course data not reloaded: ${error.message}`);
+    }
+  }
+
+  async loadSchedule() {
+    // The class schedule is optional and kept in its own file, so a bad schedule never blocks the courses
+    try {
+      const scheduleData = await readScheduleData(path.join(this.dataDir, 'schedule.json'));
+      this.scheduleError = null;
+      return scheduleData;
+    } catch (error) {
+      this.scheduleError = error.message;
+      console.error(`Class schedule not loaded: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Describes the data being served
+   * "degraded": the data file changed but couldn't be loaded, so older data is being served,
+   * or schedule.json couldn't be loaded, so courses are served without offering information
+   * @returns {object} status, version, loadedAt, courses (count), schedule, lastReloadAt, lastReloadError and scheduleError
+   */
+  getHealth() {
+    let status = 'ok';
+    if (!this.version) status = 'no-data';
+    else if (this.lastReloadError || this.scheduleError) status = 'degraded';
+
+    return {
+      status,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      courses: this.courses.length,
+      schedule: this.scheduleVersion
+        ? { version: this.scheduleVersion, terms: this.graph.scheduledTerms }
+        : null,
+      lastReloadAt: this.lastReloadAt,
+      lastReloadError: this.lastReloadError,
+      scheduleError: this.scheduleError
+    };
+  }
+}
+
+module.exports = CourseDataset;
@@ -0,0 +1,91 @@
+// Reading and validating the scraped class schedule (schedule.json, see src/scraper/scheduleScraper.js)
+// The schedule is optional: without it, courses simply have no offering information
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Checks that parsed schedule data has the shape the graph expects
+ * @param {*} schedule - Parsed contents of schedule.json
+ * @returns {Array} Problems found (empty if the data is usable)
+ */
+function validateScheduleData(schedule) {
+  if (!schedule || typeof schedule !== 'object') return ['schedule data must be an object'];
+  if (!Array.isArray(schedule.terms)) return ['"terms" must be an array of term names'];
+  if (!Array.isArray(schedule.sections)) return ['"sections" must be an array'];
+
+  const problems = [];
+  schedule.sections.forEach((section, i) => {
+    const label = section && section.crn ? `${section.term} CRN ${section.crn}` : `section ${i + 1}`;
+    if (!section || typeof section !== 'object') {
+      problems.push(`${label}: not an object`);
+      return;
+    }
+    if (typeof section.course !== 'string' || !section.course) problems.push(`${label}: missing "course"`);
+    if (!schedule.terms.includes(section.term)) problems.push(`${label}: term "${section.term}" is not listed in "terms"`);
+    if (!Array.isArray(section.meetings)) problems.push(`${label}: "meetings" must be an array`);
+  });
+
+  return problems;
+}
+
+/**
+ * Reads and validates a schedule file
+ * @param {string} schedulePath - Path to schedule.json
+ * @returns {object|null} schedule and version (short hash of the file contents), or null if there is no file
+ * @throws {Error} If the file can't be parsed or fails validation
+ */
+async function readScheduleData(schedulePath) {
+  let text;
+  try {
+    text = await fs.promises.readFile(schedulePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null; // Schedule not scraped
+    throw error;
+  }
+
+  let schedule;
+  try {
+    schedule = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${path.basename(schedulePath)} is not valid JSON: ${error.message}`);
+  }
+
+  const problems = validateScheduleData(schedule);
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 5).join('; ');
+    const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+    throw new Error(`${path.basename(schedulePath)} failed validation: ${shown}${more}`);
+  }
+
+  return {
+    schedule,
+    version: crypto.createHash('sha1').update(text).digest('hex').slice(0, 12)
+  };
+}
+
+/**
+ * Describes when a course is offered
+ * Example: (["Fall 2026", "Spring 2027"]) -> "Offered Fall 2026 and Spring 2027"
+ * @param {Array|null} offeredTerms - Terms with sections of the course (null if no schedule is loaded)
+ * @param {Array} scheduledTerms - Every term in the schedule
+ * @returns {string|null} Description, or null if no schedule is loaded
+ */
+function formatOfferedTerms(offeredTerms, scheduledTerms) {
+  if (!offeredTerms) return null;
+
+  const join = (terms, word) => (terms.length > 1
+    ? `${terms.slice(0, -1).join(', ')} ${word} ${terms[terms.length - 1]}`
+    : terms[0]);
+
+  if (offeredTerms.length === 0) {
+    return scheduledTerms.length > 0 ? `Not offered ${join(scheduledTerms, 'or')}` : null;
+  }
+  return `Offered ${join(offeredTerms, 'and')}`;
+}
+
+module.exports = {
+  validateScheduleData,
+  readScheduleData,
+  formatOfferedTerms
+};
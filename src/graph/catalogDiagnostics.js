@@ -0,0 +1,104 @@
+// Catalog anomaly report for scraped course data
+// Run directly to check data/courses.json against a saved baseline of known anomalies:
+//   node src/graph/catalogDiagnostics.js                    - exit code 1 if new anomalies appear
+//   node src/graph/catalogDiagnostics.js --update-baseline  - accept the current anomalies
+//   --catalog ID checks another catalog from config/catalogs.json (default: CATALOG env variable, then illinois)
+const fs = require('fs').promises;
+const path = require('path');
+const CourseGraph = require('./graphBuilder');
+const { loadCatalog } = require('../scraper/adapters');
+
+/**
+ * Counts each kind of anomaly in a validation report
+ * @param {object} report - Result of CourseGraph.validate()
+ * @returns {object} Anomaly kind -> count
+ */
+function summarizeReport(report) {
+  const summary = {};
+  Object.keys(report).forEach(kind => {
+    summary[kind] = report[kind].length;
+  });
+  return summary;
+}
+
+/**
+ * Converts a validation report into stable string keys, one per anomaly
+ * Keys are used to compare a report against a previously accepted baseline
+ * @param {object} report - Result of CourseGraph.validate()
+ * @returns {Array} Sorted anomaly keys (e.g., "selfLoop:CS 225->CS 225:prerequisite")
+ */
+function getAnomalyKeys(report) {
+  const edgeKey = edge => `${edge.from}->${edge.to}:${edge.type}`;
+
+  return [
+    ...report.prerequisiteCycles.map(component => `cycle:${component.join(',')}`),
+    ...report.danglingEdges.map(edge => `dangling:${edgeKey(edge)}`),
+    ...report.selfLoops.map(edge => `selfLoop:${edgeKey(edge)}`),
+    ...report.duplicateEdges.map(edge => `duplicate:${edgeKey(edge)}`),
+    ...report.nonMutualCorequisites.map(edge => `nonMutualCorequisite:${edgeKey(edge)}`),
+    ...report.unparsedPrerequisites.map(code => `unparsed:${code}`)
+  ].sort();
+}
+
+/**
+ * Finds anomalies that are not in the baseline
+ * @param {object} report - Result of CourseGraph.validate()
+ * @param {Array} baselineKeys - Previously accepted anomaly keys
+ * @returns {Array} Anomaly keys not present in the baseline
+ */
+function findNewAnomalies(report, baselineKeys) {
+  const baseline = new Set(baselineKeys);
+  return getAnomalyKeys(report).filter(key => !baseline.has(key));
+}
+
+// If this file is run directly (not imported as a module), check the saved course data
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const updateBaseline = args.includes('--update-baseline');
+
+    const catalogIndex = args.indexOf('--catalog');
+    const catalog = await loadCatalog(catalogIndex !== -1 ? args[catalogIndex + 1] : undefined);
+    const baselineFile = path.join(catalog.dataDir, 'diagnostics-baseline.json');
+
+    const courses = JSON.parse(await fs.readFile(path.join(catalog.dataDir, 'courses.json'), 'utf-8'));
+    const graph = new CourseGraph();
+    graph.buildFromCourses(courses);
+
+    const report = graph.validate();
+    const keys = getAnomalyKeys(report);
+    console.log('Anomalies found:', summarizeReport(report));
+
+    if (updateBaseline) {
+      await fs.writeFile(baselineFile, JSON.stringify(keys, null, 2));
+      console.log(`Baseline of ${keys.length} anomalies saved to ${baselineFile}`);
+      return;
+    }
+
+    // Without a baseline every anomaly counts as new
+    let baselineKeys = [];
+    try {
+      baselineKeys = JSON.parse(await fs.readFile(baselineFile, 'utf-8'));
+    } catch (error) {
+      console.log('No diagnostics baseline found. Run with --update-baseline to create one.');
+    }
+
+    const newAnomalies = findNewAnomalies(report, baselineKeys);
+    if (newAnomalies.length > 0) {
+      console.error(`\n${newAnomalies.length} new anomalies:`);
+      newAnomalies.forEach(key => console.error(`  ${key}`));
+      process.exitCode = 1;
+    } else {
+      console.log('No new anomalies.');
+    }
+  })().catch(error => {
+    console.error('Diagnostics failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  summarizeReport,
+  getAnomalyKeys,
+  findNewAnomalies
+};
@@ -0,0 +1,163 @@
+// Benchmark for CourseGraph queries on a synthetic catalog
+// Compares the indexed queries against the linear edge scans they replaced
+// Usage: node src/graph/graphBenchmark.js [courseCount]
+const CourseGraph = require('./graphBuilder');
+
+/**
+ * Generates a synthetic catalog where each course requires a few lower-numbered courses
+ * A seeded pseudo-random generator keeps runs comparable
+ * @param {number} courseCount - Number of courses to generate
+ * @param {number} departmentCount - Number of departments to spread them across
+ * @returns {Array} Course objects in the scraper's format
+ */
+function generateCatalog(courseCount, departmentCount = 200) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const courses = [];
+  for (let i = 0; i < courseCount; i++) {
+    const department = `D${i % departmentCount}`;
+    const code = `${department} ${100 + Math.floor(i / departmentCount)}`;
+
+    // Up to three prerequisites and occasionally one corequisite among earlier courses
+    const prerequisites = [];
+    const prereqCount = i < departmentCount ? 0 : Math.floor(random() * 4);
+    for (let p = 0; p < prereqCount; p++) {
+      const prereq = courses[Math.floor(random() * courses.length)].code;
+      if (!prerequisites.includes(prereq)) prerequisites.push(prereq);
+    }
+    const corequisites = i > 0 && random() < 0.1
+      ? [courses[Math.floor(random() * courses.length)].code].filter(c => !prerequisites.includes(c))
+      : [];
+
+    courses.push({
+      code,
+      name: `Course ${i}`,
+      department,
+      description: prerequisites.length > 0 ? `Prerequisite: ${prerequisites.join('; ')}.` : '',
+      prerequisites,
+      corequisites,
+      url: ''
+    });
+  }
+  return courses;
+}
+
+// Linear-scan versions of the queries, as they were implemented before the indexes
+const legacy = {
+  getNodesByDepartment: (graph, department) =>
+    Array.from(graph.nodes.values()).filter(node => node.department === department),
+  getPrerequisitesFor: (graph, code) =>
+    graph.edges
+      .filter(edge => edge.to === code && edge.type === 'prerequisite')
+      .map(edge => graph.nodes.get(edge.from)),
+  getDependentsFor: (graph, code) =>
+    graph.edges
+      .filter(edge => edge.from === code && edge.type === 'prerequisite')
+      .map(edge => graph.nodes.get(edge.to)),
+  departmentEdges: (graph, codes) =>
+    graph.edges.filter(e => codes.has(e.from) || codes.has(e.to)),
+  limitedEdges: (graph, limit) => {
+    const nodes = Array.from(graph.nodes.values());
+    return graph.edges.filter(e =>
+      nodes.slice(0, limit).some(n => n.id === e.from || n.id === e.to)
+    );
+  },
+  getSubgraph: (graph, courseCodes, depth) => {
+    const visited = new Set();
+    const queue = courseCodes.map(code => ({ code, level: 0 }));
+    while (queue.length > 0) {
+      const { code, level } = queue.shift();
+      if (visited.has(code) || level > depth) continue;
+      visited.add(code);
+      graph.edges
+        .filter(edge => edge.from === code || edge.to === code)
+        .forEach(edge => {
+          const nextCode = edge.from === code ? edge.to : edge.from;
+          if (!visited.has(nextCode)) queue.push({ code: nextCode, level: level + 1 });
+        });
+    }
+    return graph.edges.filter(edge => visited.has(edge.from) && visited.has(edge.to));
+  }
+};
+
+/**
+ * Runs a function several times and returns the average duration
+ * @param {function} fn - Function to time
+ * @param {number} iterations - Number of runs
+ * @returns {number} Average milliseconds per run
+ */
+function time(fn, iterations = 1) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < iterations; i++) fn();
+  return Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+}
+
+function runBenchmark(courseCount = 50000) {
+  console.log(`Generating synthetic catalog with ${courseCount} courses...`);
+  const courses = generateCatalog(courseCount);
+
+  const graph = new CourseGraph();
+  const buildTime = time(() => graph.buildFromCourses(courses));
+  console.log(`Built graph in ${buildTime.toFixed(1)}ms:`, graph.getStats());
+
+  const sampleCodes = courses.filter((_, i) => i % Math.ceil(courseCount / 100) === 0).map(c => c.code);
+  const department = courses[0].department;
+  const deptCodes = new Set(graph.getNodesByDepartment(department).map(n => n.id));
+
+  const cases = [
+    {
+      name: 'department nodes',
+      legacy: () => legacy.getNodesByDepartment(graph, department),
+      indexed: () => graph.getNodesByDepartment(department),
+      iterations: 20
+    },
+    {
+      name: 'prerequisites (100 courses)',
+      legacy: () => sampleCodes.forEach(code => legacy.getPrerequisitesFor(graph, code)),
+      indexed: () => sampleCodes.forEach(code => graph.getPrerequisitesFor(code))
+    },
+    {
+      name: 'dependents (100 courses)',
+      legacy: () => sampleCodes.forEach(code => legacy.getDependentsFor(graph, code)),
+      indexed: () => sampleCodes.forEach(code => graph.getDependentsFor(code))
+    },
+    {
+      name: 'department edges',
+      legacy: () => legacy.departmentEdges(graph, deptCodes),
+      indexed: () => graph.getConnectedEdges(deptCodes),
+      iterations: 20
+    },
+    {
+      name: '/api/graph limit=500 edges',
+      legacy: () => legacy.limitedEdges(graph, 500),
+      indexed: () => graph.getConnectedEdges(Array.from(graph.nodes.keys()).slice(0, 500))
+    },
+    {
+      name: 'subgraph depth 2 (10 courses)',
+      legacy: () => legacy.getSubgraph(graph, sampleCodes.slice(0, 10), 2),
+      indexed: () => graph.getSubgraph(sampleCodes.slice(0, 10), 2)
+    }
+  ];
+
+  console.log('\nQuery                           Linear scan     Indexed    Speedup');
+  cases.forEach(({ name, legacy: legacyFn, indexed, iterations = 1 }) => {
+    const legacyTime = time(legacyFn, iterations);
+    const indexedTime = time(indexed, iterations);
+    console.log(
+      `${name.padEnd(30)} ${legacyTime.toFixed(2).padStart(10)}ms ${indexedTime.toFixed(2).padStart(9)}ms ` +
+      `${(legacyTime / Math.max(indexedTime, 0.001)).toFixed(0).padStart(8)}x`
+    );
+  });
+}
+
+// If this file is run directly (not imported as a module), run the benchmark
+if (require.main === module) {
+  const courseCount = parseInt(process.argv[2]) || 50000;
+  runBenchmark(courseCount);
+}
+
+module.exports = { generateCatalog, runBenchmark };
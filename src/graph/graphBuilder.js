@@ -1,7 +1,42 @@
+const {
+  requirementFromLists,
+  mapRequirementCourses,
+  isRequirementMet,
+  getUnmetRequirements,
+  getMissingCourses,
+  getRequirementCourses
+} = require('./requirements');
+
+// Older data files have no level, so derive it from the number: "CS 225" -> 200
+function getLevelFromCode(code) {
+  const match = String(code).match(/(\d+)$/);
+  if (!match) return null;
+  // Catalogs with 4-digit numbers use 1000-levels ("BIOL 2250" -> 2000)
+  const levelStep = Math.pow(10, match[1].length - 1);
+  return Math.floor(parseInt(match[1]) / levelStep) * levelStep;
+}
+
 class CourseGraph {
-  constructor() {
+  constructor(options = {}) {
     this.nodes = new Map();
     this.edges = [];
+    this.requirements = new Map();
+
+    // Cross-listed ("Same as") courses, e.g. CS 374 and ECE 374
+    this.mergeCrossListings = Boolean(options.mergeCrossListings); // Show each group as one node
+    this.crossListGroups = new Map(); // course code -> sorted codes in its group
+    this.canonicalCodes = new Map(); // course code -> code of the node it was merged into
+
+    // Indexes so queries don't scan every edge or node
+    this.outEdges = new Map(); // course code -> edges leaving it (towards dependents)
+    this.inEdges = new Map(); // course code -> edges entering it (from prerequisites)
+    this.departmentIndex = new Map(); // department code -> course codes
+
+    this.analytics = null; // Importance metrics per course, computed on first use
+
+    // Class schedule (see setSchedule)
+    this.scheduledTerms = []; // Terms in the loaded schedule, in order
+    this.sectionsByCourse = new Map(); // course code -> sections scheduled for it
   }
 
   addCourse(course) {
@@ -11,14 +46,38 @@ class CourseGraph {
         label: course.code,
         name: course.name,
         department: course.department,
+        institution: course.institution || null,
         description: course.description,
-        url: course.url
+        url: course.url,
+        minCredits: course.minCredits !== undefined ? course.minCredits : null,
+        maxCredits: course.maxCredits !== undefined ? course.maxCredits : null,
+        level: course.level || getLevelFromCode(course.code),
+        genEd: course.genEd || [],
+        repeatable: Boolean(course.repeatable),
+        graduateOnly: Boolean(course.graduateOnly),
+        crossListings: this.getCrossListings(course.code),
+        offeredTerms: null // Terms the course is scheduled in (null until a schedule is loaded)
       });
+
+      if (!this.departmentIndex.has(course.department)) {
+        this.departmentIndex.set(course.department, []);
+      }
+      this.departmentIndex.get(course.department).push(course.code);
     }
   }
 
+  addEdge(edge) {
+    this.edges.push(edge);
+
+    if (!this.outEdges.has(edge.from)) this.outEdges.set(edge.from, []);
+    this.outEdges.get(edge.from).push(edge);
+
+    if (!this.inEdges.has(edge.to)) this.inEdges.set(edge.to, []);
+    this.inEdges.get(edge.to).push(edge);
+  }
+
   addPrerequisiteEdge(fromCourse, toCourse) {
-    this.edges.push({
+    this.addEdge({
       from: fromCourse,
       to: toCourse,
       type: 'prerequisite',
@@ -27,7 +86,7 @@ class CourseGraph {
   }
 
   addCorequisiteEdge(fromCourse, toCourse) {
-    this.edges.push({
+    this.addEdge({
       from: fromCourse,
       to: toCourse,
       type: 'corequisite',
@@ -35,20 +94,204 @@ class CourseGraph {
     });
   }
 
+  setRequirements(course) {
+    // Older data files have no requirement tree, so treat every linked course as required
+    const requirements = course.requirements !== undefined
+      ? course.requirements
+      : requirementFromLists(course.prerequisites, course.corequisites);
+    this.requirements.set(course.code, this.mergeCrossListings
+      ? mapRequirementCourses(requirements, code => this.resolveCode(code))
+      : requirements);
+  }
+
+  buildCrossListGroups(courses) {
+    // Union-find over "Same as" links, so A = B and B = C puts A, B and C in one group
+    const parent = new Map();
+    const find = (code) => {
+      if (!parent.has(code)) parent.set(code, code);
+      while (parent.get(code) !== code) {
+        parent.set(code, parent.get(parent.get(code)));
+        code = parent.get(code);
+      }
+      return code;
+    };
+
+    courses.forEach(course => {
+      (course.crossListings || []).forEach(other => {
+        const rootA = find(course.code);
+        const rootB = find(other);
+        if (rootA !== rootB) parent.set(rootB, rootA);
+      });
+    });
+
+    const groups = new Map();
+    parent.forEach((_, code) => {
+      const root = find(code);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(code);
+    });
+
+    // When merging, each group becomes the node of its first member that is in the catalog
+    const catalogCodes = new Set(courses.map(c => c.code));
+    groups.forEach(members => {
+      members.sort();
+      const canonical = members.find(code => catalogCodes.has(code)) || members[0];
+      members.forEach(code => {
+        this.crossListGroups.set(code, members);
+        if (this.mergeCrossListings) this.canonicalCodes.set(code, canonical);
+      });
+    });
+  }
+
   buildFromCourses(courses) {
+    this.buildCrossListGroups(courses);
+
     courses.forEach(course => {
+      // Merged cross-listed courses are represented by their group's node
+      if (this.resolveCode(course.code) !== course.code) return;
       this.addCourse(course);
+      this.setRequirements(course);
     });
 
+    // Merged groups share requirements, so skip repeated edges and edges within a group
+    const mergedEdges = new Set();
+    const addEdgeOnce = (from, to, type) => {
+      const resolvedFrom = this.resolveCode(from);
+      const resolvedTo = this.resolveCode(to);
+      if (this.mergeCrossListings) {
+        const key = `${resolvedFrom}->${resolvedTo}:${type}`;
+        if (mergedEdges.has(key) || (resolvedFrom === resolvedTo && from !== to)) return;
+        mergedEdges.add(key);
+      }
+      if (type === 'prerequisite') {
+        this.addPrerequisiteEdge(resolvedFrom, resolvedTo);
+      } else {
+        this.addCorequisiteEdge(resolvedFrom, resolvedTo);
+      }
+    };
+
     courses.forEach(course => {
       course.prerequisites.forEach(prereq => {
-        this.addPrerequisiteEdge(prereq, course.code);
+        addEdgeOnce(prereq, course.code, 'prerequisite');
       });
 
       course.corequisites.forEach(coreq => {
-        this.addCorequisiteEdge(coreq, course.code);
+        addEdgeOnce(coreq, course.code, 'corequisite');
       });
     });
+
+    // Layer of each course in the prerequisite ladder layout
+    this.computePrerequisiteDepths().forEach((depth, code) => {
+      this.nodes.get(code).prerequisiteDepth = depth;
+    });
+  }
+
+  computePrerequisiteDepths(direction = 'up') {
+    // Longest chain of prerequisites leading to each course ('up'), or of courses that
+    // follow from it ('down'): 0 for courses without any, otherwise one more than the
+    // deepest neighbor. An edge closing a prerequisite cycle is ignored so every course
+    // still gets a depth. Depth-first with an explicit stack, so long chains can't overflow the call stack
+    const depths = new Map();
+    const visiting = new Set(); // Courses on the current chain
+    const getNeighbors = (code) => (direction === 'up'
+      ? this.getIncomingEdges(code).filter(edge => edge.type === 'prerequisite').map(edge => edge.from)
+      : this.getOutgoingEdges(code).filter(edge => edge.type === 'prerequisite').map(edge => edge.to));
+
+    const enter = (code) => {
+      visiting.add(code);
+      const neighbors = getNeighbors(code).filter(next => !visiting.has(next) && this.nodes.has(next));
+      return { code, neighbors, next: 0, depth: 0 };
+    };
+
+    this.nodes.forEach((_, start) => {
+      if (depths.has(start)) return;
+      const frames = [enter(start)];
+
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        if (frame.next < frame.neighbors.length) {
+          const next = frame.neighbors[frame.next++];
+          if (depths.has(next)) {
+            frame.depth = Math.max(frame.depth, depths.get(next) + 1);
+          } else {
+            frames.push(enter(next));
+          }
+          continue;
+        }
+
+        // Every neighbor has a depth: finish this course and pass its depth to the one below it
+        frames.pop();
+        visiting.delete(frame.code);
+        depths.set(frame.code, frame.depth);
+        if (frames.length > 0) {
+          const parent = frames[frames.length - 1];
+          parent.depth = Math.max(parent.depth, frame.depth + 1);
+        }
+      }
+    });
+    return depths;
+  }
+
+  /**
+   * Joins class schedule sections onto the courses they belong to
+   * Sets each node's offeredTerms to the scheduled terms with a section of the course
+   * or one of its cross-listings, in schedule order
+   * @param {object|null} schedule - Parsed schedule.json (terms and sections), or null for none
+   */
+  setSchedule(schedule) {
+    this.scheduledTerms = schedule ? schedule.terms : [];
+    this.sectionsByCourse = new Map();
+    if (!schedule) {
+      this.nodes.forEach(node => { node.offeredTerms = null; });
+      return;
+    }
+
+    schedule.sections.forEach(section => {
+      const code = this.resolveCode(section.course);
+      if (!this.sectionsByCourse.has(code)) this.sectionsByCourse.set(code, []);
+      this.sectionsByCourse.get(code).push(section);
+    });
+
+    this.nodes.forEach((node, code) => {
+      const terms = new Set(this.getSections(code).map(section => section.term));
+      node.offeredTerms = this.scheduledTerms.filter(term => terms.has(term));
+    });
+  }
+
+  /**
+   * Gets the scheduled sections of a course, including those listed under its cross-listed codes
+   * @param {string} courseCode - Course code
+   * @returns {Array} Sections from the loaded schedule
+   */
+  getSections(courseCode) {
+    const codes = new Set([courseCode, ...this.getCrossListings(courseCode)].map(code => this.resolveCode(code)));
+    return [...codes].flatMap(code => this.sectionsByCourse.get(code) || []);
+  }
+
+  /**
+   * Gets the terms a course is scheduled in
+   * @param {string} courseCode - Course code
+   * @returns {Array|null} Term names, or null if no schedule is loaded (or the course isn't in the graph)
+   */
+  getOfferedTerms(courseCode) {
+    const node = this.nodes.get(this.resolveCode(courseCode));
+    return node ? node.offeredTerms : null;
+  }
+
+  resolveCode(courseCode) {
+    // Code of the node representing a course (differs only for merged cross-listings)
+    return this.canonicalCodes.get(courseCode) || courseCode;
+  }
+
+  getCrossListings(courseCode) {
+    return (this.crossListGroups.get(courseCode) || []).filter(code => code !== courseCode);
+  }
+
+  withCrossListings(isSatisfied) {
+    // Completing any member of a cross-listed group satisfies a requirement on another member
+    return (code, leaf) =>
+      isSatisfied(code, leaf) ||
+      this.getCrossListings(code).some(other => isSatisfied(other, leaf));
   }
 
   getGraphData() {
@@ -59,36 +302,290 @@ class CourseGraph {
   }
 
   getNodesByDepartment(department) {
-    return Array.from(this.nodes.values()).filter(
-      node => node.department === department
-    );
+    return (this.departmentIndex.get(department) || []).map(code => this.nodes.get(code));
+  }
+
+  matchesFilters(node, { level, genEd } = {}) {
+    // level accepts "300" or "3"; a single digit matches the leading digit of the level,
+    // so "3" means 300-level on 3-digit catalogs and 3000-level on 4-digit ones
+    // genEd matches any category containing the text
+    if (level) {
+      const wanted = String(level);
+      if (/^\d$/.test(wanted)) {
+        if (typeof node.level !== 'number' || String(node.level)[0] !== wanted) return false;
+      } else if (node.level !== parseInt(wanted)) {
+        return false;
+      }
+    }
+    if (genEd) {
+      const text = genEd.toLowerCase();
+      if (!node.genEd.some(category => category.toLowerCase().includes(text))) return false;
+    }
+    return true;
+  }
+
+  getDepartmentGraph(department, filters = {}) {
+    const deptNodes = this.getNodesByDepartment(department)
+      .filter(node => this.matchesFilters(node, filters));
+    const deptNodeCodes = new Set(deptNodes.map(n => n.id));
+
+    // Get all edges connected to department courses
+    const relevantEdges = this.getConnectedEdges(deptNodeCodes);
+
+    // Find prerequisite/corequisite courses from other departments
+    const additionalNodeCodes = new Set();
+    relevantEdges.forEach(edge => {
+      if (!deptNodeCodes.has(edge.from)) additionalNodeCodes.add(edge.from);
+      if (!deptNodeCodes.has(edge.to)) additionalNodeCodes.add(edge.to);
+    });
+
+    // Get the additional nodes (prerequisites/corequisites from other departments)
+    const additionalNodes = Array.from(additionalNodeCodes)
+      .map(code => this.nodes.get(code))
+      .filter(node => node);
+
+    // Combine department nodes with cross-department prerequisite/corequisite nodes
+    return { nodes: [...deptNodes, ...additionalNodes], edges: relevantEdges };
+  }
+
+  getOutgoingEdges(courseCode) {
+    return this.outEdges.get(courseCode) || [];
+  }
+
+  getIncomingEdges(courseCode) {
+    return this.inEdges.get(courseCode) || [];
+  }
+
+  getConnectedEdges(courseCodes) {
+    // Every edge touching at least one of the given courses, without duplicates
+    const codes = courseCodes instanceof Set ? courseCodes : new Set(courseCodes);
+    const connected = new Set();
+    codes.forEach(code => {
+      this.getOutgoingEdges(code).forEach(edge => connected.add(edge));
+      this.getIncomingEdges(code).forEach(edge => connected.add(edge));
+    });
+    return Array.from(connected);
   }
 
   getPrerequisitesFor(courseCode) {
-    return this.edges
-      .filter(edge => edge.to === courseCode && edge.type === 'prerequisite')
+    return this.getIncomingEdges(courseCode)
+      .filter(edge => edge.type === 'prerequisite')
       .map(edge => this.nodes.get(edge.from));
   }
 
   getDependentsFor(courseCode) {
-    return this.edges
-      .filter(edge => edge.from === courseCode && edge.type === 'prerequisite')
+    return this.getOutgoingEdges(courseCode)
+      .filter(edge => edge.type === 'prerequisite')
       .map(edge => this.nodes.get(edge.to));
   }
 
+  getRequirements(courseCode) {
+    return this.requirements.get(this.resolveCode(courseCode)) || null;
+  }
+
+  evaluateRequirements(courseCode, isSatisfiedDirectly) {
+    const isSatisfied = this.withCrossListings(isSatisfiedDirectly);
+    const requirements = this.getRequirements(courseCode);
+    const courses = getRequirementCourses(requirements);
+    return {
+      met: isRequirementMet(requirements, isSatisfied),
+      unmet: getUnmetRequirements(requirements, isSatisfied),
+      satisfiedCourses: courses.filter(code => isSatisfied(code, { type: 'course', code })),
+      courses
+    };
+  }
+
+  getEligibility(completedCodes, courseCodes = null) {
+    // Status of each course for a student who has completed completedCodes:
+    //   completed  - taken (or a cross-listed code was)
+    //   eligible   - every requirement is met
+    //   concurrent - eligible if the missing courses are taken at the same time (all allow it)
+    //   one-away   - one more course would meet the requirements
+    //   locked     - two or more courses missing
+    // missing lists the fewest courses that would close the gap
+    const completed = new Set(completedCodes);
+    const isCompleted = code => completed.has(code);
+    const isCompletedOrConcurrent = (code, leaf) => completed.has(code) || Boolean(leaf && leaf.concurrentAllowed);
+    const statuses = new Map();
+
+    (courseCodes || Array.from(this.nodes.keys())).forEach(code => {
+      if (!this.nodes.has(code)) return;
+
+      if (isCompleted(code) || this.getCrossListings(code).some(isCompleted)) {
+        statuses.set(code, { status: 'completed', missing: [] });
+        return;
+      }
+
+      const requirements = this.getRequirements(code);
+      const missing = getMissingCourses(requirements, this.withCrossListings(isCompleted));
+      let status = 'locked';
+      if (missing.length === 0) {
+        status = 'eligible';
+      } else if (this.evaluateRequirements(code, isCompletedOrConcurrent).met) {
+        status = 'concurrent';
+      } else if (missing.length === 1) {
+        status = 'one-away';
+      }
+      statuses.set(code, { status, missing });
+    });
+
+    return statuses;
+  }
+
+  getAncestry(courseCode, direction = 'up', maxDepth = Infinity) {
+    // 'up' follows edges backwards to prerequisites, 'down' follows them forwards to dependents
+    const found = new Map();
+    const queue = [{ code: courseCode, depth: 0, path: [courseCode] }];
+    const visited = new Set([courseCode]);
+
+    // Breadth-first search, so the first time a course is reached is its minimum distance
+    for (let head = 0; head < queue.length; head++) {
+      const { code, depth, path } = queue[head];
+      if (depth >= maxDepth) continue;
+
+      const nextEdges = direction === 'up'
+        ? this.getIncomingEdges(code)
+        : this.getOutgoingEdges(code);
+
+      nextEdges.forEach(edge => {
+        const nextCode = direction === 'up' ? edge.from : edge.to;
+        if (visited.has(nextCode)) return;
+        visited.add(nextCode);
+
+        const nextPath = [...path, nextCode];
+        const node = this.nodes.get(nextCode) || { id: nextCode, label: nextCode, missing: true };
+        found.set(nextCode, {
+          ...node,
+          depth: depth + 1,
+          path: nextPath,
+          relation: edge.type
+        });
+        queue.push({ code: nextCode, depth: depth + 1, path: nextPath });
+      });
+    }
+
+    const courses = Array.from(found.values());
+    const included = new Set([courseCode, ...found.keys()]);
+
+    return {
+      root: courseCode,
+      direction,
+      courses,
+      edges: this.getConnectedEdges(included)
+        .filter(edge => included.has(edge.from) && included.has(edge.to)),
+      maxDepthReached: courses.reduce((max, c) => Math.max(max, c.depth), 0)
+    };
+  }
+
+  findShortestPrerequisitePath(from, to, blockedCourses = new Set(), blockedEdges = new Set()) {
+    // Breadth-first search along prerequisite edges (prerequisite -> dependent), skipping
+    // blocked courses and "from->to" edge keys
+    // Returns the course codes from start to end, or null if the end can't be reached
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+
+    for (let head = 0; head < queue.length; head++) {
+      const code = queue[head];
+      if (code === to) {
+        const path = [];
+        for (let step = to; step !== null; step = previous.get(step)) path.unshift(step);
+        return path;
+      }
+
+      this.getOutgoingEdges(code).forEach(edge => {
+        if (edge.type !== 'prerequisite' || previous.has(edge.to)) return;
+        if (blockedCourses.has(edge.to) || blockedEdges.has(`${code}->${edge.to}`)) return;
+        previous.set(edge.to, code);
+        queue.push(edge.to);
+      });
+    }
+
+    return null;
+  }
+
+  findPrerequisitePaths(from, to, k = 1) {
+    // Yen's algorithm: the k shortest prerequisite chains from one course to another,
+    // shortest first. Each alternative branches off an earlier path at some course
+    const shortest = this.findShortestPrerequisitePath(from, to);
+    if (!shortest) return [];
+
+    const paths = [shortest];
+    const candidates = [];
+    const pathKey = path => path.join('|');
+    const seen = new Set([pathKey(shortest)]);
+
+    while (paths.length < k) {
+      const last = paths[paths.length - 1];
+
+      for (let i = 0; i < last.length - 1; i++) {
+        const root = last.slice(0, i + 1);
+
+        // Block the next step of every known path sharing this root, and the root's own courses
+        const blockedEdges = new Set();
+        paths.forEach(path => {
+          if (pathKey(path.slice(0, i + 1)) === pathKey(root)) blockedEdges.add(`${path[i]}->${path[i + 1]}`);
+        });
+        const blockedCourses = new Set(root.slice(0, -1));
+
+        const spur = this.findShortestPrerequisitePath(last[i], to, blockedCourses, blockedEdges);
+        if (!spur) continue;
+
+        const candidate = [...root.slice(0, -1), ...spur];
+        if (!seen.has(pathKey(candidate))) {
+          seen.add(pathKey(candidate));
+          candidates.push(candidate);
+        }
+      }
+
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.length - b.length);
+      paths.push(candidates.shift());
+    }
+
+    return paths;
+  }
+
+  getCoursesBetween(from, to) {
+    // Courses on any prerequisite chain from one course to another, and the ones on every
+    // chain (those can't be avoided on the way). Empty if there is no chain
+    if (!this.findShortestPrerequisitePath(from, to)) return { courses: [], required: [] };
+
+    const reach = (start, direction) => {
+      const found = new Set([start]);
+      const queue = [start];
+      for (let head = 0; head < queue.length; head++) {
+        const edges = direction === 'up' ? this.getIncomingEdges(queue[head]) : this.getOutgoingEdges(queue[head]);
+        edges.filter(edge => edge.type === 'prerequisite').forEach(edge => {
+          const next = direction === 'up' ? edge.from : edge.to;
+          if (!found.has(next)) {
+            found.add(next);
+            queue.push(next);
+          }
+        });
+      }
+      return found;
+    };
+    const reachableFrom = reach(from, 'down');
+    const leadsTo = reach(to, 'up');
+
+    const courses = [...reachableFrom].filter(code => leadsTo.has(code) && code !== from && code !== to);
+    const required = courses.filter(code => !this.findShortestPrerequisitePath(from, to, new Set([code])));
+    const byCode = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+    return { courses: courses.sort(byCode), required: required.sort(byCode) };
+  }
+
   getSubgraph(courseCodes, depth = 1) {
     const visited = new Set();
     const queue = courseCodes.map(code => ({ code, level: 0 }));
 
-    while (queue.length > 0) {
-      const { code, level } = queue.shift();
+    for (let head = 0; head < queue.length; head++) {
+      const { code, level } = queue[head];
 
       if (visited.has(code) || level > depth) continue;
       visited.add(code);
 
-      const connectedEdges = this.edges.filter(
-        edge => edge.from === code || edge.to === code
-      );
+      const connectedEdges = [...this.getOutgoingEdges(code), ...this.getIncomingEdges(code)];
 
       connectedEdges.forEach(edge => {
         const nextCode = edge.from === code ? edge.to : edge.from;
@@ -102,7 +599,7 @@ class CourseGraph {
       .map(code => this.nodes.get(code))
       .filter(node => node);
 
-    const subgraphEdges = this.edges.filter(
+    const subgraphEdges = this.getConnectedEdges(visited).filter(
       edge => visited.has(edge.from) && visited.has(edge.to)
     );
 
@@ -112,15 +609,266 @@ class CourseGraph {
     };
   }
 
+  findStronglyConnectedComponents(edgeType = 'prerequisite') {
+    // Tarjan's algorithm over edges of one type; components with more than one course are cycles
+    // The depth-first search keeps its own stack of frames, so long chains can't overflow the call stack
+    const adjacency = new Map();
+    this.outEdges.forEach((edges, code) => {
+      adjacency.set(code, edges.filter(edge => edge.type === edgeType).map(edge => edge.to));
+    });
+
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let index = 0;
+
+    const enter = (code) => {
+      indexes.set(code, index);
+      lowLinks.set(code, index);
+      index++;
+      stack.push(code);
+      onStack.add(code);
+      return { code, neighbors: adjacency.get(code) || [], next: 0 };
+    };
+
+    const strongConnect = (root) => {
+      const frames = [enter(root)];
+
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const { code } = frame;
+
+        if (frame.next < frame.neighbors.length) {
+          const next = frame.neighbors[frame.next++];
+          if (!indexes.has(next)) {
+            frames.push(enter(next));
+          } else if (onStack.has(next)) {
+            lowLinks.set(code, Math.min(lowLinks.get(code), indexes.get(next)));
+          }
+          continue;
+        }
+
+        frames.pop();
+        if (lowLinks.get(code) === indexes.get(code)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== code);
+          if (component.length > 1) components.push(component.sort());
+        }
+
+        // Back in the course that reached this one
+        if (frames.length > 0) {
+          const parent = frames[frames.length - 1].code;
+          lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(code)));
+        }
+      }
+    };
+
+    adjacency.forEach((_, code) => {
+      if (!indexes.has(code)) strongConnect(code);
+    });
+
+    return components;
+  }
+
+  validate() {
+    const edgeKey = edge => `${edge.from}->${edge.to}:${edge.type}`;
+
+    // Edges pointing at courses that were never added as nodes
+    const danglingEdges = this.edges
+      .filter(edge => !this.nodes.has(edge.from) || !this.nodes.has(edge.to))
+      .map(edge => ({
+        ...edge,
+        missing: [edge.from, edge.to].filter(code => !this.nodes.has(code))
+      }));
+
+    const selfLoops = this.edges.filter(edge => edge.from === edge.to);
+
+    // The same relationship recorded more than once
+    const edgeCounts = new Map();
+    this.edges.forEach(edge => {
+      const key = edgeKey(edge);
+      edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+    });
+    const duplicateEdges = [];
+    const reported = new Set();
+    this.edges.forEach(edge => {
+      const key = edgeKey(edge);
+      if (edgeCounts.get(key) > 1 && !reported.has(key)) {
+        reported.add(key);
+        duplicateEdges.push({ ...edge, count: edgeCounts.get(key) });
+      }
+    });
+
+    // Corequisite A -> B without the matching B -> A
+    const nonMutualCorequisites = this.edges.filter(edge =>
+      edge.type === 'corequisite' &&
+      edge.from !== edge.to &&
+      !edgeCounts.has(`${edge.to}->${edge.from}:corequisite`)
+    );
+
+    // Descriptions that mention prerequisites but produced no edges
+    const unparsedPrerequisites = Array.from(this.nodes.values())
+      .filter(node =>
+        (node.description || '').includes('Prerequisite:') &&
+        this.getIncomingEdges(node.id).length === 0
+      )
+      .map(node => node.id);
+
+    return {
+      prerequisiteCycles: this.findStronglyConnectedComponents('prerequisite'),
+      danglingEdges,
+      selfLoops,
+      duplicateEdges,
+      nonMutualCorequisites,
+      unparsedPrerequisites
+    };
+  }
+
+  getCourseAnalytics() {
+    // Importance metrics over prerequisite edges, computed once per graph:
+    // - transitiveDependents: courses that require this one directly or through a chain
+    // - betweenness: how many shortest prerequisite paths between other courses pass through it
+    // - longestChain: courses in the longest prerequisite chain that includes it
+    // - pageRank: PageRank with importance flowing from each course to its prerequisites,
+    //   so a course required by other important courses ranks high
+    if (this.analytics) return this.analytics;
+
+    const codes = Array.from(this.nodes.keys());
+    const indexOf = new Map(codes.map((code, i) => [code, i]));
+    // dependents[i] = indexes of the courses that list course i as a prerequisite
+    const dependents = codes.map(code => [...new Set(
+      this.getOutgoingEdges(code)
+        .filter(edge => edge.type === 'prerequisite' && indexOf.has(edge.to) && edge.to !== code)
+        .map(edge => indexOf.get(edge.to))
+    )]);
+
+    const transitiveDependents = this.computeTransitiveDependentCounts(dependents);
+    const betweenness = this.computeBetweenness(dependents);
+    const pageRank = this.computePageRank(dependents);
+    const depthsUp = this.computePrerequisiteDepths('up');
+    const depthsDown = this.computePrerequisiteDepths('down');
+
+    this.analytics = new Map(codes.map((code, i) => [code, {
+      transitiveDependents: transitiveDependents[i],
+      betweenness: Math.round(betweenness[i] * 100) / 100,
+      longestChain: depthsUp.get(code) + depthsDown.get(code) + 1,
+      pageRank: Math.round(pageRank[i] * 1e6) / 1e6
+    }]));
+    return this.analytics;
+  }
+
+  computeTransitiveDependentCounts(dependents) {
+    // Breadth-first search from every course
+    return dependents.map((_, start) => {
+      const seen = new Set([start]);
+      const queue = [start];
+      for (let head = 0; head < queue.length; head++) {
+        dependents[queue[head]].forEach(next => {
+          if (!seen.has(next)) {
+            seen.add(next);
+            queue.push(next);
+          }
+        });
+      }
+      return seen.size - 1;
+    });
+  }
+
+  computeBetweenness(dependents) {
+    // Brandes' algorithm for unweighted directed graphs, O(courses * edges)
+    const count = dependents.length;
+    const centrality = new Array(count).fill(0);
+
+    // Reused between sources; only the entries a search touched are reset
+    const predecessors = Array.from({ length: count }, () => []);
+    const pathCounts = new Array(count).fill(0);
+    const distances = new Array(count).fill(-1);
+    const dependency = new Array(count).fill(0);
+
+    for (let source = 0; source < count; source++) {
+      if (dependents[source].length === 0) continue; // No paths start here
+
+      pathCounts[source] = 1;
+      distances[source] = 0;
+
+      // The queue doubles as the visiting order, nearest courses first
+      const queue = [source];
+      for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        dependents[current].forEach(next => {
+          if (distances[next] < 0) {
+            distances[next] = distances[current] + 1;
+            queue.push(next);
+          }
+          if (distances[next] === distances[current] + 1) {
+            pathCounts[next] += pathCounts[current];
+            predecessors[next].push(current);
+          }
+        });
+      }
+
+      // Accumulate each course's share of the shortest paths, farthest courses first
+      for (let i = queue.length - 1; i >= 0; i--) {
+        const current = queue[i];
+        predecessors[current].forEach(previous => {
+          dependency[previous] += (pathCounts[previous] / pathCounts[current]) * (1 + dependency[current]);
+        });
+        if (current !== source) centrality[current] += dependency[current];
+      }
+
+      queue.forEach(code => {
+        predecessors[code] = [];
+        pathCounts[code] = 0;
+        distances[code] = -1;
+        dependency[code] = 0;
+      });
+    }
+
+    return centrality;
+  }
+
+  computePageRank(dependents, damping = 0.85, maxIterations = 100, tolerance = 1e-8) {
+    // Each course passes its rank on to its prerequisites, split evenly; courses without
+    // prerequisites spread theirs over every course
+    const count = dependents.length;
+    if (count === 0) return [];
+
+    const prerequisiteCounts = new Array(count).fill(0);
+    dependents.forEach(targets => targets.forEach(target => { prerequisiteCounts[target]++; }));
+
+    let ranks = new Array(count).fill(1 / count);
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const danglingRank = ranks.reduce((sum, rank, i) => sum + (prerequisiteCounts[i] === 0 ? rank : 0), 0);
+      const base = (1 - damping) / count + (damping * danglingRank) / count;
+
+      const next = dependents.map(targets =>
+        base + damping * targets.reduce((sum, target) => sum + ranks[target] / prerequisiteCounts[target], 0));
+
+      const change = next.reduce((sum, rank, i) => sum + Math.abs(rank - ranks[i]), 0);
+      ranks = next;
+      if (change < tolerance) break;
+    }
+
+    return ranks;
+  }
+
   getStats() {
     return {
       totalCourses: this.nodes.size,
       totalEdges: this.edges.length,
       prerequisiteEdges: this.edges.filter(e => e.type === 'prerequisite').length,
       corequisiteEdges: this.edges.filter(e => e.type === 'corequisite').length,
-      departments: new Set(Array.from(this.nodes.values()).map(n => n.department)).size
+      departments: this.departmentIndex.size
     };
   }
 }
 
 module.exports = CourseGraph;
+module.exports.getLevelFromCode = getLevelFromCode;
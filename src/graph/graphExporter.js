@@ -0,0 +1,287 @@
+// Exports course graph data to formats used by graph tools
+// GraphML and GEXF (Gephi), DOT (Graphviz), Cypher (Neo4j) and JSON-LD
+// Usage from the command line:
+//   node src/graph/graphExporter.js --format graphml [--dept CS] [--courses "CS 225,CS 173" --depth 1] [--out file] [--catalog ID]
+const fs = require('fs').promises;
+const path = require('path');
+const CourseGraph = require('./graphBuilder');
+const { getLevelFromCode } = require('./graphBuilder');
+const { loadCatalog } = require('../scraper/adapters');
+
+const FORMATS = {
+  graphml: { contentType: 'application/xml', extension: 'graphml' },
+  gexf: { contentType: 'application/xml', extension: 'gexf' },
+  dot: { contentType: 'text/vnd.graphviz', extension: 'dot' },
+  cypher: { contentType: 'text/plain', extension: 'cypher' },
+  jsonld: { contentType: 'application/ld+json', extension: 'jsonld' }
+};
+
+/**
+ * Gets a node's course level, falling back to its course code (e.g., "CS 225" -> 200)
+ * @param {object} node - Graph node
+ * @returns {number|null} Course level or null if the code has no number
+ */
+function getCourseLevel(node) {
+  return node.level || getLevelFromCode(node.id);
+}
+
+/**
+ * Keeps only edges whose endpoints are both exported, so tools don't create empty nodes
+ * @param {object} graphData - Object with nodes and edges arrays
+ * @returns {Array} Edges between exported nodes
+ */
+function getExportEdges(graphData) {
+  const nodeIds = new Set(graphData.nodes.map(n => n.id));
+  return graphData.edges.filter(edge => nodeIds.has(edge.from) && nodeIds.has(edge.to));
+}
+
+function escapeXML(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeQuoted(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+function toGraphML(graphData) {
+  const edges = getExportEdges(graphData);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="department" for="node" attr.name="department" attr.type="string"/>',
+    '  <key id="level" for="node" attr.name="level" attr.type="int"/>',
+    '  <key id="type" for="edge" attr.name="type" attr.type="string"/>',
+    '  <graph id="courses" edgedefault="directed">'
+  ];
+
+  graphData.nodes.forEach(node => {
+    lines.push(`    <node id="${escapeXML(node.id)}">`);
+    lines.push(`      <data key="name">${escapeXML(node.name)}</data>`);
+    lines.push(`      <data key="department">${escapeXML(node.department)}</data>`);
+    const level = getCourseLevel(node);
+    if (level !== null) lines.push(`      <data key="level">${level}</data>`);
+    lines.push('    </node>');
+  });
+
+  edges.forEach((edge, i) => {
+    lines.push(`    <edge id="e${i}" source="${escapeXML(edge.from)}" target="${escapeXML(edge.to)}">`);
+    lines.push(`      <data key="type">${escapeXML(edge.type)}</data>`);
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+function toGEXF(graphData) {
+  const edges = getExportEdges(graphData);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <graph defaultedgetype="directed">',
+    '    <attributes class="node">',
+    '      <attribute id="0" title="department" type="string"/>',
+    '      <attribute id="1" title="level" type="integer"/>',
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="0" title="type" type="string"/>',
+    '    </attributes>',
+    '    <nodes>'
+  ];
+
+  graphData.nodes.forEach(node => {
+    // GEXF labels are shown by Gephi, so use "CS 225: Data Structures"
+    const label = node.name ? `${node.id}: ${node.name}` : node.id;
+    lines.push(`      <node id="${escapeXML(node.id)}" label="${escapeXML(label)}">`);
+    lines.push('        <attvalues>');
+    lines.push(`          <attvalue for="0" value="${escapeXML(node.department)}"/>`);
+    const level = getCourseLevel(node);
+    if (level !== null) lines.push(`          <attvalue for="1" value="${level}"/>`);
+    lines.push('        </attvalues>');
+    lines.push('      </node>');
+  });
+
+  lines.push('    </nodes>', '    <edges>');
+  edges.forEach((edge, i) => {
+    lines.push(`      <edge id="${i}" source="${escapeXML(edge.from)}" target="${escapeXML(edge.to)}" label="${escapeXML(edge.type)}">`);
+    lines.push(`        <attvalues><attvalue for="0" value="${escapeXML(edge.type)}"/></attvalues>`);
+    lines.push('      </edge>');
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
+
+function toDOT(graphData) {
+  const edges = getExportEdges(graphData);
+  const lines = ['digraph courses {', '  rankdir=LR;', '  node [shape=box];'];
+
+  graphData.nodes.forEach(node => {
+    const level = getCourseLevel(node);
+    lines.push(
+      `  "${escapeQuoted(node.id)}" [label="${escapeQuoted(node.id)}\\n${escapeQuoted(node.name)}", ` +
+      `department="${escapeQuoted(node.department)}"${level !== null ? `, level=${level}` : ''}];`
+    );
+  });
+
+  edges.forEach(edge => {
+    // Corequisites are dashed, matching the network view
+    const style = edge.type === 'corequisite' ? ', style=dashed' : '';
+    lines.push(`  "${escapeQuoted(edge.from)}" -> "${escapeQuoted(edge.to)}" [type="${edge.type}"${style}];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function toCypher(graphData) {
+  const edges = getExportEdges(graphData);
+  const quote = value => `'${String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")}'`;
+
+  const lines = ['CREATE CONSTRAINT course_code IF NOT EXISTS FOR (c:Course) REQUIRE c.code IS UNIQUE;'];
+
+  graphData.nodes.forEach(node => {
+    const level = getCourseLevel(node);
+    lines.push(
+      `MERGE (c:Course {code: ${quote(node.id)}}) ` +
+      `SET c.name = ${quote(node.name)}, c.department = ${quote(node.department)}` +
+      `${level !== null ? `, c.level = ${level}` : ''};`
+    );
+  });
+
+  // Relationships point from the required course to the course that requires it
+  edges.forEach(edge => {
+    const relationship = edge.type.toUpperCase();
+    lines.push(
+      `MATCH (a:Course {code: ${quote(edge.from)}}), (b:Course {code: ${quote(edge.to)}}) ` +
+      `MERGE (a)-[:${relationship}]->(b);`
+    );
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function toJSONLD(graphData) {
+  const edges = getExportEdges(graphData);
+  const courseId = code => `#${code.replace(/\s+/g, '-')}`;
+
+  // Group incoming edges by course so each node only looks at its own requirements
+  const incoming = new Map();
+  edges.forEach(edge => {
+    if (!incoming.has(edge.to)) incoming.set(edge.to, []);
+    incoming.get(edge.to).push(edge);
+  });
+  const requirementIds = (code, type) => (incoming.get(code) || [])
+    .filter(edge => edge.type === type)
+    .map(edge => ({ '@id': courseId(edge.from) }));
+
+  const courses = graphData.nodes.map(node => ({
+    '@id': courseId(node.id),
+    '@type': 'Course',
+    courseCode: node.id,
+    name: node.name,
+    department: node.department,
+    level: getCourseLevel(node),
+    coursePrerequisites: requirementIds(node.id, 'prerequisite'),
+    courseCorequisites: requirementIds(node.id, 'corequisite')
+  }));
+
+  return JSON.stringify({
+    '@context': { '@vocab': 'https://schema.org/' },
+    '@graph': courses
+  }, null, 2) + '\n';
+}
+
+const exporters = {
+  graphml: toGraphML,
+  gexf: toGEXF,
+  dot: toDOT,
+  cypher: toCypher,
+  jsonld: toJSONLD
+};
+
+/**
+ * Exports graph data in the given format
+ * @param {object} graphData - Object with nodes and edges arrays
+ * @param {string} format - One of graphml, gexf, dot, cypher, jsonld
+ * @returns {string} Exported document
+ */
+function exportGraph(graphData, format) {
+  const exporter = exporters[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return exporter(graphData);
+}
+
+/**
+ * Selects the part of the graph to export, using the same filters as the graph endpoints
+ * @param {CourseGraph} courseGraph - Graph to export from
+ * @param {object} filters - Optional dept (with level/genEd), or courses (array) with depth
+ * @returns {object} Object with nodes and edges arrays
+ */
+function selectGraphData(courseGraph, { dept, courses, depth = 1, level, genEd } = {}) {
+  if (dept) {
+    return courseGraph.getDepartmentGraph(dept.toUpperCase(), { level, genEd });
+  }
+  if (courses && courses.length > 0) {
+    return courseGraph.getSubgraph(courses, depth);
+  }
+  return courseGraph.getGraphData();
+}
+
+// If this file is run directly (not imported as a module), export data/courses.json
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const getArg = (name) => {
+      const index = args.indexOf(`--${name}`);
+      return index !== -1 ? args[index + 1] : undefined;
+    };
+
+    const format = (getArg('format') || 'graphml').toLowerCase();
+    const courses = getArg('courses') ? getArg('courses').split(',').map(c => c.trim().toUpperCase()) : null;
+
+    // --catalog ID exports another catalog from config/catalogs.json
+    const catalog = await loadCatalog(getArg('catalog'));
+    const data = await fs.readFile(path.join(catalog.dataDir, 'courses.json'), 'utf-8');
+    const graph = new CourseGraph();
+    graph.buildFromCourses(JSON.parse(data));
+
+    const graphData = selectGraphData(graph, {
+      dept: getArg('dept'),
+      courses,
+      depth: parseInt(getArg('depth')) || 1,
+      level: getArg('level'),
+      genEd: getArg('genEd')
+    });
+    const output = exportGraph(graphData, format);
+
+    const outFile = getArg('out');
+    if (outFile) {
+      await fs.writeFile(outFile, output);
+      console.log(`Exported ${graphData.nodes.length} courses as ${format} to ${outFile}`);
+    } else {
+      process.stdout.write(output);
+    }
+  })().catch(error => {
+    console.error('Export failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  FORMATS,
+  exportGraph,
+  selectGraphData
+};
@@ -0,0 +1,171 @@
+// Structured prerequisite breakdown for a course: a checklist of typed items
+// built from the requirement tree plus the non-course conditions in the description text
+//   { type: 'course', code: 'CS 225', concurrentAllowed: false, text: 'CS 225' }
+//   { type: 'oneOf', options: [...items], text: 'CS 173 or MATH 213' }  - any one option
+//   { type: 'allOf', items: [...items], text: 'CS 173 and MATH 231' }    - inside a oneOf only
+//   { type: 'standing', levels: ['junior', 'senior'], text: 'Junior or senior standing' }
+//   { type: 'consent', of: 'instructor', text: 'Consent of instructor' }
+//   { type: 'restriction', to: 'Computer Science majors', text: 'Restricted to Computer Science majors' }
+//   { type: 'minimumGrade', grade: 'C-', courses: ['CS 225'], text: 'Grade of C- or better in CS 225' }
+// Conditions written as "..., or consent of instructor" can replace the rest and are marked alternative: true;
+// those written as "concurrent registration with consent of instructor" are marked forConcurrentRegistration: true
+const { formatRequirement } = require('./requirements');
+
+const STANDING_LEVELS = ['freshman', 'sophomore', 'junior', 'senior', 'graduate'];
+
+// Free text in a condition ("Computer Science majors") runs to the end of the sentence or clause,
+// but stops before ", or ..." / ", and ..." so a following condition is found on its own
+const CONDITION_TEXT = '((?:(?!,\\s*(?:or|and)\\b)[^.;])+)';
+
+/**
+ * Cuts the prerequisite section out of a course description
+ * The section runs from "Prerequisite:" to "Credit Hours:", "Same as" or the end
+ * @param {string} description - Course description
+ * @returns {string|null} Section text without the label, whitespace collapsed (null if there is none)
+ */
+function extractPrerequisiteText(description) {
+  const text = description || '';
+  const prereqIndex = text.indexOf('Prerequisite:');
+  if (prereqIndex === -1) return null;
+
+  const section = text.substring(prereqIndex + 'Prerequisite:'.length);
+  const sectionEnd = Math.min(...[
+    section.indexOf('Credit Hours:'),
+    section.indexOf('Same as'),
+    section.length
+  ].filter(idx => idx !== -1));
+
+  return section.substring(0, sectionEnd).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds the non-course conditions in prerequisite text
+ * @param {string} text - Prerequisite section text from extractPrerequisiteText()
+ * @param {Function} findCourseCodes - Returns the course codes in a piece of text (catalog adapter)
+ * @returns {Array} Condition items (standing, consent, restriction, minimumGrade), in text order
+ */
+function findConditions(text, findCourseCodes) {
+  if (!text) return [];
+  const conditions = [];
+
+  // "CS 225, or consent of instructor" offers the condition instead of the courses, while
+  // "concurrent registration with consent of instructor" only needs it to take a course concurrently
+  const add = (match, item) => {
+    const before = text.substring(0, match.index);
+    const forConcurrentRegistration = /concurrent registration with\s*$/i.test(before);
+    conditions.push({
+      ...item,
+      text: forConcurrentRegistration ? `${item.text} (for concurrent registration)` : item.text,
+      alternative: /\bor\s*$/i.test(before),
+      forConcurrentRegistration,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  };
+
+  const capitalize = value => `${value[0].toUpperCase()}${value.slice(1)}`;
+
+  // "junior standing", "Junior or Senior standing", "graduate standing"
+  const standingPattern = new RegExp(
+    `\\b((?:${STANDING_LEVELS.join('|')})(?:\\s*(?:,|/|or|and)\\s*(?:${STANDING_LEVELS.join('|')}))*)\\s+standing\\b`, 'gi'
+  );
+  let match;
+  while ((match = standingPattern.exec(text)) !== null) {
+    const levels = [...new Set(match[1].toLowerCase().match(new RegExp(STANDING_LEVELS.join('|'), 'g')))];
+    add(match, { type: 'standing', levels, text: `${capitalize(levels.join(' or '))} standing` });
+  }
+
+  // "consent of instructor", "approval of the department", "Department approval"
+  const consentPattern = /\b(?:(?:consent|approval|permission) of (?:the )?(instructor|department|advisor|adviser|director|program|school|college)|(department(?:al)?|instructor) (?:approval|consent))\b/gi;
+  while ((match = consentPattern.exec(text)) !== null) {
+    const of = (match[1] || match[2]).toLowerCase().replace('departmental', 'department').replace('adviser', 'advisor');
+    add(match, { type: 'consent', of, text: `Consent of ${of}` });
+  }
+
+  // "Restricted to Computer Science majors.", "Enrollment is limited to students in the BS program."
+  const restrictionPattern = new RegExp(`\\b(?:restricted to|open only to|only open to|(?:enrollment (?:is )?)?limited to)\\s+${CONDITION_TEXT}`, 'gi');
+  while ((match = restrictionPattern.exec(text)) !== null) {
+    const to = match[1].trim();
+    add(match, { type: 'restriction', to, text: `Restricted to ${to}` });
+  }
+
+  // "a grade of C- or better in CS 225", "Minimum grade of B in all prerequisites"
+  // Only the words are case-insensitive, so "grade of a" isn't read as a letter grade
+  const gradePattern = new RegExp(`\\b(?:[Mm]inimum grade of|[Gg]rade of)\\s+([A-D][+-]?)(?:\\s+or\\s+(?:better|higher|above))?(?:\\s+in\\s+${CONDITION_TEXT})?`, 'g');
+  while ((match = gradePattern.exec(text)) !== null) {
+    const courses = match[2] ? findCourseCodes(match[2]) : [];
+    const scope = courses.length > 0 ? ` in ${courses.join(', ')}` : (match[2] ? ` in ${match[2].trim()}` : '');
+    add(match, { type: 'minimumGrade', grade: match[1], courses, text: `Grade of ${match[1]} or better${scope}` });
+  }
+
+  // The same words can match twice ("Restricted to junior standing in Engineering" is also a standing);
+  // keep the condition that starts first (the longer one on a tie) and skip any that overlap it
+  const kept = [];
+  conditions
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach(condition => {
+      if (kept.some(other => condition.start < other.end && other.start < condition.end)) return;
+      kept.push(condition);
+    });
+  return kept.map(({ start, end, ...condition }) => condition);
+}
+
+/**
+ * Turns a requirement tree node into a checklist item
+ * @param {object} requirement - Requirement tree node
+ * @returns {object} Course, oneOf or allOf item
+ */
+function toChecklistItem(requirement) {
+  if (requirement.type === 'course') {
+    return {
+      type: 'course',
+      code: requirement.code,
+      concurrentAllowed: requirement.concurrentAllowed,
+      text: requirement.concurrentAllowed ? `${requirement.code} (or concurrent registration)` : requirement.code
+    };
+  }
+  if (requirement.type === 'oneOf') {
+    return { type: 'oneOf', options: requirement.requirements.map(toChecklistItem), text: formatRequirement(requirement) };
+  }
+  return { type: 'allOf', items: requirement.requirements.map(toChecklistItem), text: formatRequirement(requirement) };
+}
+
+/**
+ * Builds the prerequisite checklist for a course
+ * Every item must be met, except conditions marked alternative, which can replace the rest
+ * @param {object|null} requirement - The course's requirement tree
+ * @param {string} description - Course description
+ * @param {Function} findCourseCodes - Returns the course codes in a piece of text (catalog adapter)
+ * @returns {object} text (prerequisite section), items, and concurrentAllowed (courses that may be taken concurrently)
+ */
+function buildPrerequisiteBreakdown(requirement, description, findCourseCodes) {
+  const text = extractPrerequisiteText(description);
+
+  // The top-level "and" of the tree becomes the checklist; anything else is a single item
+  const courseItems = !requirement
+    ? []
+    : requirement.type === 'allOf'
+      ? requirement.requirements.map(toChecklistItem)
+      : [toChecklistItem(requirement)];
+
+  const concurrentAllowed = [];
+  const collectConcurrent = (item) => {
+    if (item.type === 'course' && item.concurrentAllowed && !concurrentAllowed.includes(item.code)) {
+      concurrentAllowed.push(item.code);
+    }
+    (item.options || item.items || []).forEach(collectConcurrent);
+  };
+  courseItems.forEach(collectConcurrent);
+
+  return {
+    text,
+    items: [...courseItems, ...findConditions(text, findCourseCodes)],
+    concurrentAllowed
+  };
+}
+
+module.exports = {
+  extractPrerequisiteText,
+  findConditions,
+  buildPrerequisiteBreakdown
+};
@@ -0,0 +1,212 @@
+// Helpers for working with structured prerequisite requirement trees
+// A requirement tree is made of three kinds of nodes:
+//   { type: 'course', code: 'CS 225', concurrentAllowed: false }
+//   { type: 'allOf', requirements: [...] }  - every child must be met
+//   { type: 'oneOf', requirements: [...] }  - at least one child must be met
+// A course with no course requirements has a null tree.
+
+/**
+ * Creates a course leaf node
+ * @param {string} code - Course code (e.g., "CS 225")
+ * @param {boolean} concurrentAllowed - Whether concurrent registration satisfies it
+ * @returns {object} Course requirement node
+ */
+function courseRequirement(code, concurrentAllowed = false) {
+  return { type: 'course', code, concurrentAllowed };
+}
+
+/**
+ * Creates a group node, collapsing trivial groups
+ * Empty groups become null and single-child groups become the child itself
+ * @param {string} type - 'allOf' or 'oneOf'
+ * @param {Array} requirements - Child requirement nodes (null entries are dropped)
+ * @returns {object|null} Requirement node
+ */
+function groupRequirement(type, requirements) {
+  const children = [];
+  requirements.filter(r => r).forEach(child => {
+    // Flatten nested groups of the same type: allOf(a, allOf(b, c)) -> allOf(a, b, c)
+    if (child.type === type) {
+      children.push(...child.requirements);
+    } else {
+      children.push(child);
+    }
+  });
+
+  if (children.length === 0) return null;
+  if (children.length === 1) return children[0];
+  return { type, requirements: children };
+}
+
+/**
+ * Builds a requirement tree from flat prerequisite and corequisite arrays
+ * Used for course data scraped before requirement trees existed,
+ * where every linked course is treated as required
+ * @param {Array} prerequisites - Prerequisite course codes
+ * @param {Array} corequisites - Corequisite course codes
+ * @returns {object|null} Requirement tree
+ */
+function requirementFromLists(prerequisites = [], corequisites = []) {
+  return groupRequirement('allOf', [
+    ...prerequisites.map(code => courseRequirement(code, false)),
+    ...corequisites.map(code => courseRequirement(code, true))
+  ]);
+}
+
+/**
+ * Returns a copy of a requirement tree with every course code replaced
+ * @param {object|null} requirement - Requirement tree
+ * @param {function} mapCode - Called with each course code, returns the replacement code
+ * @returns {object|null} New requirement tree
+ */
+function mapRequirementCourses(requirement, mapCode) {
+  if (!requirement) return null;
+  if (requirement.type === 'course') {
+    return { ...requirement, code: mapCode(requirement.code) };
+  }
+  return groupRequirement(
+    requirement.type,
+    requirement.requirements.map(child => mapRequirementCourses(child, mapCode))
+  );
+}
+
+/**
+ * Checks whether a requirement tree is met
+ * @param {object|null} requirement - Requirement tree
+ * @param {function} isSatisfied - Called as isSatisfied(code, leaf) for each course leaf
+ * @returns {boolean} True if the requirement is met (a null tree is always met)
+ */
+function isRequirementMet(requirement, isSatisfied) {
+  if (!requirement) return true;
+
+  switch (requirement.type) {
+    case 'course':
+      return Boolean(isSatisfied(requirement.code, requirement));
+    case 'allOf':
+      return requirement.requirements.every(r => isRequirementMet(r, isSatisfied));
+    case 'oneOf':
+      return requirement.requirements.some(r => isRequirementMet(r, isSatisfied));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Lists the top-level parts of a requirement that are not yet met
+ * For an allOf root this is each unmet child; otherwise it is the root itself
+ * @param {object|null} requirement - Requirement tree
+ * @param {function} isSatisfied - Called as isSatisfied(code, leaf) for each course leaf
+ * @returns {Array} Unmet requirement nodes
+ */
+function getUnmetRequirements(requirement, isSatisfied) {
+  if (!requirement) return [];
+
+  if (requirement.type === 'allOf') {
+    return requirement.requirements.filter(r => !isRequirementMet(r, isSatisfied));
+  }
+  return isRequirementMet(requirement, isSatisfied) ? [] : [requirement];
+}
+
+/**
+ * Finds the fewest additional courses that would meet a requirement tree
+ * For a oneOf group this takes the alternative needing the fewest courses
+ * @param {object|null} requirement - Requirement tree
+ * @param {function} isSatisfied - Called as isSatisfied(code, leaf) for each course leaf
+ * @returns {Array} Course codes still needed (empty if the requirement is met)
+ */
+function getMissingCourses(requirement, isSatisfied) {
+  if (!requirement) return [];
+
+  switch (requirement.type) {
+    case 'course':
+      return isSatisfied(requirement.code, requirement) ? [] : [requirement.code];
+    case 'allOf':
+      return [...new Set(requirement.requirements.flatMap(r => getMissingCourses(r, isSatisfied)))];
+    case 'oneOf':
+      return requirement.requirements
+        .map(r => getMissingCourses(r, isSatisfied))
+        .reduce((best, missing) => (missing.length < best.length ? missing : best));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Collects every course code mentioned anywhere in a requirement tree
+ * @param {object|null} requirement - Requirement tree
+ * @returns {Array} Unique course codes in the order they appear
+ */
+function getRequirementCourses(requirement) {
+  const codes = [];
+
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'course') {
+      if (!codes.includes(node.code)) codes.push(node.code);
+    } else if (node.requirements) {
+      node.requirements.forEach(walk);
+    }
+  };
+
+  walk(requirement);
+  return codes;
+}
+
+/**
+ * Checks whether a requirement tree offers any alternatives
+ * @param {object|null} requirement - Requirement tree
+ * @returns {boolean} True if the tree contains a oneOf group
+ */
+function hasAlternatives(requirement) {
+  if (!requirement || requirement.type === 'course') return false;
+  if (requirement.type === 'oneOf') return true;
+  return requirement.requirements.some(hasAlternatives);
+}
+
+/**
+ * Checks whether every course in a requirement may be taken concurrently
+ * @param {object|null} requirement - Requirement tree
+ * @returns {boolean} True if concurrent registration satisfies the whole requirement
+ */
+function allowsConcurrent(requirement) {
+  if (!requirement) return false;
+  if (requirement.type === 'course') return requirement.concurrentAllowed;
+  return requirement.requirements.every(allowsConcurrent);
+}
+
+/**
+ * Formats a requirement tree as readable text
+ * Example: "(CS 173 or MATH 213) and CS 225 (concurrent allowed)"
+ * @param {object|null} requirement - Requirement tree
+ * @returns {string} Human-readable requirement
+ */
+function formatRequirement(requirement) {
+  if (!requirement) return '';
+
+  if (requirement.type === 'course') {
+    return requirement.concurrentAllowed
+      ? `${requirement.code} (concurrent allowed)`
+      : requirement.code;
+  }
+
+  const separator = requirement.type === 'oneOf' ? ' or ' : ' and ';
+  return requirement.requirements.map(child => {
+    const text = formatRequirement(child);
+    // Wrap nested groups in parentheses to keep the grouping readable
+    return child.type === 'course' ? text : `(${text})`;
+  }).join(separator);
+}
+
+module.exports = {
+  courseRequirement,
+  groupRequirement,
+  requirementFromLists,
+  mapRequirementCourses,
+  isRequirementMet,
+  getUnmetRequirements,
+  getMissingCourses,
+  getRequirementCourses,
+  hasAlternatives,
+  allowsConcurrent,
+  formatRequirement
+};
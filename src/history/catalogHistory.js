@@ -0,0 +1,187 @@
+// Catalog version history: timestamped snapshots of courses.json and diffs between them
+// Usage from the command line:
+//   node src/history/catalogHistory.js list
+//   node src/history/catalogHistory.js diff [from] [to]   (defaults to the two latest snapshots)
+//   --catalog ID uses another catalog from config/catalogs.json (default: CATALOG env variable, then illinois)
+const fs = require('fs').promises;
+const path = require('path');
+const { loadCatalog } = require('../scraper/adapters');
+
+// Snapshot ids are UTC timestamps with dashes instead of colons ("2026-08-20T14-03-11Z"), so they sort
+// by time and several scrapes on one day each keep their own snapshot; older snapshots are date-only
+const SNAPSHOT_ID = /^\d{4}-\d{2}-\d{2}(?:T\d{2}-\d{2}-\d{2}Z)?$/;
+const SNAPSHOT_PATTERN = /^courses-(\d{4}-\d{2}-\d{2}(?:T\d{2}-\d{2}-\d{2}Z)?)\.json$/;
+
+class CatalogHistory {
+  constructor(dataDir = path.join(__dirname, '../../data')) {
+    this.snapshotDir = path.join(dataDir, 'snapshots'); // One JSON file per snapshot
+  }
+
+  /**
+   * Saves a timestamped copy of the course data
+   * @param {Array} courses - Course objects to store
+   * @param {Date} date - Snapshot time (default: now)
+   * @returns {string} Snapshot id (e.g., "2026-08-20T14-03-11Z")
+   */
+  async saveSnapshot(courses, date = new Date()) {
+    const id = `${date.toISOString().slice(0, 19).replace(/:/g, '-')}Z`;
+    await fs.mkdir(this.snapshotDir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.snapshotDir, `courses-${id}.json`),
+      JSON.stringify(courses, null, 2)
+    );
+    return id;
+  }
+
+  /**
+   * Lists available snapshot ids, oldest first
+   * @returns {Array} Snapshot ids
+   */
+  async listSnapshots() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.snapshotDir);
+    } catch (error) {
+      return []; // No snapshots saved yet
+    }
+    return files
+      .map(file => file.match(SNAPSHOT_PATTERN))
+      .filter(match => match)
+      .map(match => match[1])
+      .sort();
+  }
+
+  /**
+   * Loads the courses stored in a snapshot
+   * @param {string} id - Snapshot id from listSnapshots()
+   * @returns {Array|null} Course objects, or null if the snapshot doesn't exist
+   */
+  async loadSnapshot(id) {
+    if (!SNAPSHOT_ID.test(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.snapshotDir, `courses-${id}.json`), 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Diffs two snapshots
+   * @param {string} fromId - Older snapshot id
+   * @param {string} toId - Newer snapshot id
+   * @returns {object|null} Diff from diffCatalogs(), or null if either snapshot is missing
+   */
+  async diffSnapshots(fromId, toId) {
+    const [fromCourses, toCourses] = await Promise.all([
+      this.loadSnapshot(fromId),
+      this.loadSnapshot(toId)
+    ]);
+    if (!fromCourses || !toCourses) return null;
+    return { from: fromId, to: toId, ...diffCatalogs(fromCourses, toCourses) };
+  }
+}
+
+/**
+ * Compares two versions of the catalog
+ * @param {Array} oldCourses - Courses from the older catalog
+ * @param {Array} newCourses - Courses from the newer catalog
+ * @returns {object} Added/removed courses, renamed titles, and gained/lost requisite edges
+ */
+function diffCatalogs(oldCourses, newCourses) {
+  const oldByCode = new Map(oldCourses.map(c => [c.code, c]));
+  const newByCode = new Map(newCourses.map(c => [c.code, c]));
+  const summarize = course => ({ code: course.code, name: course.name, department: course.department });
+
+  const added = newCourses.filter(c => !oldByCode.has(c.code)).map(summarize);
+  const removed = oldCourses.filter(c => !newByCode.has(c.code)).map(summarize);
+
+  const renamed = newCourses
+    .filter(c => oldByCode.has(c.code) && oldByCode.get(c.code).name !== c.name)
+    .map(c => ({ code: c.code, from: oldByCode.get(c.code).name, to: c.name }));
+
+  // Compares one kind of requisite as "from -> to" edges, like the graph builds them
+  const diffEdges = (field) => {
+    const toKeys = courses => new Set(courses.flatMap(course =>
+      (course[field] || []).map(req => `${req}|${course.code}`)
+    ));
+    const oldKeys = toKeys(oldCourses);
+    const newKeys = toKeys(newCourses);
+    const toEdge = key => {
+      const [from, to] = key.split('|');
+      return { from, to };
+    };
+    return {
+      gained: [...newKeys].filter(key => !oldKeys.has(key)).map(toEdge),
+      lost: [...oldKeys].filter(key => !newKeys.has(key)).map(toEdge)
+    };
+  };
+
+  const prerequisites = diffEdges('prerequisites');
+  const corequisites = diffEdges('corequisites');
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      renamed: renamed.length,
+      prerequisitesGained: prerequisites.gained.length,
+      prerequisitesLost: prerequisites.lost.length,
+      corequisitesGained: corequisites.gained.length,
+      corequisitesLost: corequisites.lost.length
+    },
+    added,
+    removed,
+    renamed,
+    prerequisites,
+    corequisites
+  };
+}
+
+// If this file is run directly (not imported as a module), list or diff snapshots
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const catalogIndex = args.indexOf('--catalog');
+    const catalogId = catalogIndex !== -1 ? args.splice(catalogIndex, 2)[1] : undefined;
+    const [command = 'list', fromArg, toArg] = args;
+    const history = new CatalogHistory((await loadCatalog(catalogId)).dataDir);
+    const snapshots = await history.listSnapshots();
+
+    if (command === 'list') {
+      console.log(snapshots.length > 0 ? snapshots.join('\n') : 'No snapshots saved yet.');
+      return;
+    }
+
+    if (command !== 'diff') {
+      console.error(`Unknown command "${command}". Use "list" or "diff [from] [to]".`);
+      process.exitCode = 1;
+      return;
+    }
+
+    // Default to comparing the two most recent snapshots
+    const toId = toArg || snapshots[snapshots.length - 1];
+    const fromId = fromArg || snapshots[snapshots.indexOf(toId) - 1];
+    const diff = fromId && toId ? await history.diffSnapshots(fromId, toId) : null;
+
+    if (!diff) {
+      console.error('Need two existing snapshots to compare. Available:', snapshots.join(', ') || 'none');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`Changes from ${diff.from} to ${diff.to}:`, diff.summary);
+    diff.added.forEach(c => console.log(`  + ${c.code} ${c.name}`));
+    diff.removed.forEach(c => console.log(`  - ${c.code} ${c.name}`));
+    diff.renamed.forEach(c => console.log(`  ~ ${c.code}: "${c.from}" -> "${c.to}"`));
+    diff.prerequisites.gained.forEach(e => console.log(`  + prerequisite ${e.from} -> ${e.to}`));
+    diff.prerequisites.lost.forEach(e => console.log(`  - prerequisite ${e.from} -> ${e.to}`));
+    diff.corequisites.gained.forEach(e => console.log(`  + corequisite ${e.from} -> ${e.to}`));
+    diff.corequisites.lost.forEach(e => console.log(`  - corequisite ${e.from} -> ${e.to}`));
+  })().catch(error => {
+    console.error('History command failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = CatalogHistory;
+module.exports.diffCatalogs = diffCatalogs;
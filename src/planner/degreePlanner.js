@@ -0,0 +1,274 @@
+// Semester-by-semester degree path planner
+// Builds an ordered schedule for a set of target courses using the course graph
+const {
+  isRequirementMet,
+  getUnmetRequirements,
+  getRequirementCourses,
+  formatRequirement
+} = require('../graph/requirements');
+
+class DegreePlanner {
+  constructor(courseGraph, options = {}) {
+    this.graph = courseGraph; // CourseGraph with nodes, edges and requirement trees
+    this.defaultCredits = options.defaultCredits || 3; // Credits assumed when a course has none recorded
+  }
+
+  /**
+   * Gets the credit hours used for planning a course
+   * @param {string} code - Course code
+   * @returns {number} Credit hours
+   */
+  getCredits(code) {
+    // Variable-credit courses ("1 to 4 Hours") are planned at their minimum
+    const node = this.graph.nodes.get(code);
+    return (node && (node.minCredits || node.maxCredits)) || this.defaultCredits;
+  }
+
+  /**
+   * Chooses which courses must be taken to reach the target courses
+   * Walks requirement trees recursively; for "one of" groups, picks an alternative
+   * that is already completed, otherwise the one needing the fewest new courses
+   * among those made only of courses in the catalog
+   * @param {Array} targets - Target course codes
+   * @param {Set} completed - Already completed course codes
+   * @returns {Set} Course codes to schedule (targets plus needed prerequisites)
+   */
+  resolveRequiredCourses(targets, completed) {
+    const required = new Set();
+
+    // Counts the courses a requirement would add if chosen (shallow estimate)
+    const cost = (requirement) => {
+      if (!requirement) return 0;
+      if (requirement.type === 'course') {
+        return completed.has(requirement.code) || required.has(requirement.code) ? 0 : 1;
+      }
+      const costs = requirement.requirements.map(cost);
+      return requirement.type === 'oneOf'
+        ? Math.min(...costs)
+        : costs.reduce((sum, c) => sum + c, 0);
+    };
+
+    // Courses missing from the catalog can never be scheduled, so avoid alternatives that need one
+    const isAvailable = (requirement) => {
+      if (requirement.type === 'course') {
+        return completed.has(requirement.code) || this.graph.nodes.has(requirement.code);
+      }
+      return requirement.type === 'oneOf'
+        ? requirement.requirements.some(isAvailable)
+        : requirement.requirements.every(isAvailable);
+    };
+
+    const addCourse = (code) => {
+      if (completed.has(code) || required.has(code)) return;
+      required.add(code);
+      collect(this.graph.getRequirements(code));
+    };
+
+    const collect = (requirement) => {
+      if (!requirement) return;
+      if (requirement.type === 'course') {
+        addCourse(requirement.code);
+      } else if (requirement.type === 'allOf') {
+        requirement.requirements.forEach(collect);
+      } else {
+        // Prefer an alternative that is already met, then the cheapest one
+        const isDone = (code) => completed.has(code) || required.has(code);
+        const met = requirement.requirements.find(r => isRequirementMet(r, isDone));
+        if (met) return;
+        // If every alternative needs a missing course, choose among all of them so the gap is reported
+        const available = requirement.requirements.filter(isAvailable);
+        const cheapest = (available.length > 0 ? available : requirement.requirements).reduce((best, r) =>
+          cost(r) < cost(best) ? r : best
+        );
+        collect(cheapest);
+      }
+    };
+
+    targets.forEach(addCourse);
+    return required;
+  }
+
+  /**
+   * Computes how many required courses depend (transitively) on each required course
+   * Courses that unlock more of the plan are scheduled first
+   * @param {Set} required - Course codes being scheduled
+   * @returns {Map} Course code -> number of required dependents
+   */
+  computePriorities(required) {
+    const dependents = new Map();
+    required.forEach(code => {
+      dependents.set(code, this.graph.getOutgoingEdges(code)
+        .filter(edge => required.has(edge.to))
+        .map(edge => edge.to));
+    });
+
+    const priorities = new Map();
+    required.forEach(code => {
+      const visited = new Set();
+      const stack = [...dependents.get(code)];
+      while (stack.length > 0) {
+        const next = stack.pop();
+        if (visited.has(next) || next === code) continue;
+        visited.add(next);
+        stack.push(...dependents.get(next));
+      }
+      priorities.set(code, visited.size);
+    });
+
+    return priorities;
+  }
+
+  /**
+   * Builds a semester-by-semester plan
+   * Prerequisites must be completed in an earlier term; courses that allow
+   * concurrent registration (corequisites) may be placed in the same term
+   * @param {object} params - Planning parameters
+   * @param {Array} params.targets - Course codes the student wants to take
+   * @param {Array} params.completed - Course codes already completed
+   * @param {number} params.maxCredits - Maximum credit hours per term
+   * @param {number} params.terms - Number of terms to plan
+   * @returns {object} Schedule, unscheduled targets with reasons, and plan summary
+   */
+  plan({ targets, completed = [], maxCredits = 18, terms = 8 }) {
+    // A completed course also counts under its cross-listed codes (CS 374 = ECE 374)
+    const completedSet = new Set(completed.flatMap(code => [code, ...this.graph.getCrossListings(code)]));
+    const targetCodes = targets.map(code => this.graph.resolveCode(code));
+    const required = this.resolveRequiredCourses(targetCodes, completedSet);
+    const priorities = this.computePriorities(required);
+
+    // Term number each course is scheduled in (completed courses count as term 0)
+    const scheduledTerm = new Map();
+    completedSet.forEach(code => scheduledTerm.set(code, 0));
+
+    // Missing courses can never be scheduled
+    const missing = new Set([...required].filter(code => !this.graph.nodes.has(code)));
+
+    const ordered = [...required]
+      .filter(code => !missing.has(code))
+      .sort((a, b) => priorities.get(b) - priorities.get(a) || a.localeCompare(b));
+
+    const schedule = [];
+
+    for (let term = 1; term <= terms; term++) {
+      const termCourses = [];
+      let credits = 0;
+
+      // A leaf is satisfied by an earlier term, or by this term if concurrency is allowed
+      const isSatisfied = (code, leaf) => {
+        if (!scheduledTerm.has(code)) return false;
+        const placed = scheduledTerm.get(code);
+        return placed < term || (leaf.concurrentAllowed && placed === term);
+      };
+
+      // Repeat until nothing else fits, since placing a course may allow a corequisite
+      let placedAny = true;
+      while (placedAny) {
+        placedAny = false;
+        for (const code of ordered) {
+          if (scheduledTerm.has(code)) continue;
+
+          const courseCredits = this.getCredits(code);
+          if (credits + courseCredits > maxCredits) continue;
+          if (!isRequirementMet(this.graph.getRequirements(code), isSatisfied)) continue;
+
+          scheduledTerm.set(code, term);
+          termCourses.push(code);
+          credits += courseCredits;
+          placedAny = true;
+        }
+      }
+
+      // Nothing new fits, so later terms would stay empty too
+      if (termCourses.length === 0) break;
+
+      schedule.push({
+        term,
+        credits,
+        courses: termCourses.map(code => {
+          const node = this.graph.nodes.get(code);
+          return { code, name: node.name, credits: this.getCredits(code) };
+        })
+      });
+    }
+
+    const unscheduled = targetCodes
+      .filter(code => !scheduledTerm.has(code))
+      .map(code => ({
+        code,
+        reason: this.explainUnscheduled(code, scheduledTerm, missing, maxCredits)
+      }));
+
+    const scheduledCodes = [...scheduledTerm.keys()].filter(code => !completedSet.has(code));
+
+    return {
+      schedule,
+      unscheduled,
+      totalCredits: schedule.reduce((sum, t) => sum + t.credits, 0),
+      // Nodes and edges between the planned courses, for drawing the plan on the network
+      graph: this.graph.getSubgraph(scheduledCodes, 0)
+    };
+  }
+
+  /**
+   * Explains why a target course could not be scheduled
+   * @param {string} code - Target course code
+   * @param {Map} scheduledTerm - Course code -> scheduled term
+   * @param {Set} missing - Course codes not found in the catalog
+   * @param {number} maxCredits - Maximum credit hours per term
+   * @returns {string} Human-readable reason
+   */
+  explainUnscheduled(code, scheduledTerm, missing, maxCredits) {
+    if (missing.has(code)) {
+      return `${code} is not in the course catalog`;
+    }
+
+    if (this.getCredits(code) > maxCredits) {
+      return `${code} needs ${this.getCredits(code)} credit hours, more than the ${maxCredits} allowed per term`;
+    }
+
+    const unmet = getUnmetRequirements(
+      this.graph.getRequirements(code),
+      (prereq) => scheduledTerm.has(prereq)
+    );
+
+    if (unmet.length > 0) {
+      const blocking = unmet.map(formatRequirement).join('; ');
+      const missingPrereqs = getRequirementCourses(this.graph.getRequirements(code))
+        .filter(prereq => missing.has(prereq));
+      if (missingPrereqs.length > 0) {
+        return `Requires courses that are not in the catalog: ${missingPrereqs.join(', ')}`;
+      }
+
+      // Detect requirements that can never be met because they lead back to this course
+      const cyclic = this.graph.getPrerequisitesFor(code).some(
+        prereq => prereq && this.dependsOn(prereq.id, code)
+      );
+      return cyclic
+        ? `Prerequisite cycle involving ${code}; unmet: ${blocking}`
+        : `Prerequisites could not be scheduled in time: ${blocking}`;
+    }
+
+    return 'Not enough terms or credit hours to fit this course';
+  }
+
+  /**
+   * Checks whether a course transitively requires another course
+   * @param {string} code - Course to start from
+   * @param {string} prereqCode - Possible transitive prerequisite
+   * @returns {boolean} True if prereqCode is reachable through prerequisite edges
+   */
+  dependsOn(code, prereqCode) {
+    const visited = new Set();
+    const stack = [code];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === prereqCode) return true;
+      if (visited.has(current)) continue;
+      visited.add(current);
+      this.graph.getIncomingEdges(current).forEach(edge => stack.push(edge.from));
+    }
+    return false;
+  }
+}
+
+module.exports = DegreePlanner;
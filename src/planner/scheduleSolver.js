@@ -0,0 +1,285 @@
+// Weekly timetable solver
+// Picks one section of every required type (lecture, lab, discussion, ...) for each chosen course
+// in a term, and lists the combinations without time conflicts that meet the student's constraints
+//
+// Constraints (all optional):
+//   earliestStart: "10:00"   no class starts before this time
+//   latestEnd:     "17:00"   no class ends after this time
+//   freeDays:      ["F"]     no classes on these days (M, T, W, R, F, S, U)
+//   maxGap:        90        no more than this many minutes between two classes on the same day
+// Valid timetables are ranked by fewest days on campus, then least time between classes,
+// then the latest first class
+const DAYS = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+
+/**
+ * Converts "HH:MM" to minutes after midnight
+ * @param {string} time - 24-hour time, e.g. "13:30"
+ * @returns {number|null} Minutes, or null if the time isn't valid
+ */
+function toMinutes(time) {
+  const match = String(time || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Converts minutes after midnight to "HH:MM"
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} 24-hour time
+ */
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Validates and normalizes timetable constraints from a request body
+ * @param {object} constraints - Constraints as described at the top of this file
+ * @returns {object} constraints (times in minutes, freeDays as letters, maxGap in minutes) and problems
+ */
+function normalizeConstraints(constraints = {}) {
+  const problems = [];
+  const normalized = { earliestStart: null, latestEnd: null, freeDays: [], maxGap: null };
+  if (!constraints || typeof constraints !== 'object') {
+    return { constraints: normalized, problems: ['"constraints" must be an object'] };
+  }
+
+  ['earliestStart', 'latestEnd'].forEach(field => {
+    if (constraints[field] === undefined || constraints[field] === null || constraints[field] === '') return;
+    normalized[field] = toMinutes(constraints[field]);
+    if (normalized[field] === null) problems.push(`"${field}" must be a 24-hour time such as "10:00"`);
+  });
+
+  if (constraints.freeDays !== undefined) {
+    const days = Array.isArray(constraints.freeDays) ? constraints.freeDays : [];
+    normalized.freeDays = days.map(day => String(day).trim().toUpperCase());
+    if (!Array.isArray(constraints.freeDays) || normalized.freeDays.some(day => !DAYS.includes(day))) {
+      problems.push(`"freeDays" must be an array of days (${DAYS.join(', ')})`);
+    }
+  }
+
+  if (constraints.maxGap !== undefined && constraints.maxGap !== null && constraints.maxGap !== '') {
+    normalized.maxGap = Number(constraints.maxGap);
+    if (!Number.isFinite(normalized.maxGap) || normalized.maxGap < 0) {
+      problems.push('"maxGap" must be a number of minutes');
+    }
+  }
+
+  return { constraints: normalized, problems };
+}
+
+class ScheduleSolver {
+  constructor(courseGraph, options = {}) {
+    this.graph = courseGraph; // CourseGraph with the class schedule joined in (see setSchedule)
+    // Partial and complete timetables tried before the search stops, so large course sets still answer quickly
+    this.maxCombinations = options.maxCombinations || 50000;
+  }
+
+  /**
+   * Turns a section's meetings into one time slot per day
+   * Meetings without days or times ("ARRANGED", online) have no slots
+   * @param {object} section - Section from schedule.json
+   * @returns {Array} Slots with day, start and end (minutes) and partOfTerm
+   */
+  getSlots(section) {
+    return section.meetings.flatMap(meeting => {
+      const start = toMinutes(meeting.start);
+      const end = toMinutes(meeting.end);
+      if (start === null || end === null) return [];
+      return meeting.days.split('').filter(day => DAYS.includes(day)).map(day => ({
+        day,
+        start,
+        end,
+        partOfTerm: section.partOfTerm || '1'
+      }));
+    });
+  }
+
+  /**
+   * Checks whether two slots meet at the same time
+   * First-half ("A") and second-half ("B") sections never meet in the same weeks
+   * @param {object} a - Slot from getSlots()
+   * @param {object} b - Slot from getSlots()
+   * @returns {boolean} True if the slots overlap
+   */
+  overlaps(a, b) {
+    if (a.day !== b.day) return false;
+    if (a.partOfTerm !== '1' && b.partOfTerm !== '1' && a.partOfTerm !== b.partOfTerm) return false;
+    return a.start < b.end && b.start < a.end;
+  }
+
+  /**
+   * Lists the ways to register for a course: one section of each section type
+   * Sections are linked by the first letter of their section number, so lecture AL1 goes with
+   * lab AYA but not with lab BYA; if no letter covers every type, any combination is allowed
+   * @param {Array} sections - The course's sections in one term
+   * @returns {Array} Options, each with its sections and their slots
+   */
+  getCourseOptions(sections) {
+    const typeOf = section => section.type || 'SEC';
+    const types = [...new Set(sections.map(typeOf))];
+
+    // One section of each type, chosen from the given sections
+    const combine = (pool) => types.reduce((options, type) => {
+      const ofType = pool.filter(section => typeOf(section) === type);
+      return options.flatMap(option => ofType.map(section => [...option, section]));
+    }, [[]]);
+
+    const linkKeys = [...new Set(sections.map(section => (section.section || '')[0]))];
+    const linked = linkKeys.flatMap(key => {
+      const pool = sections.filter(section => (section.section || '')[0] === key);
+      return types.every(type => pool.some(section => typeOf(section) === type)) ? combine(pool) : [];
+    });
+
+    return (linked.length > 0 ? linked : combine(sections)).map(option => ({
+      sections: option,
+      slots: option.flatMap(section => this.getSlots(section))
+    }));
+  }
+
+  /**
+   * Lists the constraints an option breaks on its own (before combining it with other courses)
+   * @param {object} option - Option from getCourseOptions()
+   * @param {object} constraints - Normalized constraints
+   * @returns {Array} Broken constraints, e.g. ["a class before 10:00", "a class on F"]
+   */
+  getViolations(option, constraints) {
+    const violations = [];
+    const { earliestStart, latestEnd, freeDays } = constraints;
+    if (earliestStart !== null && option.slots.some(slot => slot.start < earliestStart)) {
+      violations.push(`a class before ${formatMinutes(earliestStart)}`);
+    }
+    if (latestEnd !== null && option.slots.some(slot => slot.end > latestEnd)) {
+      violations.push(`a class after ${formatMinutes(latestEnd)}`);
+    }
+    const busyFreeDays = freeDays.filter(day => option.slots.some(slot => slot.day === day));
+    if (busyFreeDays.length > 0) violations.push(`a class on ${busyFreeDays.join(', ')}`);
+    return violations;
+  }
+
+  /**
+   * Summarizes a timetable's week: days on campus, time between classes, first and last class
+   * @param {Array} slots - Slots of every chosen section
+   * @returns {object} days, daysOnCampus, totalGapMinutes, longestGapMinutes, earliestStart, latestEnd
+   */
+  summarizeWeek(slots) {
+    const days = DAYS.filter(day => slots.some(slot => slot.day === day));
+    let totalGapMinutes = 0;
+    let longestGapMinutes = 0;
+
+    days.forEach(day => {
+      const daySlots = slots.filter(slot => slot.day === day).sort((a, b) => a.start - b.start);
+      let lastEnd = daySlots[0].end;
+      daySlots.slice(1).forEach(slot => {
+        const gap = Math.max(0, slot.start - lastEnd);
+        totalGapMinutes += gap;
+        longestGapMinutes = Math.max(longestGapMinutes, gap);
+        lastEnd = Math.max(lastEnd, slot.end);
+      });
+    });
+
+    return {
+      days,
+      daysOnCampus: days.length,
+      totalGapMinutes,
+      longestGapMinutes,
+      earliestStart: slots.length > 0 ? formatMinutes(Math.min(...slots.map(slot => slot.start))) : null,
+      latestEnd: slots.length > 0 ? formatMinutes(Math.max(...slots.map(slot => slot.end))) : null
+    };
+  }
+
+  /**
+   * Finds conflict-free weekly timetables for a set of courses in one term
+   * @param {object} params - Solver parameters
+   * @param {Array} params.courses - Course codes
+   * @param {string} params.term - Term name, e.g. "Fall 2026"
+   * @param {object} params.constraints - Normalized constraints (see normalizeConstraints)
+   * @param {number} params.limit - Number of timetables to return
+   * @returns {object} schedules (best first), totalFound, truncated, notOffered and reasons when none fit
+   */
+  solve({ courses, term, constraints, limit = 5 }) {
+    const notOffered = [];
+    const reasons = [];
+    const courseOptions = [];
+
+    courses.forEach(code => {
+      // Cross-listed codes can list the same section, so keep each CRN once
+      const seen = new Set();
+      const sections = this.graph.getSections(code).filter(section => {
+        if (section.term !== term || seen.has(section.crn)) return false;
+        seen.add(section.crn);
+        return true;
+      });
+      if (sections.length === 0) {
+        notOffered.push(code);
+        return;
+      }
+
+      const options = this.getCourseOptions(sections);
+      const fitting = options.filter(option => this.getViolations(option, constraints).length === 0);
+      if (fitting.length === 0) {
+        const violations = [...new Set(options.flatMap(option => this.getViolations(option, constraints)))];
+        reasons.push(`${code}: every section combination has ${violations.join(' or ')}`);
+      }
+      courseOptions.push({ code, options: fitting });
+    });
+
+    // Courses with the fewest options first, so conflicts are found early
+    courseOptions.sort((a, b) => a.options.length - b.options.length);
+
+    const found = [];
+    let checked = 0;
+    let truncated = false;
+    let tooMuchGap = 0;
+
+    const search = (index, chosen, slots) => {
+      if (truncated) return;
+      checked++;
+      if (checked > this.maxCombinations) {
+        truncated = true;
+        return;
+      }
+
+      if (index === courseOptions.length) {
+        const week = this.summarizeWeek(slots);
+        if (constraints.maxGap !== null && week.longestGapMinutes > constraints.maxGap) {
+          tooMuchGap++;
+          return;
+        }
+        found.push({ sections: chosen.flatMap(option => option.sections), ...week });
+        return;
+      }
+
+      courseOptions[index].options.forEach(option => {
+        if (option.slots.some(slot => slots.some(other => this.overlaps(slot, other)))) return;
+        search(index + 1, [...chosen, option], [...slots, ...option.slots]);
+      });
+    };
+
+    if (courseOptions.length > 0 && reasons.length === 0) search(0, [], []);
+
+    if (found.length === 0 && truncated) {
+      reasons.push(`Search stopped after ${this.maxCombinations} combinations; narrow the course list`);
+    } else if (found.length === 0 && courseOptions.length > 0 && reasons.length === 0) {
+      reasons.push(tooMuchGap > 0
+        ? `Every conflict-free combination has a gap longer than ${constraints.maxGap} minutes`
+        : 'Every combination of sections has a time conflict');
+    }
+
+    found.sort((a, b) =>
+      a.daysOnCampus - b.daysOnCampus ||
+      a.totalGapMinutes - b.totalGapMinutes ||
+      (b.earliestStart || '').localeCompare(a.earliestStart || '') // Online-only timetables have no times
+    );
+
+    return {
+      schedules: found.slice(0, limit).map((schedule, i) => ({ rank: i + 1, ...schedule })),
+      totalFound: found.length,
+      truncated,
+      notOffered,
+      reasons
+    };
+  }
+}
+
+module.exports = ScheduleSolver;
+module.exports.normalizeConstraints = normalizeConstraints;
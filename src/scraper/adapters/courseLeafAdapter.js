@@ -0,0 +1,157 @@
+// Catalog adapter for CourseLeaf-style catalogs
+// An adapter tells the scraper how to find departments, how to read a course block,
+// and what course codes look like. Catalogs with different markup or code formats
+// (e.g. 5-letter subjects and 4-digit numbers) only need different options or a subclass.
+
+class CourseLeafAdapter {
+  /**
+   * @param {object} options - Catalog settings
+   * @param {string} options.id - Catalog id used in config and data paths (e.g., "illinois")
+   * @param {string} options.institution - Institution name stored on every course
+   * @param {string} options.baseUrl - Catalog index page listing the departments
+   * @param {string} options.subjectPattern - Regex source for subject codes (default: 2-4 capital letters)
+   * @param {string} options.numberPattern - Regex source for course numbers (default: 3 digits)
+   * @param {object} options.selectors - CSS selectors overriding the CourseLeaf defaults
+   */
+  constructor(options = {}) {
+    this.id = options.id || 'courseleaf';
+    this.institution = options.institution || null;
+    this.baseUrl = options.baseUrl;
+    this.subjectPattern = options.subjectPattern || '[A-Z]{2,4}';
+    this.numberPattern = options.numberPattern || '\\d{3}';
+    this.selectors = {
+      departmentLinks: '#atozindex a', // Links in the A-Z department index
+      courseBlock: '.courseblock', // One element per course
+      courseTitle: '.courseblocktitle', // "CS 225   Data Structures   credit: 4 Hours."
+      courseDescription: '.courseblockdesc', // Description with linked course codes
+      ...(options.selectors || {})
+    };
+  }
+
+  /**
+   * Builds a regex matching course codes like "CS 225" (subject and number are captured)
+   * A new RegExp is returned each time so global searches don't share lastIndex
+   * @param {string} flags - RegExp flags (default: "g")
+   * @returns {RegExp} Course code pattern
+   */
+  getCodePattern(flags = 'g') {
+    return new RegExp(`(${this.subjectPattern})\\s*(${this.numberPattern})`, flags);
+  }
+
+  /**
+   * Finds every course code in a piece of text
+   * @param {string} text - Text to search
+   * @returns {Array} Normalized course codes in order of appearance (e.g., ["CS 173", "MATH 213"])
+   */
+  findCourseCodes(text) {
+    const codes = [];
+    const pattern = this.getCodePattern();
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      codes.push(`${match[1]} ${match[2]}`);
+    }
+    return codes;
+  }
+
+  /**
+   * Reads the department list from the catalog index page
+   * @param {object} $ - Cheerio document of the index page
+   * @returns {Array} Array of department objects with name, code, and URL
+   */
+  parseDepartmentList($) {
+    const departments = [];
+
+    // Find all links in the A-Z index (each department has a link)
+    $(this.selectors.departmentLinks).each((i, elem) => {
+      const href = $(elem).attr('href'); // Get the link URL
+      const name = $(elem).text().trim(); // Get the department name
+
+      // Skip invalid entries:
+      // - No href or undefined href
+      // - Single letters (A, B, C headers in the A-Z index)
+      // - Very short names
+      if (!href || href === 'undefined' || !name || name.length <= 2) {
+        return; // Skip to next iteration
+      }
+
+      // Extract the department code from the URL
+      // Example: "/courses-of-instruction/cs/" -> "cs"
+      const pathParts = href.split('/').filter(x => x);
+      const courseCode = pathParts[pathParts.length - 1];
+
+      // Only add departments with valid course codes
+      if (courseCode && courseCode.length >= 2) {
+        departments.push({
+          name: name, // e.g., "Computer Science"
+          code: courseCode.toUpperCase(), // e.g., "CS"
+          url: new URL(href, this.baseUrl).href // Full URL to department page
+        });
+      }
+    });
+
+    return departments;
+  }
+
+  /**
+   * Finds the course blocks on a department page
+   * @param {object} $ - Cheerio document of the department page
+   * @returns {Array} Cheerio-wrapped course block elements
+   */
+  getCourseBlocks($) {
+    return $(this.selectors.courseBlock).toArray().map(elem => $(elem));
+  }
+
+  /**
+   * Reads the basic fields of one course block
+   * @param {object} $block - Cheerio-wrapped course block
+   * @param {string} departmentCode - Department code (e.g., "CS")
+   * @returns {object|null} code, number, name, titleText and $desc, or null if the block has no course number
+   */
+  parseCourseBlock($block, departmentCode) {
+    // Extract course title (contains course number and name)
+    const titleText = $block.find(this.selectors.courseTitle).text().trim();
+    // Example formats: "AAS 100   Intro Asian American Studies   credit: 3 Hours."
+    // or "225. Data Structures credit: 4 Hours."
+
+    // Extract course number - match "AAS 100" or just "100"
+    const numberMatch = titleText.match(
+      new RegExp(`${this.subjectPattern}\\s+(${this.numberPattern})|^(${this.numberPattern})\\.`)
+    );
+    if (!numberMatch) {
+      return null; // Skip if no course number found
+    }
+
+    // Get the course number (either from first or second capture group)
+    const number = numberMatch[1] || numberMatch[2]; // e.g., "225"
+
+    // Extract course name by removing the course code and credit info
+    // "AAS 100   Intro Asian American Studies   credit: 3 Hours." -> "Intro Asian American Studies"
+    const name = titleText
+      .replace(new RegExp(`^${this.subjectPattern}\\s+${this.numberPattern}\\s+`), '') // Remove "AAS 100 " prefix
+      .replace(/\s*credit:.*$/i, '') // Remove "credit: 3 Hours." suffix
+      .trim();
+
+    return {
+      code: `${departmentCode} ${number}`, // e.g., "CS 225"
+      number,
+      name,
+      titleText,
+      $desc: $block.find(this.selectors.courseDescription)
+    };
+  }
+
+  /**
+   * Describes the catalog for the API and frontend
+   * @returns {object} id, institution and course code pattern
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      institution: this.institution,
+      subjectPattern: this.subjectPattern,
+      numberPattern: this.numberPattern
+    };
+  }
+}
+
+module.exports = CourseLeafAdapter;
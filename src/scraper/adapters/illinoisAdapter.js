@@ -0,0 +1,18 @@
+// Catalog adapter for the University of Illinois Urbana-Champaign course catalog
+// catalog.illinois.edu is a CourseLeaf catalog with 2-4 letter subjects and 3-digit numbers
+const CourseLeafAdapter = require('./courseLeafAdapter');
+
+class IllinoisAdapter extends CourseLeafAdapter {
+  constructor(options = {}) {
+    super({
+      id: 'illinois',
+      institution: 'University of Illinois Urbana-Champaign',
+      baseUrl: 'https://catalog.illinois.edu/courses-of-instruction/',
+      subjectPattern: '[A-Z]{2,4}',
+      numberPattern: '\\d{3}',
+      ...options
+    });
+  }
+}
+
+module.exports = IllinoisAdapter;
@@ -0,0 +1,65 @@
+// Catalog adapter registry and catalog config loading
+// Catalogs are listed in config/catalogs.json; the CATALOG environment variable picks one
+const fs = require('fs').promises;
+const path = require('path');
+const CourseLeafAdapter = require('./courseLeafAdapter');
+const IllinoisAdapter = require('./illinoisAdapter');
+
+const ROOT_DIR = path.join(__dirname, '../../..');
+const CONFIG_PATH = path.join(ROOT_DIR, 'config', 'catalogs.json');
+const DEFAULT_CATALOG = 'illinois';
+
+const ADAPTERS = {
+  courseleaf: CourseLeafAdapter, // Generic CourseLeaf catalog configured entirely from catalogs.json
+  illinois: IllinoisAdapter
+};
+
+/**
+ * Creates the adapter for a catalog config entry
+ * @param {string} id - Catalog id
+ * @param {object} config - Entry from catalogs.json (adapter name plus adapter options)
+ * @returns {CourseLeafAdapter} Adapter instance
+ */
+function createAdapter(id, config = {}) {
+  const Adapter = ADAPTERS[config.adapter || id];
+  if (!Adapter) {
+    throw new Error(`Unknown catalog adapter "${config.adapter || id}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  const { adapter, dataDir, ...options } = config;
+  return new Adapter({ id, ...options });
+}
+
+/**
+ * Loads a catalog from config/catalogs.json
+ * @param {string} catalogId - Catalog id (default: CATALOG environment variable, then "illinois")
+ * @param {string} configPath - Path to the catalogs config file
+ * @returns {object} id, institution, adapter and absolute dataDir of the catalog
+ */
+async function loadCatalog(catalogId = process.env.CATALOG || DEFAULT_CATALOG, configPath = CONFIG_PATH) {
+  let catalogs = {};
+  try {
+    catalogs = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+  } catch (error) {
+    if (catalogId !== DEFAULT_CATALOG) throw new Error(`Could not read ${configPath}: ${error.message}`);
+  }
+
+  const config = catalogs[catalogId] || (catalogId === DEFAULT_CATALOG ? { adapter: DEFAULT_CATALOG, dataDir: 'data' } : null);
+  if (!config) {
+    throw new Error(`Unknown catalog "${catalogId}". Configured catalogs: ${Object.keys(catalogs).join(', ') || 'none'}`);
+  }
+
+  const adapter = createAdapter(catalogId, config);
+  return {
+    id: catalogId,
+    institution: adapter.institution,
+    adapter,
+    // Each catalog keeps its own courses.json, snapshots and cache
+    dataDir: path.resolve(ROOT_DIR, config.dataDir || path.join('data', catalogId))
+  };
+}
+
+module.exports = {
+  ADAPTERS,
+  createAdapter,
+  loadCatalog
+};
@@ -1,38 +1,30 @@
-// Web scraper for University of Illinois course catalog
+// Web scraper for CourseLeaf-style course catalogs (University of Illinois by default)
 // Scrapes course information including prerequisites and corequisites from hyperlinks
-const axios = require('axios');
+// Catalog-specific markup and course code formats live in catalog adapters (./adapters)
 const cheerio = require('cheerio');
 const fs = require('fs').promises;
 const path = require('path');
-
-class CourseScraper {
-  constructor(baseUrl = 'https://catalog.illinois.edu/courses-of-instruction/') {
-    this.baseUrl = baseUrl; // Main catalog page URL
+const { courseRequirement, groupRequirement } = require('../graph/requirements');
+const PageScraper = require('./pageScraper');
+const CatalogHistory = require('../history/catalogHistory');
+const IllinoisAdapter = require('./adapters/illinoisAdapter');
+const { loadCatalog } = require('./adapters');
+
+class CourseScraper extends PageScraper {
+  constructor(baseUrl = null, options = {}) {
+    // Data directory, HTML cache and fetchPage come from PageScraper
+    super(options, {
+      start: 3000, // After fetching the department list
+      min: 2000, // Random wait between departments...
+      max: 4000, // ...up to this long
+      cached: 500 // After a page that came from the cache
+    });
+    this.adapter = options.adapter || new IllinoisAdapter(); // Department listing, course blocks and code format
+    this.baseUrl = baseUrl || this.adapter.baseUrl; // Main catalog page URL
+    this.adapter.baseUrl = this.baseUrl;
     this.courses = []; // Array to store all scraped courses
   }
 
-  /**
-   * Fetches HTML content from a given URL
-   * @param {string} url - The URL to fetch
-   * @returns {string|null} HTML content or null if error
-   */
-  async fetchPage(url) {
-    try {
-      // Add user agent header to avoid being blocked by the server
-      // Add timeout to prevent hanging on slow requests
-      const response = await axios.get(url, {
-        timeout: 15000, // 15 second timeout
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
-      return response.data;
-    } catch (error) {
-      console.error(`Error fetching ${url}:`, error.message);
-      return null;
-    }
-  }
-
   /**
    * Parses prerequisites and corequisites from course description HTML
    * Prerequisites are courses that must be completed before taking this course
@@ -51,8 +43,8 @@ class CourseScraper {
     // Look for the word "Prerequisite:" in the description
     const prereqIndex = descText.indexOf('Prerequisite:');
     if (prereqIndex === -1) {
-      // No prerequisites found, return empty arrays
-      return { prerequisites, corequisites };
+      // No prerequisites found, return empty arrays and no requirement tree
+      return { prerequisites, corequisites, requirements: null };
     }
 
     // Extract only the prerequisite section (everything after "Prerequisite:")
@@ -86,7 +78,7 @@ class CourseScraper {
       const linkText = $link.text().trim();
 
       // Match course codes like "CS 225", "MATH 221", etc.
-      const courseMatch = linkText.match(/([A-Z]{2,4})\s*(\d{3})/);
+      const courseMatch = linkText.match(this.adapter.getCodePattern(''));
 
       if (courseMatch) {
         // Format the course name consistently (e.g., "CS 225")
@@ -127,7 +119,118 @@ class CourseScraper {
       }
     });
 
-    return { prerequisites, corequisites };
+    // Build the structured AND/OR requirement tree from the same section
+    const requirements = this.parseRequirementTree(prereqSection, prerequisites, corequisites);
+
+    return { prerequisites, corequisites, requirements };
+  }
+
+  /**
+   * Parses cross-listed courses from a description's "Same as" sentence
+   * Example: "Same as ECE 374 and MATH 374." -> ["ECE 374", "MATH 374"]
+   * @param {string} descText - Course description text
+   * @param {string} currentCourseCode - The code of the current course being parsed
+   * @returns {Array} Cross-listed course codes
+   */
+  parseCrossListings(descText, currentCourseCode) {
+    const crossListings = [];
+    const sameAsPattern = /Same as ([^.]*)/gi;
+    let sentence;
+
+    while ((sentence = sameAsPattern.exec(descText)) !== null) {
+      this.adapter.findCourseCodes(sentence[1]).forEach(code => {
+        if (code !== currentCourseCode && !crossListings.includes(code)) {
+          crossListings.push(code);
+        }
+      });
+    }
+
+    return crossListings;
+  }
+
+  /**
+   * Parses the prerequisite section text into an AND/OR requirement tree
+   * Clauses separated by semicolons or sentences are all required ("allOf")
+   * Within a clause, "or", "and/or" and "one of" create alternatives ("oneOf")
+   * A "one of" list covers only the courses after it: "CS 225 and one of MATH 225, MATH 415"
+   * -> allOf(CS 225, oneOf(MATH 225, MATH 415))
+   * Only courses already accepted into the flat arrays are used, so exclusions still apply
+   * Example: "CS 173 or MATH 213; CS 225" -> allOf(oneOf(CS 173, MATH 213), CS 225)
+   * @param {string} prereqSection - Description text starting at "Prerequisite:"
+   * @param {Array} prerequisites - Parsed prerequisite course codes
+   * @param {Array} corequisites - Parsed corequisite course codes (concurrent registration allowed)
+   * @returns {object|null} Requirement tree (see src/graph/requirements.js) or null if no courses
+   */
+  parseRequirementTree(prereqSection, prerequisites, corequisites) {
+    const knownCodes = new Set([...prerequisites, ...corequisites]);
+    if (knownCodes.size === 0) return null;
+
+    const usedCodes = new Set();
+
+    // Turns a piece of text into course leaves for every known course code in it
+    const extractLeaves = (text) => {
+      const leaves = [];
+      this.adapter.findCourseCodes(text).forEach(code => {
+        if (!knownCodes.has(code) || leaves.some(leaf => leaf.code === code)) return;
+        usedCodes.add(code);
+        leaves.push(courseRequirement(code, corequisites.includes(code)));
+      });
+      return leaves;
+    };
+
+    // Parses a clause that contains no top-level "and" split
+    const parsePart = (text) => {
+      const hasOr = /\bor\b/i.test(text);
+      const hasAnd = /\band\b/i.test(text);
+
+      if (hasOr && hasAnd) {
+        // "CS 173 and MATH 231 or MATH 213" -> each side of "or" is its own allOf group
+        return groupRequirement('oneOf', text.split(/\bor\b/i).map(piece =>
+          groupRequirement('allOf', extractLeaves(piece))
+        ));
+      }
+      return groupRequirement(hasOr ? 'oneOf' : 'allOf', extractLeaves(text));
+    };
+
+    const parseClause = (clause) => {
+      // "and/or" means at least one of the courses is needed
+      // "credit or concurrent registration" is a concurrency marker, not an alternative
+      const text = clause
+        .replace(/\band\s*\/\s*or\b/gi, 'or')
+        .replace(/\bcredit or concurrent\b/gi, 'concurrent');
+
+      // ", and" separates required parts: "CS 173 or MATH 213, and CS 225"
+      const parseRequiredParts = (part) => part.split(/,\s*and\b/i).map(parsePart);
+
+      // "One of CS 101, CS 124, CS 125" lists alternatives regardless of separators;
+      // anything before it ("CS 225 and one of ...") is still required
+      const oneOf = text.match(/\bone of\b/i);
+      if (oneOf) {
+        const before = text.substring(0, oneOf.index).replace(/,?\s*\band\s*$/i, '');
+        return groupRequirement('allOf', [
+          ...parseRequiredParts(before),
+          groupRequirement('oneOf', extractLeaves(text.substring(oneOf.index)))
+        ]);
+      }
+
+      return groupRequirement('allOf', parseRequiredParts(text));
+    };
+
+    // Remove the "Prerequisite:" label and split into independent clauses
+    const clauses = prereqSection
+      .replace(/^Prerequisite:/, '')
+      .split(/;|\.\s+(?=[A-Z])/);
+
+    const requirements = clauses.map(parseClause);
+
+    // Any linked course not found in the text (e.g. unusual link text) is treated as required
+    knownCodes.forEach(code => {
+      if (!usedCodes.has(code)) {
+        requirements.push(courseRequirement(code, corequisites.includes(code)));
+      }
+    });
+
+    return groupRequirement('allOf', requirements);
   }
 
   /**
@@ -139,36 +242,8 @@ class CourseScraper {
     const html = await this.fetchPage(this.baseUrl);
     if (!html) return []; // Return empty array if fetch failed
 
-    const $ = cheerio.load(html); // Parse HTML
-    const departments = [];
-
-    // Find all links in the A-Z index (each department has a link)
-    $('#atozindex a').each((i, elem) => {
-      const href = $(elem).attr('href'); // Get the link URL
-      const name = $(elem).text().trim(); // Get the department name
-
-      // Skip invalid entries:
-      // - No href or undefined href
-      // - Single letters (A, B, C headers in the A-Z index)
-      // - Very short names
-      if (!href || href === 'undefined' || !name || name.length <= 2) {
-        return; // Skip to next iteration
-      }
-
-      // Extract the department code from the URL
-      // Example: "/courses-of-instruction/cs/" -> "cs"
-      const pathParts = href.split('/').filter(x => x);
-      const courseCode = pathParts[pathParts.length - 1];
-
-      // Only add departments with valid course codes
-      if (courseCode && courseCode.length >= 2) {
-        departments.push({
-          name: name, // e.g., "Computer Science"
-          code: courseCode.toUpperCase(), // e.g., "CS"
-          url: `https://catalog.illinois.edu${href}` // Full URL to department page
-        });
-      }
-    });
+    // The adapter knows where the catalog lists its departments
+    const departments = this.adapter.parseDepartmentList(cheerio.load(html));
 
     console.log(`Found ${departments.length} departments`);
     return departments;
@@ -188,49 +263,40 @@ class CourseScraper {
     const $ = cheerio.load(html); // Parse HTML
     const courses = [];
 
-    // Find all course blocks on the page
-    // Each .courseblock div contains one course
-    $('.courseblock').each((i, elem) => {
-      const $block = $(elem); // Current course block
-
-      // Extract course title (contains course number and name)
-      const $title = $block.find('.courseblocktitle');
-      const titleText = $title.text().trim();
-      // Example formats: "AAS 100   Intro Asian American Studies   credit: 3 Hours."
-      // or "225. Data Structures credit: 4 Hours."
-
-      // Extract course number using regex - match "AAS 100" or just "100"
-      const courseNumberMatch = titleText.match(/[A-Z]{2,4}\s+(\d{3})|^(\d{3})\./);
-      if (!courseNumberMatch) {
+    // Find all course blocks on the page (one per course)
+    this.adapter.getCourseBlocks($).forEach($block => {
+      // Read the course number, code and name from the block's title
+      const block = this.adapter.parseCourseBlock($block, departmentCode);
+      if (!block) {
         return; // Skip if no course number found
       }
-
-      // Get the course number (either from first or second capture group)
-      const courseNumber = courseNumberMatch[1] || courseNumberMatch[2]; // e.g., "225"
-      const courseCode = `${departmentCode} ${courseNumber}`; // e.g., "CS 225"
-
-      // Extract course name by removing the course code and credit info
-      // "AAS 100   Intro Asian American Studies   credit: 3 Hours." -> "Intro Asian American Studies"
-      const courseName = titleText
-        .replace(/^[A-Z]{2,4}\s+\d{3}\s+/, '') // Remove "AAS 100 " prefix
-        .replace(/\s*credit:.*$/i, '') // Remove "credit: 3 Hours." suffix
-        .trim();
+      const { code: courseCode, number: courseNumber, name: courseName, titleText, $desc } = block;
 
       // Extract course description
-      const $desc = $block.find('.courseblockdesc');
       const description = $desc.text().trim();
 
       // Parse prerequisites and corequisites from the description
-      const { prerequisites, corequisites } = this.parsePrerequisitesAndCorequisites($desc, courseCode);
+      const { prerequisites, corequisites, requirements } = this.parsePrerequisitesAndCorequisites($desc, courseCode);
+
+      // Record "Same as" cross-listed courses (these are excluded from prerequisites)
+      const crossListings = this.parseCrossListings(description, courseCode);
+
+      // Parse credit hours, level, Gen Ed categories and repeatability
+      // Gen Ed text can appear outside the description, so search the whole block
+      const attributes = this.parseCourseAttributes(titleText, $block.text(), courseNumber);
 
       // Add course to array
       courses.push({
         code: courseCode, // e.g., "CS 225"
         name: courseName, // e.g., "Data Structures"
         department: departmentCode, // e.g., "CS"
+        institution: this.adapter.institution, // e.g., "University of Illinois Urbana-Champaign"
         description: description, // Full course description
         prerequisites: prerequisites, // Array of prerequisite course codes
         corequisites: corequisites, // Array of corequisite course codes
+        requirements: requirements, // AND/OR requirement tree (null if no course requirements)
+        crossListings: crossListings, // Equivalent cross-listed course codes ("Same as")
+        ...attributes, // minCredits, maxCredits, level, genEd, repeatable, maxRepeatCredits, graduateOnly
         url: departmentUrl // Link to department page
       });
     });
@@ -239,31 +305,189 @@ class CourseScraper {
     return courses;
   }
 
+  /**
+   * Parses structured attributes from a course block
+   * @param {string} titleText - Course title text, e.g. "CS 225   Data Structures   credit: 4 Hours."
+   * @param {string} blockText - Full text of the course block (description and extra notes)
+   * @param {string} courseNumber - Course number, e.g. "225"
+   * @returns {object} minCredits, maxCredits, level, genEd, repeatable, maxRepeatCredits, graduateOnly
+   */
+  parseCourseAttributes(titleText, blockText, courseNumber) {
+    // Credit formats: "credit: 3 Hours.", "credit: 3 or 4 Hours.", "credit: 1 to 4 Hours."
+    const creditMatch = titleText.match(/credit:\s*([\d.]+)(?:\s*(?:to|or|-)\s*([\d.]+))?\s*Hours?/i);
+    const minCredits = creditMatch ? parseFloat(creditMatch[1]) : null;
+    const maxCredits = creditMatch ? parseFloat(creditMatch[2] || creditMatch[1]) : null;
+
+    // Course level from the leading digit: "225" -> 200, "598" -> 500 (4-digit numbers: "2250" -> 2000)
+    const levelStep = Math.pow(10, courseNumber.length - 1);
+    const level = Math.floor(parseInt(courseNumber) / levelStep) * levelStep;
+
+    // Gen Ed categories follow "General Education Criteria for:" separated by semicolons or new lines
+    // Example: "Humanities - Hist & Philosoph Persp; Cultural Studies - Western Comp Cult"
+    const genEd = [];
+    const genEdMatch = blockText.match(/General Education Criteria for:?([\s\S]*)$/i);
+    if (genEdMatch) {
+      genEdMatch[1]
+        .split(/;|\n/)
+        .map(category => category.replace(/\s+/g, ' ').replace(/\.$/, '').trim())
+        .filter(category => category.length > 0)
+        .forEach(category => {
+          if (!genEd.includes(category)) genEd.push(category);
+        });
+    }
+
+    // Repeatability: "May be repeated in separate terms to a maximum of 8 hours."
+    const repeatable = /may be repeated/i.test(blockText);
+    const repeatMaxMatch = blockText.match(/may be repeated[^.]*?maximum of (\d+)\s*(?:undergraduate\s+|graduate\s+)?(?:credit\s+)?hours/i);
+    const maxRepeatCredits = repeatMaxMatch ? parseInt(repeatMaxMatch[1]) : null;
+
+    // 500-level (5000-level) courses and courses restricted to graduate students are graduate-only
+    const graduateOnly = level >= 5 * levelStep || /restricted to graduate students/i.test(blockText);
+
+    return { minCredits, maxCredits, level, genEd, repeatable, maxRepeatCredits, graduateOnly };
+  }
+
+  /**
+   * Gets the path of the scrape progress file
+   * @returns {string} Path to data/scrape-progress.json
+   */
+  getProgressPath() {
+    return path.join(this.dataDir, 'scrape-progress.json');
+  }
+
+  /**
+   * Loads saved scrape progress
+   * @returns {object} Progress with startedAt and the list of completed department codes
+   */
+  async loadProgress() {
+    try {
+      return JSON.parse(await fs.readFile(this.getProgressPath(), 'utf-8'));
+    } catch (error) {
+      return { startedAt: new Date().toISOString(), completed: [] };
+    }
+  }
+
+  /**
+   * Saves scrape progress so an interrupted run can be resumed
+   * @param {object} progress - Progress object from loadProgress()
+   */
+  async saveProgress(progress) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(this.getProgressPath(), JSON.stringify(progress, null, 2));
+  }
+
+  /**
+   * Removes the progress file after a run finishes
+   */
+  async clearProgress() {
+    try {
+      await fs.unlink(this.getProgressPath());
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error; // Already gone is fine
+    }
+  }
+
+  /**
+   * Gets the path where one department's scraped courses are kept between runs
+   * @param {string} departmentCode - Department code (e.g., "CS")
+   * @returns {string} Path under data/cache/departments/
+   */
+  getDepartmentPath(departmentCode) {
+    return path.join(this.dataDir, 'cache', 'departments', `${departmentCode}.json`);
+  }
+
+  /**
+   * Saves one department's scraped courses
+   * @param {string} departmentCode - Department code (e.g., "CS")
+   * @param {Array} courses - Courses scraped from the department
+   */
+  async saveDepartmentCourses(departmentCode, courses) {
+    const filepath = this.getDepartmentPath(departmentCode);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, JSON.stringify(courses, null, 2));
+  }
+
+  /**
+   * Loads one department's previously scraped courses
+   * @param {string} departmentCode - Department code (e.g., "CS")
+   * @returns {Array|null} Saved courses or null if none were saved
+   */
+  async loadDepartmentCourses(departmentCode) {
+    try {
+      return JSON.parse(await fs.readFile(this.getDepartmentPath(departmentCode), 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Scrapes courses from all (or limited number of) departments
+   * Progress is saved after each department so an interrupted run can be resumed
    * @param {number|null} limit - Maximum number of departments to scrape (null = all)
+   * @param {object} options - Scrape options
+   * @param {boolean} options.resume - Skip departments completed by the previous run
+   * @param {Array|null} options.only - Only scrape these department codes (e.g., ["CS", "MATH"])
    * @returns {Array} Array of all scraped courses
    */
-  async scrapeAll(limit = null) {
+  async scrapeAll(limit = null, { resume = false, only = null } = {}) {
     // Get list of all departments
     const departments = await this.scrapeDepartmentList();
 
-    // Wait a bit after fetching the department list before starting to scrape
-    console.log('Waiting 3 seconds before starting to scrape departments...');
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
     // Limit to first N departments if specified (useful for testing)
-    const departmentsToScrape = limit ? departments.slice(0, limit) : departments;
+    let departmentsToScrape = limit ? departments.slice(0, limit) : departments;
+
+    // Only refresh the requested departments
+    if (only) {
+      departmentsToScrape = departments.filter(dept => only.includes(dept.code));
+      const unknown = only.filter(code => !departments.some(dept => dept.code === code));
+      if (unknown.length > 0) {
+        console.log(`Unknown departments skipped: ${unknown.join(', ')}`);
+      }
+    }
+
+    // Start fresh unless resuming a previous run
+    const progress = resume
+      ? await this.loadProgress()
+      : { startedAt: new Date().toISOString(), completed: [] };
+    await this.saveProgress(progress);
+
+    if (resume && progress.completed.length > 0) {
+      console.log(`Resuming: ${progress.completed.length} departments already scraped`);
+    } else {
+      // Wait a bit after fetching the department list before starting to scrape
+      console.log(`Waiting ${Math.round(this.delays.start/1000)} seconds before starting to scrape departments...`);
+      await new Promise(resolve => setTimeout(resolve, this.delays.start));
+    }
 
     // Scrape each department one by one
     for (const dept of departmentsToScrape) {
+      // Reuse departments finished by the interrupted run
+      if (progress.completed.includes(dept.code)) {
+        const saved = await this.loadDepartmentCourses(dept.code);
+        if (saved) {
+          console.log(`Skipping ${dept.code} (already scraped, ${saved.length} courses)`);
+          this.courses.push(...saved);
+          continue;
+        }
+      }
+
       const courses = await this.scrapeDepartmentCourses(dept.url, dept.code);
       this.courses.push(...courses); // Add all courses from this department
 
+      // Record progress unless the page couldn't be fetched, so --resume retries it
+      if (!this.lastFetch || !this.lastFetch.failed) {
+        await this.saveDepartmentCourses(dept.code, courses);
+        progress.completed.push(dept.code);
+        await this.saveProgress(progress);
+      }
+
       // Wait 2-4 seconds between requests to avoid being rate-limited or blocked
       // Random delay prevents looking like a bot
       // Longer delay needed as the server is strict about rate limiting
-      const delay = 2000 + Math.random() * 2000; // Random delay between 2-4 seconds
+      // Unchanged pages (304 Not Modified) are cheap for the server, so wait less after those
+      const delay = this.lastFetch && this.lastFetch.fromCache
+        ? this.delays.cached
+        : this.delays.min + Math.random() * (this.delays.max - this.delays.min); // Random delay between 2-4 seconds
       console.log(`  Waiting ${Math.round(delay/1000)}s before next department...`);
       await new Promise(resolve => setTimeout(resolve, delay));
     }
@@ -272,19 +496,52 @@ class CourseScraper {
     return this.courses;
   }
 
+  /**
+   * Merges freshly scraped departments into the existing courses.json data
+   * Courses from the refreshed departments are replaced; all others are kept
+   * Departments that came back empty (usually a failed fetch) keep their existing courses
+   * @param {Array} departmentCodes - Department codes that were re-scraped
+   * @param {string} filename - Existing data file (default: courses.json)
+   * @returns {object} refreshed and empty department codes
+   */
+  async mergeIntoExisting(departmentCodes, filename = 'courses.json') {
+    let existing = [];
+    try {
+      existing = JSON.parse(await fs.readFile(path.join(this.dataDir, filename), 'utf-8'));
+    } catch (error) {
+      console.log(`No existing ${filename} found, saving only the scraped departments`);
+    }
+
+    const scraped = new Set(this.courses.map(course => course.department));
+    const refreshed = departmentCodes.filter(code => scraped.has(code));
+    const empty = departmentCodes.filter(code => !scraped.has(code));
+    if (empty.length > 0) {
+      console.log(`No courses returned for ${empty.join(', ')}; keeping their existing courses`);
+    }
+
+    const kept = existing.filter(course => !refreshed.includes(course.department));
+    console.log(`Merged ${this.courses.length} refreshed courses with ${kept.length} existing courses`);
+    this.courses = [...kept, ...this.courses];
+    return { refreshed, empty };
+  }
+
   /**
    * Saves scraped course data to a JSON file
+   * Also keeps a timestamped snapshot under data/snapshots/ for comparing catalog versions
    * @param {string} filename - Name of the file to save (default: courses.json)
    */
   async saveToFile(filename = 'courses.json') {
     // Create data directory if it doesn't exist
-    const dataDir = path.join(__dirname, '../../data');
-    await fs.mkdir(dataDir, { recursive: true });
+    await fs.mkdir(this.dataDir, { recursive: true });
 
     // Write courses array to JSON file with pretty formatting
-    const filepath = path.join(dataDir, filename);
+    const filepath = path.join(this.dataDir, filename);
     await fs.writeFile(filepath, JSON.stringify(this.courses, null, 2));
     console.log(`Data saved to ${filepath}`);
+
+    // Keep a timestamped copy so changes between scrapes can be compared
+    const snapshotId = await new CatalogHistory(this.dataDir).saveSnapshot(this.courses);
+    console.log(`Snapshot saved as ${snapshotId}`);
   }
 
   /**
@@ -293,11 +550,10 @@ class CourseScraper {
    */
   async saveToCSV(filename = 'courses.csv') {
     // Create data directory if it doesn't exist
-    const dataDir = path.join(__dirname, '../../data');
-    await fs.mkdir(dataDir, { recursive: true });
+    await fs.mkdir(this.dataDir, { recursive: true });
 
     // CSV header
-    const header = 'code,name,department,description,prerequisites,corequisites,url\n';
+    const header = 'code,name,department,description,prerequisites,corequisites,minCredits,maxCredits,level,genEd,url\n';
 
     // Convert each course to CSV row
     const rows = this.courses.map(course => {
@@ -318,27 +574,57 @@ class CourseScraper {
         escapeCSV(course.description),
         escapeCSV(course.prerequisites.join('; ')),
         escapeCSV(course.corequisites.join('; ')),
+        escapeCSV(course.minCredits),
+        escapeCSV(course.maxCredits),
+        escapeCSV(course.level),
+        escapeCSV((course.genEd || []).join('; ')),
         escapeCSV(course.url)
       ].join(',');
     }).join('\n');
 
-    const filepath = path.join(dataDir, filename);
+    const filepath = path.join(this.dataDir, filename);
     await fs.writeFile(filepath, header + rows);
     console.log(`CSV data saved to ${filepath}`);
   }
 }
 
 // If this file is run directly (not imported as a module), run the scraper
+// Options:
+//   --resume          continue an interrupted run, skipping departments already scraped
+//   --only CS,MATH    refresh only these departments and merge them into the existing courses.json
+//   --catalog ID      scrape a catalog from config/catalogs.json (default: CATALOG env variable, then illinois)
 if (require.main === module) {
   (async () => {
-    const scraper = new CourseScraper();
+    const args = process.argv.slice(2);
+    const resume = args.includes('--resume');
+    const onlyIndex = args.indexOf('--only');
+    const only = onlyIndex !== -1 && args[onlyIndex + 1]
+      ? args[onlyIndex + 1].split(',').map(code => code.trim().toUpperCase()).filter(code => code)
+      : null;
+
+    const catalogIndex = args.indexOf('--catalog');
+    const catalog = await loadCatalog(catalogIndex !== -1 ? args[catalogIndex + 1] : undefined);
+    console.log(`Scraping catalog "${catalog.id}" (${catalog.institution})`);
+
+    const scraper = new CourseScraper(null, { adapter: catalog.adapter, dataDir: catalog.dataDir });
     // Scrape all departments (pass null or no argument to scrape everything)
     // This will take 10-15 minutes for ~193 departments with 2-4 second delays
-    await scraper.scrapeAll();
+    await scraper.scrapeAll(null, { resume, only });
+    if (only) {
+      const { refreshed } = await scraper.mergeIntoExisting(only);
+      // Nothing new to save, so don't write courses.json or a snapshot
+      if (refreshed.length === 0) {
+        throw new Error(`No courses returned for ${only.join(', ')}; courses.json left unchanged`);
+      }
+    }
     await scraper.saveToFile();
     await scraper.saveToCSV();
+    await scraper.clearProgress();
     console.log('Scraping complete! Data saved in both JSON and CSV formats.');
-  })();
+  })().catch(error => {
+    console.error('Scraping failed:', error.message);
+    process.exitCode = 1;
+  });
 }
 
 module.exports = CourseScraper;
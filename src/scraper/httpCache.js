@@ -0,0 +1,76 @@
+// On-disk HTTP cache for scraped catalog pages
+// Stores raw HTML with its ETag/Last-Modified headers so later runs can revalidate
+// instead of downloading every page again
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+class HttpCache {
+  constructor(cacheDir = path.join(__dirname, '../../data/cache')) {
+    this.cacheDir = cacheDir; // Directory holding cached pages and their metadata
+  }
+
+  /**
+   * Gets the file paths used for a URL
+   * File names are a hash of the URL so any URL maps to a safe name
+   * @param {string} url - Page URL
+   * @returns {object} Paths of the HTML file and the metadata file
+   */
+  getPaths(url) {
+    const key = crypto.createHash('sha1').update(url).digest('hex');
+    return {
+      htmlPath: path.join(this.cacheDir, `${key}.html`),
+      metaPath: path.join(this.cacheDir, `${key}.json`)
+    };
+  }
+
+  /**
+   * Reads a cached page
+   * @param {string} url - Page URL
+   * @returns {object|null} Object with html, etag, lastModified and fetchedAt, or null if not cached
+   */
+  async get(url) {
+    const { htmlPath, metaPath } = this.getPaths(url);
+    try {
+      const [html, meta] = await Promise.all([
+        fs.readFile(htmlPath, 'utf-8'),
+        fs.readFile(metaPath, 'utf-8')
+      ]);
+      return { html, ...JSON.parse(meta) };
+    } catch (error) {
+      return null; // Not cached (or cache files incomplete)
+    }
+  }
+
+  /**
+   * Stores a page and its validators
+   * @param {string} url - Page URL
+   * @param {string} html - Page content
+   * @param {object} headers - Response headers (etag and last-modified are kept)
+   */
+  async set(url, html, headers = {}) {
+    const { htmlPath, metaPath } = this.getPaths(url);
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await fs.writeFile(htmlPath, html);
+    await fs.writeFile(metaPath, JSON.stringify({
+      url,
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null,
+      fetchedAt: new Date().toISOString()
+    }, null, 2));
+  }
+
+  /**
+   * Builds conditional request headers for revalidating a cached page
+   * @param {object|null} entry - Cached entry from get()
+   * @returns {object} If-None-Match / If-Modified-Since headers (empty if nothing cached)
+   */
+  getRevalidationHeaders(entry) {
+    const headers = {};
+    if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+}
+
+module.exports = HttpCache;
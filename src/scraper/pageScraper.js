@@ -0,0 +1,74 @@
+// Base class for scrapers that download pages politely: cached pages are revalidated, failures
+// fall back to the cached copy, and subclasses pause between requests using the configured delays
+// Used by the catalog scraper (courseScraper.js) and the class schedule scraper (scheduleScraper.js)
+const axios = require('axios');
+const path = require('path');
+const HttpCache = require('./httpCache');
+
+class PageScraper {
+  /**
+   * @param {object} options - Scraper options
+   * @param {string} options.dataDir - Where output files are written (default: data/)
+   * @param {boolean} options.cache - Pass false to always download instead of caching under <dataDir>/cache/
+   * @param {string} options.cacheDir - Cache directory (default: <dataDir>/cache)
+   * @param {object} options.delays - Overrides for the subclass's pauses between requests (milliseconds)
+   * @param {object} defaultDelays - The subclass's default pauses
+   */
+  constructor(options = {}, defaultDelays = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../../data'); // Where output files are written
+    // Raw page cache under data/cache/ (pass cache: false to always download)
+    this.cache = options.cache === false
+      ? null
+      : new HttpCache(options.cacheDir || path.join(this.dataDir, 'cache'));
+    this.lastFetch = null; // Details of the most recent fetchPage call
+    // Pauses between requests in milliseconds (tests against local fixtures set these to 0)
+    this.delays = { ...defaultDelays, ...(options.delays || {}) };
+  }
+
+  /**
+   * Fetches a page from a given URL
+   * Cached pages are revalidated with ETag/Last-Modified; a 304 response reuses the cached copy
+   * @param {string} url - The URL to fetch
+   * @returns {string|null} Page content or null if error
+   */
+  async fetchPage(url) {
+    const cached = this.cache ? await this.cache.get(url) : null;
+
+    try {
+      // Add user agent header to avoid being blocked by the server
+      // Add timeout to prevent hanging on slow requests
+      const response = await axios.get(url, {
+        timeout: 15000, // 15 second timeout
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+          ...(this.cache ? this.cache.getRevalidationHeaders(cached) : {})
+        },
+        // 304 Not Modified means the cached copy is still current
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      });
+
+      if (response.status === 304 && cached) {
+        this.lastFetch = { url, fromCache: true, failed: false };
+        return cached.html;
+      }
+
+      if (this.cache) await this.cache.set(url, response.data, response.headers);
+      this.lastFetch = { url, fromCache: false, failed: false };
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching ${url}:`, error.message);
+
+      // Fall back to the cached copy if the server can't be reached
+      if (cached) {
+        console.log('  Using cached copy instead');
+        this.lastFetch = { url, fromCache: true, failed: false };
+        return cached.html;
+      }
+
+      this.lastFetch = { url, fromCache: false, failed: true };
+      return null;
+    }
+  }
+}
+
+module.exports = PageScraper;
@@ -0,0 +1,262 @@
+// Scraper for the Illinois Class Schedule (when courses are offered, and their sections)
+// Reads the schedule's XML explorer pages, one per term and one per subject in a term:
+//   <baseUrl>/2026/fall.xml                     -> subjects offered in Fall 2026
+//   <baseUrl>/2026/fall/CS.xml?mode=cascade     -> every CS course and section in Fall 2026
+// Sections are saved to data/schedule.json, separately from the catalog in courses.json
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
+const PageScraper = require('./pageScraper');
+const { loadCatalog } = require('./adapters');
+
+const SEASONS = ['spring', 'summer', 'fall', 'winter'];
+
+/**
+ * Parses a term name
+ * @param {string} term - Term name, e.g. "Fall 2026" or "fall-2026"
+ * @returns {object|null} year, season ("fall") and name ("Fall 2026"), or null if not a term
+ */
+function parseTerm(term) {
+  const match = String(term).trim().match(/^([a-z]+)[\s-]+(\d{4})$/i);
+  if (!match || !SEASONS.includes(match[1].toLowerCase())) return null;
+
+  const season = match[1].toLowerCase();
+  return {
+    year: parseInt(match[2]),
+    season,
+    name: `${season[0].toUpperCase()}${season.slice(1)} ${match[2]}`
+  };
+}
+
+/**
+ * Gets the fall and spring terms starting with the current one
+ * January to May is spring; June to December is fall (summer is skipped)
+ * @param {Date} date - Today
+ * @param {number} count - Number of terms
+ * @returns {Array} Term names, e.g. ["Fall 2026", "Spring 2027"]
+ */
+function getUpcomingTerms(date = new Date(), count = 2) {
+  let year = date.getFullYear();
+  let season = date.getMonth() < 5 ? 'Spring' : 'Fall';
+  const terms = [];
+
+  for (let i = 0; i < count; i++) {
+    terms.push(`${season} ${year}`);
+    if (season === 'Fall') {
+      season = 'Spring';
+      year += 1;
+    } else {
+      season = 'Fall';
+    }
+  }
+  return terms;
+}
+
+/**
+ * Converts a schedule time to 24-hour "HH:MM"
+ * @param {string} time - Time such as "01:00 PM" (or "ARRANGED")
+ * @returns {string|null} "13:00", or null if the time isn't set
+ */
+function parseTime(time) {
+  const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]) % 12;
+  if (match[3].toUpperCase() === 'PM') hours += 12;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+class ScheduleScraper extends PageScraper {
+  constructor(baseUrl = 'https://courses.illinois.edu/cisapp/explorer/schedule', options = {}) {
+    // Data directory (where schedule.json is written), the XML cache shared with the catalog
+    // scraper, and fetchPage come from PageScraper
+    super(options, {
+      min: 1000, // Random wait between subjects...
+      max: 2000, // ...up to this long
+      cached: 250 // After a page that came from the cache
+    });
+    this.baseUrl = baseUrl.replace(/\/$/, ''); // Explorer root, without a trailing slash
+    this.sections = []; // Array to store all scraped sections
+    this.terms = []; // Names of the terms scraped, in order
+  }
+
+  /**
+   * Gets the URL of a term page or of one subject's sections in a term
+   * @param {object} term - Term from parseTerm()
+   * @param {string|null} subject - Subject code (e.g., "CS"), or null for the term page
+   * @returns {string} Page URL
+   */
+  getUrl(term, subject = null) {
+    const termUrl = `${this.baseUrl}/${term.year}/${term.season}`;
+    return subject ? `${termUrl}/${subject}.xml?mode=cascade` : `${termUrl}.xml`;
+  }
+
+  /**
+   * Scrapes the subjects offered in a term
+   * @param {object} term - Term from parseTerm()
+   * @returns {Array} Subject codes (e.g., ["CS", "MATH"]), empty if the term page can't be fetched
+   */
+  async scrapeSubjectList(term) {
+    console.log(`Fetching subjects for ${term.name}...`);
+    const xml = await this.fetchPage(this.getUrl(term));
+    if (!xml) return [];
+
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const subjects = $('subjects > subject').map((i, elem) => $(elem).attr('id')).get();
+    console.log(`Found ${subjects.length} subjects`);
+    return subjects;
+  }
+
+  /**
+   * Parses every section of every course in one subject's cascade page
+   * Cancelled sections (status "C") are skipped
+   * @param {string} xml - Page content
+   * @param {string} termName - Term name, e.g. "Fall 2026"
+   * @returns {Array} Sections with term, course, crn, section, type, meetings and instructors
+   */
+  parseSubjectSections(xml, termName) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const sections = [];
+
+    $('cascadingCourse').each((i, courseElem) => {
+      const course = ($(courseElem).attr('id') || '').replace(/\s+/g, ' ').trim(); // e.g., "CS 225"
+      if (!course) return;
+
+      $(courseElem).find('detailedSection').each((j, sectionElem) => {
+        const $section = $(sectionElem);
+        if ($section.children('statusCode').text().trim() === 'C') return;
+
+        const meetings = [];
+        const instructors = [];
+        $section.find('meeting').each((k, meetingElem) => {
+          const $meeting = $(meetingElem);
+          const building = $meeting.children('buildingName').text().trim();
+          const room = $meeting.children('roomNumber').text().trim();
+          meetings.push({
+            type: $meeting.children('type').attr('code') || null, // e.g., "LEC"
+            typeName: $meeting.children('type').text().trim() || null, // e.g., "Lecture"
+            days: $meeting.children('daysOfTheWeek').text().replace(/\s+/g, ''), // e.g., "MWF" ("" if arranged)
+            start: parseTime($meeting.children('start').text()), // e.g., "13:00" (null if arranged)
+            end: parseTime($meeting.children('end').text()),
+            location: [room, building].filter(part => part).join(' ') || null
+          });
+
+          $meeting.find('instructor').each((l, instructorElem) => {
+            const name = $(instructorElem).text().trim();
+            if (name && !instructors.includes(name)) instructors.push(name);
+          });
+        });
+
+        sections.push({
+          term: termName,
+          course,
+          crn: $section.attr('id'), // Course reference number used to register
+          section: $section.children('sectionNumber').text().trim(), // e.g., "AL1"
+          type: meetings.length > 0 ? meetings[0].type : null, // Section type from its first meeting
+          typeName: meetings.length > 0 ? meetings[0].typeName : null,
+          partOfTerm: $section.children('partOfTerm').text().trim() || null, // "1" = full term, "A"/"B" = first/second half
+          meetings,
+          instructors
+        });
+      });
+    });
+
+    return sections;
+  }
+
+  /**
+   * Scrapes the sections offered in one or more terms
+   * @param {Array} termNames - Terms to scrape (e.g., ["Fall 2026", "Spring 2027"])
+   * @param {object} options - Scrape options
+   * @param {Array|null} options.only - Only scrape these subject codes (e.g., ["CS", "MATH"])
+   * @returns {Array} Array of all scraped sections
+   */
+  async scrapeTerms(termNames, { only = null } = {}) {
+    for (const termName of termNames) {
+      const term = parseTerm(termName);
+      if (!term) {
+        console.log(`Unknown term skipped: ${termName}`);
+        continue;
+      }
+
+      const subjects = await this.scrapeSubjectList(term);
+      if (subjects.length === 0) continue; // Term not published yet
+      this.terms.push(term.name);
+
+      for (const subject of subjects) {
+        if (only && !only.includes(subject)) continue;
+
+        console.log(`Scraping ${subject} sections for ${term.name}...`);
+        const xml = await this.fetchPage(this.getUrl(term, subject));
+        if (xml) {
+          const sections = this.parseSubjectSections(xml, term.name);
+          this.sections.push(...sections);
+          console.log(`  Found ${sections.length} sections`);
+        }
+
+        // Wait between subjects, less after pages that were unchanged (304 Not Modified)
+        const delay = this.lastFetch && this.lastFetch.fromCache
+          ? this.delays.cached
+          : this.delays.min + Math.random() * (this.delays.max - this.delays.min);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    console.log(`\nTotal sections scraped: ${this.sections.length}`);
+    return this.sections;
+  }
+
+  /**
+   * Saves scraped sections to a JSON file
+   * @param {string} filename - Name of the file to save (default: schedule.json)
+   */
+  async saveToFile(filename = 'schedule.json') {
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    const filepath = path.join(this.dataDir, filename);
+    const schedule = {
+      scrapedAt: new Date().toISOString(),
+      terms: this.terms,
+      sections: this.sections
+    };
+    await fs.writeFile(filepath, JSON.stringify(schedule, null, 2));
+    console.log(`Schedule saved to ${filepath}`);
+  }
+}
+
+// If this file is run directly (not imported as a module), run the scraper
+// Options:
+//   --terms "Fall 2026,Spring 2027"   terms to scrape (default: the current fall/spring term and the next one)
+//   --only CS,MATH                    scrape only these subjects
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const readList = (flag) => {
+      const index = args.indexOf(flag);
+      return index !== -1 && args[index + 1]
+        ? args[index + 1].split(',').map(value => value.trim()).filter(value => value)
+        : null;
+    };
+
+    const terms = readList('--terms') || getUpcomingTerms();
+    const only = readList('--only');
+    console.log(`Scraping class schedule for ${terms.join(', ')}`);
+
+    // schedule.json goes next to the catalog's courses.json
+    const catalogIndex = args.indexOf('--catalog');
+    const catalog = await loadCatalog(catalogIndex !== -1 ? args[catalogIndex + 1] : undefined);
+
+    const scraper = new ScheduleScraper(undefined, { dataDir: catalog.dataDir });
+    await scraper.scrapeTerms(terms, { only: only && only.map(code => code.toUpperCase()) });
+    await scraper.saveToFile();
+    console.log('Schedule scraping complete!');
+  })().catch(error => {
+    console.error('Schedule scraping failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = ScheduleScraper;
+module.exports.parseTerm = parseTerm;
+module.exports.getUpcomingTerms = getUpcomingTerms;
+module.exports.parseTime = parseTime;
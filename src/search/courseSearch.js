@@ -0,0 +1,212 @@
+// Full-text course search over codes, titles and descriptions
+// An inverted index (token -> courses) is built once when the course data is loaded,
+// so a query only looks at courses that share a word with it
+// Supports prefix matching for search-as-you-type and small typos ("algoritms")
+
+// Field weights: a hit in the course code outranks the title, which outranks the description
+const FIELD_WEIGHTS = { code: 10, title: 5, description: 1 };
+
+// Penalties applied to a field weight for inexact token matches
+const PREFIX_FACTOR = 0.6;
+const TYPO_FACTOR = 0.4;
+
+// Common words that would match most descriptions
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+/**
+ * Splits text into lowercase search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens without stop words (e.g., "Data Structures" -> ["data", "structures"])
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 0 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Levenshtein distance with an early exit once it exceeds maxDistance
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} Edit distance, or maxDistance + 1 if it is larger
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query word: none for short words and numbers
+ * @param {string} token - Query token
+ * @returns {number} Maximum edit distance
+ */
+function getTypoTolerance(token) {
+  if (/^\d+$/.test(token) || token.length < 4) return 0;
+  return token.length < 8 ? 1 : 2;
+}
+
+class CourseSearch {
+  constructor() {
+    this.index = new Map(); // token -> Map(course code -> weight)
+    this.courses = new Map(); // course code -> { code, name, department }
+    this.vocabulary = []; // Sorted list of indexed tokens, for prefix lookups
+  }
+
+  /**
+   * Builds the inverted index from course data
+   * @param {Array} courses - Course objects with code, name and description
+   */
+  build(courses) {
+    this.index.clear();
+    this.courses.clear();
+
+    courses.forEach(course => {
+      this.courses.set(course.code, {
+        code: course.code,
+        name: course.name,
+        department: course.department
+      });
+
+      // "CS 225" is indexed as "cs", "225" and "cs225" so "cs225" also finds it
+      const codeTokens = [...tokenize(course.code), course.code.toLowerCase().replace(/\s+/g, '')];
+      this.addTokens(course.code, codeTokens, FIELD_WEIGHTS.code);
+      this.addTokens(course.code, tokenize(course.name), FIELD_WEIGHTS.title);
+      this.addTokens(course.code, tokenize(course.description), FIELD_WEIGHTS.description);
+    });
+
+    this.vocabulary = [...this.index.keys()].sort();
+  }
+
+  addTokens(courseCode, tokens, weight) {
+    new Set(tokens).forEach(token => {
+      if (!this.index.has(token)) this.index.set(token, new Map());
+      const postings = this.index.get(token);
+      // Keep the best field a token appears in, plus a little for appearing in several
+      const existing = postings.get(courseCode) || 0;
+      postings.set(courseCode, Math.max(existing, weight) + Math.min(existing, weight) * 0.1);
+    });
+  }
+
+  /**
+   * Finds indexed tokens starting with a prefix (binary search on the sorted vocabulary)
+   * @param {string} prefix - Token prefix
+   * @returns {Array} Matching tokens
+   */
+  getPrefixMatches(prefix) {
+    let low = 0;
+    let high = this.vocabulary.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.vocabulary[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const matches = [];
+    for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+      matches.push(this.vocabulary[i]);
+    }
+    return matches;
+  }
+
+  /**
+   * Finds the courses matching one query token
+   * Exact matches score fully; prefix and typo matches are discounted
+   * @param {string} token - Query token
+   * @returns {Map} course code -> score
+   */
+  matchToken(token) {
+    const scores = new Map();
+    const addPostings = (indexToken, factor) => {
+      this.index.get(indexToken).forEach((weight, code) => {
+        scores.set(code, Math.max(scores.get(code) || 0, weight * factor));
+      });
+    };
+
+    if (this.index.has(token)) addPostings(token, 1);
+
+    this.getPrefixMatches(token)
+      .filter(indexToken => indexToken !== token)
+      .forEach(indexToken => addPostings(indexToken, PREFIX_FACTOR));
+
+    // Only look for typos when the word isn't in the index at all
+    const tolerance = getTypoTolerance(token);
+    if (scores.size === 0 && tolerance > 0) {
+      this.vocabulary.forEach(indexToken => {
+        const distance = editDistance(token, indexToken, tolerance);
+        if (distance <= tolerance) addPostings(indexToken, TYPO_FACTOR / distance);
+      });
+    }
+
+    return scores;
+  }
+
+  /**
+   * Searches courses by code, title and description
+   * Every query word must match a word in the course, as a whole word, as a prefix
+   * ("lin alg" -> "Linear Algebra", which also gives autocomplete) or with a small typo
+   * @param {string} query - Search text (e.g., "machine learn", "cs 225", "algoritms")
+   * @param {number} limit - Maximum number of results
+   * @returns {Array} Results with code, name, department and score, best first
+   */
+  search(query, limit = 10) {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return [];
+
+    // Treat "cs225" and "cs 225" alike
+    const compactCode = query.toLowerCase().replace(/\s+/g, '');
+    const codeMatch = /^[a-z]+\d+$/.test(compactCode) ? compactCode : null;
+
+    let totals = null;
+    tokens.forEach(token => {
+      const scores = this.matchToken(token);
+      if (totals === null) {
+        totals = scores;
+        return;
+      }
+      const combined = new Map();
+      totals.forEach((score, code) => {
+        if (scores.has(code)) combined.set(code, score + scores.get(code));
+      });
+      totals = combined;
+    });
+
+    if (codeMatch) {
+      this.matchToken(codeMatch).forEach((score, code) => {
+        totals.set(code, (totals.get(code) || 0) + score);
+      });
+    }
+
+    // Courses whose title contains the whole query as a phrase rank first
+    const phrase = query.trim().toLowerCase();
+
+    return [...totals.entries()]
+      .map(([code, score]) => {
+        const course = this.courses.get(code);
+        const phraseBonus = course.name && course.name.toLowerCase().includes(phrase) ? FIELD_WEIGHTS.title : 0;
+        return { ...course, score: Math.round((score + phraseBonus) * 100) / 100 };
+      })
+      .sort((a, b) => b.score - a.score || a.code.localeCompare(b.code, undefined, { numeric: true }))
+      .slice(0, limit);
+  }
+}
+
+module.exports = CourseSearch;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,123 @@
+// Record store kept in a single JSON file, used for saved profiles and plans
+// The server only uses the async methods below (list, get, create, update, remove),
+// so a database-backed store with the same methods can replace it
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class JsonFileStore {
+  constructor(filePath) {
+    this.filePath = filePath; // JSON file holding an array of records
+    this.records = []; // Records as last written to the file
+    this.loading = null; // Promise settled once the file has been read on first use
+    this.writing = Promise.resolve(); // Changes are chained so they never interleave
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = fs.readFile(this.filePath, 'utf-8')
+        .then(text => { this.records = JSON.parse(text); })
+        .catch(error => {
+          if (error.code === 'ENOENT') return; // Nothing saved yet
+          this.loading = null; // Try again on the next request
+          throw error;
+        });
+    }
+    await this.loading;
+    return this.records;
+  }
+
+  async save(records) {
+    // Write to a temporary file and rename it, so a crash never leaves a half-written store
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(records, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Applies a change to a copy of the records, writes it, and only then keeps it in memory,
+   * so a failed write leaves the store as it was on disk
+   * @param {Function} change - Edits the records array in place; returns the result, or null/false if nothing changed
+   * @returns {*} The change's result
+   */
+  async modify(change) {
+    await this.load();
+    // A failed change doesn't stop later ones
+    const run = this.writing.catch(() => {}).then(async () => {
+      const records = [...this.records];
+      const result = change(records);
+      if (result === null || result === false) return result;
+      await this.save(records);
+      this.records = records;
+      return result;
+    });
+    this.writing = run;
+    return run;
+  }
+
+  /**
+   * Lists every record
+   * @returns {Array} Records, oldest first
+   */
+  async list() {
+    return [...await this.load()];
+  }
+
+  /**
+   * Gets one record
+   * @param {string} id - Record id
+   * @returns {object|null} The record, or null if there is none with that id
+   */
+  async get(id) {
+    return (await this.load()).find(record => record.id === id) || null;
+  }
+
+  /**
+   * Adds a record with a new id and timestamps
+   * @param {object} fields - Record fields
+   * @returns {object} The stored record
+   */
+  async create(fields) {
+    const now = new Date().toISOString();
+    const record = { ...fields, id: crypto.randomBytes(8).toString('hex'), createdAt: now, updatedAt: now };
+    return this.modify(records => {
+      records.push(record);
+      return record;
+    });
+  }
+
+  /**
+   * Replaces a record's fields, keeping its id and creation time
+   * @param {string} id - Record id
+   * @param {object} fields - New record fields
+   * @returns {object|null} The updated record, or null if there is none with that id
+   */
+  async update(id, fields) {
+    return this.modify(records => {
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) return null;
+
+      const { createdAt } = records[index];
+      records[index] = { ...fields, id, createdAt, updatedAt: new Date().toISOString() };
+      return records[index];
+    });
+  }
+
+  /**
+   * Deletes a record
+   * @param {string} id - Record id
+   * @returns {boolean} True if a record was deleted
+   */
+  async remove(id) {
+    return this.modify(records => {
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) return false;
+
+      records.splice(index, 1);
+      return true;
+    });
+  }
+}
+
+module.exports = JsonFileStore;
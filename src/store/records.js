@@ -0,0 +1,106 @@
+// Validation for saved profiles and plans
+//   Profile: { "name": "Alex", "completedCourses": ["CS 124"], "inProgress": [{ "term": "Fall 2025", "courses": ["CS 128"] }] }
+//   Plan:    { "name": "CS minor", "profileId": "...", "terms": [{ "term": "Spring 2026", "courses": ["CS 225"] }] }
+// Course codes are uppercased and must look like the catalog's codes, and unknown fields are dropped
+
+/**
+ * Normalizes a list of course codes ("cs 225" -> "CS 225", "CS-225" -> "CS 225", "CS225" -> "CS 225")
+ * @param {*} codes - Value from the request body
+ * @param {string} field - Field name for error messages
+ * @param {Array} problems - Problems found so far (added to)
+ * @param {RegExp} codePattern - Course code pattern from the catalog adapter
+ * @returns {Array} Course codes
+ */
+function normalizeCodes(codes, field, problems, codePattern) {
+  if (codes === undefined) return [];
+  if (!Array.isArray(codes) || codes.some(code => typeof code !== 'string')) {
+    problems.push(`"${field}" must be an array of course codes`);
+    return [];
+  }
+  // Codes are shown in shared profile links, so only accept whole course codes
+  const wholeCode = new RegExp(`^(?:${codePattern.source})$`);
+  const invalid = [];
+  const normalized = codes
+    .map(code => code.trim().toUpperCase().replace(/[\s-]+/, ' '))
+    .filter(code => code.length > 0)
+    .map(code => {
+      const match = code.match(wholeCode);
+      if (!match) invalid.push(code);
+      return match ? `${match[1]} ${match[2]}` : code;
+    });
+
+  if (invalid.length > 0) {
+    problems.push(`"${field}" has invalid course codes: ${invalid.slice(0, 5).map(code => JSON.stringify(code)).join(', ')}`);
+    return [];
+  }
+  return [...new Set(normalized)];
+}
+
+/**
+ * Normalizes a list of terms, each with a name and the courses taken in it
+ * @param {*} terms - Value from the request body
+ * @param {string} field - Field name for error messages
+ * @param {Array} problems - Problems found so far (added to)
+ * @param {RegExp} codePattern - Course code pattern from the catalog adapter
+ * @returns {Array} Terms as { term, courses }
+ */
+function normalizeTerms(terms, field, problems, codePattern) {
+  if (terms === undefined) return [];
+  if (!Array.isArray(terms)) {
+    problems.push(`"${field}" must be an array of terms`);
+    return [];
+  }
+  return terms.map((term, i) => {
+    if (!term || typeof term.term !== 'string' || !term.term.trim()) {
+      problems.push(`${field}[${i}]: missing "term" name`);
+    }
+    return {
+      term: term && typeof term.term === 'string' ? term.term.trim() : '',
+      courses: normalizeCodes(term && term.courses, `${field}[${i}].courses`, problems, codePattern)
+    };
+  });
+}
+
+/**
+ * Validates and normalizes a profile from a request body
+ * @param {object} body - Request body
+ * @param {RegExp} codePattern - Course code pattern from the catalog adapter
+ * @returns {object} profile (name, completedCourses, inProgress) and problems
+ */
+function normalizeProfile(body = {}, codePattern) {
+  const problems = [];
+  if (typeof body.name !== 'string' || !body.name.trim()) problems.push('missing "name"');
+
+  const profile = {
+    name: typeof body.name === 'string' ? body.name.trim() : '',
+    completedCourses: normalizeCodes(body.completedCourses, 'completedCourses', problems, codePattern),
+    inProgress: normalizeTerms(body.inProgress, 'inProgress', problems, codePattern)
+  };
+  return { profile, problems };
+}
+
+/**
+ * Validates and normalizes a plan from a request body
+ * @param {object} body - Request body
+ * @param {RegExp} codePattern - Course code pattern from the catalog adapter
+ * @returns {object} plan (name, profileId, terms) and problems
+ */
+function normalizePlan(body = {}, codePattern) {
+  const problems = [];
+  if (typeof body.name !== 'string' || !body.name.trim()) problems.push('missing "name"');
+  if (body.profileId !== undefined && body.profileId !== null && typeof body.profileId !== 'string') {
+    problems.push('"profileId" must be a string');
+  }
+
+  const plan = {
+    name: typeof body.name === 'string' ? body.name.trim() : '',
+    profileId: typeof body.profileId === 'string' ? body.profileId : null,
+    terms: normalizeTerms(body.terms, 'terms', problems, codePattern)
+  };
+  return { plan, problems };
+}
+
+module.exports = {
+  normalizeProfile,
+  normalizePlan
+};
@@ -0,0 +1,218 @@
+// Parses unofficial transcripts into completed courses
+// Accepts CSV exports (term, code, title, grade, hours) or plain text pasted from a transcript page:
+//   Fall 2023
+//   CS 225    Data Structures          A-    4.00
+//   MATH 241  Calculus III             W     4.00
+// Failed, withdrawn and unfinished courses are excluded, and codes not in the catalog are flagged
+
+// Grades that don't complete a course, with the reason reported to the student
+const EXCLUDED_GRADES = {
+  F: 'failed',
+  E: 'failed',
+  U: 'failed', // Unsatisfactory
+  NC: 'failed', // No credit
+  W: 'withdrawn',
+  WF: 'withdrawn',
+  WP: 'withdrawn',
+  WX: 'withdrawn',
+  DR: 'withdrawn', // Dropped
+  I: 'incomplete',
+  DFR: 'incomplete', // Deferred
+  NR: 'incomplete', // Not reported
+  IP: 'in progress',
+  AU: 'audit (no credit)'
+};
+
+// Grades that complete a course: letter grades and pass/credit/transfer grades
+const PASSING_GRADE = /^(?:[A-D][+-]?|P|S|CR|T|TR|PS)$/;
+const TERM_PATTERN = /^((?:Fall|Spring|Summer|Winter)\s+\d{4})\b/i;
+const GRADE_TOKEN = new RegExp(`^(?:[A-D][+-]?|P|S|CR|T|TR|PS|${Object.keys(EXCLUDED_GRADES).join('|')})$`);
+
+/**
+ * Splits one CSV line into fields, handling quoted fields with commas and "" escapes
+ * @param {string} line - CSV line
+ * @returns {Array} Field values
+ */
+function parseCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Finds which CSV column holds each transcript field from the header row
+ * @param {Array} header - Header fields
+ * @returns {object|null} Column index of term, code, title, grade, hours (null if no code column)
+ */
+function getCSVColumns(header) {
+  const find = (pattern) => header.findIndex(name => pattern.test(name.toLowerCase()));
+  const columns = {
+    term: find(/^(term|semester|session)/),
+    code: find(/^(code|course|course code|course id)$/),
+    subject: find(/^(subject|dept|department)$/),
+    number: find(/^(number|course number|catalog number|no\.?)$/),
+    title: find(/^(title|name|course title|course name)$/),
+    grade: find(/^(grade|final grade)$/),
+    hours: find(/^(hours|credit|credits|credit hours|units)$/)
+  };
+  return columns.code !== -1 || (columns.subject !== -1 && columns.number !== -1) ? columns : null;
+}
+
+/**
+ * Reads transcript entries from CSV
+ * Without a recognizable header, columns are assumed to be term, code, title, grade, hours
+ * @param {Array} lines - Non-empty lines of the CSV
+ * @returns {Array} Entries with term, code, title, grade and hours
+ */
+function parseCSVEntries(lines) {
+  let rows = lines.map(parseCSVLine);
+  let columns = getCSVColumns(rows[0]);
+  if (columns) {
+    rows = rows.slice(1);
+  } else {
+    columns = { term: 0, code: 1, subject: -1, number: -1, title: 2, grade: 3, hours: 4 };
+  }
+
+  const get = (row, index) => (index !== -1 && row[index] !== undefined ? row[index] : '');
+  return rows.map(row => ({
+    term: get(row, columns.term) || null,
+    code: columns.code !== -1 ? get(row, columns.code) : `${get(row, columns.subject)} ${get(row, columns.number)}`,
+    title: get(row, columns.title) || null,
+    grade: get(row, columns.grade),
+    hours: parseFloat(get(row, columns.hours)) || null
+  }));
+}
+
+/**
+ * Reads transcript entries from plain text
+ * Lines starting with a term ("Fall 2023") set the term for the lines below them
+ * @param {Array} lines - Non-empty lines of the text
+ * @param {RegExp} codePattern - Course code pattern (subject and number are captured)
+ * @returns {Array} Entries with term, code, title, grade and hours
+ */
+function parseTextEntries(lines, codePattern) {
+  const entries = [];
+  let term = null;
+
+  lines.forEach(line => {
+    let text = line.trim();
+    const termMatch = text.match(TERM_PATTERN);
+    if (termMatch) {
+      term = termMatch[1].replace(/\s+/g, ' ');
+      text = text.slice(termMatch[0].length).trim();
+    }
+
+    // Lines without a course code are headings, totals or GPA lines
+    const codeMatch = text.match(new RegExp(`^${codePattern.source}`));
+    if (!codeMatch) return;
+
+    // Read the hours and grade from the end of the line: "Data Structures   A-   4.00"
+    const tokens = text.slice(codeMatch[0].length).trim().split(/\s+/).filter(t => t);
+    let hours = null;
+    let grade = '';
+    if (tokens.length > 0 && /^\d+(\.\d+)?$/.test(tokens[tokens.length - 1])) {
+      hours = parseFloat(tokens.pop());
+    }
+    if (tokens.length > 0 && GRADE_TOKEN.test(tokens[tokens.length - 1].toUpperCase())) {
+      grade = tokens.pop();
+    }
+    // Some transcripts put the hours before the grade
+    if (hours === null && tokens.length > 0 && /^\d+(\.\d+)?$/.test(tokens[tokens.length - 1])) {
+      hours = parseFloat(tokens.pop());
+    }
+
+    entries.push({
+      term,
+      code: `${codeMatch[1]} ${codeMatch[2]}`,
+      title: tokens.join(' ') || null,
+      grade,
+      hours
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Parses a transcript into completed, excluded and unmatched courses
+ * @param {string} text - CSV or plain-text transcript
+ * @param {object} options - Parse options
+ * @param {RegExp} options.codePattern - Course code pattern from the catalog adapter
+ * @param {Set} options.knownCodes - Course codes in the catalog
+ * @returns {object} completedCourses (codes), completed, excluded (with reason) and unmatched entries
+ */
+function parseTranscript(text, { codePattern, knownCodes }) {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) {
+    return { completedCourses: [], completed: [], excluded: [], unmatched: [] };
+  }
+
+  // CSV if most lines have at least 3 comma-separated fields
+  const commaLines = lines.filter(line => parseCSVLine(line).length >= 3).length;
+  const entries = commaLines >= lines.length / 2
+    ? parseCSVEntries(lines)
+    : parseTextEntries(lines, codePattern);
+
+  const completed = [];
+  const excluded = [];
+  const unmatched = [];
+
+  entries.forEach(entry => {
+    // Normalize "cs225" / "CS  225" to "CS 225"
+    const codeMatch = entry.code.toUpperCase().match(codePattern);
+    if (!codeMatch) return;
+    const normalized = { ...entry, code: `${codeMatch[1]} ${codeMatch[2]}`, grade: entry.grade.toUpperCase() };
+
+    if (!knownCodes.has(normalized.code)) {
+      unmatched.push(normalized);
+      return;
+    }
+
+    if (EXCLUDED_GRADES[normalized.grade]) {
+      excluded.push({ ...normalized, reason: EXCLUDED_GRADES[normalized.grade] });
+    } else if (PASSING_GRADE.test(normalized.grade)) {
+      completed.push(normalized);
+    } else {
+      // No grade yet usually means the course is in progress
+      excluded.push({ ...normalized, reason: normalized.grade ? `unrecognized grade "${normalized.grade}"` : 'no grade' });
+    }
+  });
+
+  // A retaken course counts once it has been passed
+  const completedCourses = [...new Set(completed.map(entry => entry.code))];
+
+  return {
+    completedCourses,
+    completed,
+    excluded: excluded.filter(entry => !completedCourses.includes(entry.code)),
+    unmatched
+  };
+}
+
+module.exports = {
+  parseTranscript,
+  EXCLUDED_GRADES
+};
@@ -0,0 +1,169 @@
+// Tests for the degree requirement audit, against a small graph built in the test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CourseGraph = require('../../src/graph/graphBuilder');
+const ProgramAudit = require('../../src/audit/programAudit');
+const { loadPrograms, validateProgram } = require('../../src/audit/programAudit');
+
+// A course whose prerequisites are all required
+function course(code, prerequisites = [], fields = {}) {
+  return {
+    code,
+    name: code,
+    department: code.split(' ')[0],
+    description: '',
+    prerequisites,
+    corequisites: [],
+    minCredits: 3,
+    maxCredits: 3,
+    ...fields
+  };
+}
+
+function buildGraph() {
+  const graph = new CourseGraph();
+  graph.buildFromCourses([
+    course('CS 124'),
+    course('CS 128', ['CS 124']),
+    course('CS 225', ['CS 128']),
+    course('CS 374', ['CS 225'], { crossListings: ['ECE 374'] }),
+    course('ECE 374', ['CS 225'], { crossListings: ['CS 374'] }),
+    course('CS 411', ['CS 225'], { minCredits: 4, maxCredits: 4 }),
+    course('CS 421', ['CS 374']),
+    course('CS 440', ['CS 225']),
+    course('CS 499', ['CS 225']),
+    course('MATH 221')
+  ]);
+  return graph;
+}
+
+describe('ProgramAudit', () => {
+  const audit = new ProgramAudit(buildGraph());
+  const byId = result => Object.fromEntries(result.requirements.map(requirement => [requirement.id, requirement]));
+
+  it('counts each completed course toward only one requirement, in order', () => {
+    const result = byId(audit.audit({
+      id: 'p',
+      name: 'Program',
+      requirements: [
+        { id: 'core', name: 'Core', type: 'required', courses: ['CS 124', 'CS 225'] },
+        { id: 'pick', name: 'Pick one', type: 'choose', count: 1, courses: ['CS 225', 'CS 374'] }
+      ]
+    }, ['CS 124', 'CS 128', 'CS 225', 'CS 374']));
+
+    assert.deepStrictEqual(result.core.completedCourses, ['CS 124', 'CS 225']);
+    assert.deepStrictEqual(result.pick.completedCourses, ['CS 374']);
+    assert.strictEqual(result.pick.remainingCount, 0);
+  });
+
+  it('keeps a course counted toward an earlier requirement remaining in a later required group', () => {
+    const result = audit.audit({
+      id: 'p',
+      name: 'Program',
+      requirements: [
+        { id: 'pick', name: 'Pick one', type: 'choose', count: 1, courses: ['CS 225'] },
+        { id: 'core', name: 'Core', type: 'required', courses: ['CS 225', 'CS 374'] }
+      ]
+    }, ['CS 124', 'CS 128', 'CS 225']);
+
+    const { core } = byId(result);
+    assert.deepStrictEqual(core.completedCourses, []);
+    assert.deepStrictEqual(core.remainingCourses, ['CS 225', 'CS 374']);
+    assert.strictEqual(result.satisfied, false);
+    assert.strictEqual(result.satisfiedRequirements, 1);
+  });
+
+  it('adds up credits from a department category, skipping excluded courses', () => {
+    const { electives } = byId(audit.audit({
+      id: 'p',
+      name: 'Program',
+      requirements: [
+        { id: 'electives', name: 'Electives', type: 'credits', minCredits: 10, departments: ['CS'], minLevel: 400, excludeCourses: ['CS 499'] }
+      ]
+    }, ['CS 124', 'CS 128', 'CS 225', 'CS 411', 'CS 440', 'CS 499']));
+
+    assert.deepStrictEqual(electives.completedCourses, ['CS 411', 'CS 440']);
+    assert.strictEqual(electives.completedCredits, 7);
+    assert.strictEqual(electives.remainingCredits, 3);
+    assert.strictEqual(electives.satisfied, false);
+  });
+
+  it('treats cross-listed codes as the same course', () => {
+    const { core, electives } = byId(audit.audit({
+      id: 'p',
+      name: 'Program',
+      requirements: [
+        { id: 'core', name: 'Core', type: 'required', courses: ['CS 374'] },
+        { id: 'electives', name: 'Electives', type: 'credits', minCredits: 3, courses: ['ECE 374', 'CS 421'] }
+      ]
+    }, ['ECE 374']));
+
+    assert.deepStrictEqual(core.completedCourses, ['CS 374']);
+    // ECE 374 was already counted as CS 374
+    assert.deepStrictEqual(electives.completedCourses, []);
+  });
+
+  it('lists eligible courses for unmet requirements only', () => {
+    const { core, calc } = byId(audit.audit({
+      id: 'p',
+      name: 'Program',
+      requirements: [
+        { id: 'core', name: 'Core', type: 'required', courses: ['CS 124', 'CS 128', 'CS 225'] },
+        { id: 'calc', name: 'Calculus', type: 'choose', count: 1, courses: ['MATH 221'] }
+      ]
+    }, ['CS 124', 'MATH 221']));
+
+    assert.deepStrictEqual(core.eligibleCourses, [{ code: 'CS 128', name: 'CS 128', credits: 3 }]);
+    assert.deepStrictEqual(calc.eligibleCourses, []);
+  });
+});
+
+describe('validateProgram', () => {
+  it('reports each problem with the requirement it belongs to', () => {
+    assert.deepStrictEqual(validateProgram({
+      id: 'p',
+      requirements: [
+        { id: 'a', type: 'pick' },
+        { id: 'b', type: 'choose', courses: [] },
+        { id: 'c', type: 'credits' }
+      ]
+    }), [
+      'missing "name"',
+      'a: type must be one of required, choose, credits',
+      'a: "courses" must be an array',
+      'b: "count" must be a positive number',
+      'c: "minCredits" must be a positive number',
+      'c: needs "courses" or "departments" to define its category'
+    ]);
+  });
+});
+
+describe('loadPrograms', () => {
+  let dir;
+  let warn;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'programs-'));
+    warn = console.warn;
+    console.warn = () => {};
+  });
+
+  after(async () => {
+    console.warn = warn;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('loads valid program files and skips invalid ones', async () => {
+    await fs.writeFile(path.join(dir, 'good.json'), JSON.stringify({ id: 'good', name: 'Good', requirements: [] }));
+    await fs.writeFile(path.join(dir, 'invalid.json'), JSON.stringify({ id: 'invalid' }));
+    await fs.writeFile(path.join(dir, 'broken.json'), '{');
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'not a program');
+
+    const programs = await loadPrograms(dir);
+    assert.deepStrictEqual([...programs.keys()], ['good']);
+    assert.strictEqual((await loadPrograms(path.join(dir, 'missing'))).size, 0);
+  });
+});
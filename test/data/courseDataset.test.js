@@ -0,0 +1,173 @@
+// Tests for course data validation and reloading, with data files in a temporary directory
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CourseDataset = require('../../src/data/courseDataset');
+const { validateCourseData, readCourseData } = require('../../src/data/courseDataLoader');
+
+const COURSES = [
+  { code: 'CS 124', name: 'Intro', department: 'CS', description: '', prerequisites: [], corequisites: [] },
+  { code: 'CS 128', name: 'Intro II', department: 'CS', description: '', prerequisites: ['CS 124'], corequisites: [] }
+];
+
+const SCHEDULE = {
+  terms: ['Fall 2026'],
+  sections: [{ term: 'Fall 2026', course: 'CS 124', crn: '1', section: 'AL1', type: 'LEC', meetings: [], instructors: [] }]
+};
+
+// The dataset reports loads and rejected files with console.log/error; keep test output readable
+function silenceConsole() {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return () => {
+    console.log = log;
+    console.error = error;
+  };
+}
+
+describe('validateCourseData', () => {
+  it('accepts courses with a code, department and requisite lists', () => {
+    assert.deepStrictEqual(validateCourseData(COURSES), []);
+  });
+
+  it('reports each malformed course', () => {
+    assert.deepStrictEqual(validateCourseData({}), ['course data must be an array of courses']);
+    assert.deepStrictEqual(validateCourseData([]), ['course data contains no courses']);
+    assert.deepStrictEqual(validateCourseData([
+      null,
+      { code: 'CS 124', prerequisites: 'CS 100', corequisites: [] },
+      { ...COURSES[0] }
+    ]), [
+      'course 1: not an object',
+      'CS 124: missing "department"',
+      'CS 124: "prerequisites" must be an array',
+      'CS 124: listed more than once'
+    ]);
+  });
+});
+
+describe('readCourseData', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'course-data-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('returns the courses and a version that changes with the file', async () => {
+    const dataPath = path.join(dir, 'courses.json');
+    await fs.writeFile(dataPath, JSON.stringify(COURSES));
+    const first = await readCourseData(dataPath);
+    assert.strictEqual(first.courses.length, 2);
+    assert.match(first.version, /^[0-9a-f]{12}$/);
+
+    await fs.writeFile(dataPath, JSON.stringify(COURSES.slice(0, 1)));
+    assert.notStrictEqual((await readCourseData(dataPath)).version, first.version);
+  });
+
+  it('names the file and the first few problems when it is rejected', async () => {
+    const dataPath = path.join(dir, 'courses.json');
+    await fs.writeFile(dataPath, '[{');
+    await assert.rejects(readCourseData(dataPath), /^Error: courses\.json is not valid JSON/);
+
+    await fs.writeFile(dataPath, JSON.stringify(Array.from({ length: 7 }, (value, i) => ({ code: `CS ${i}` }))));
+    await assert.rejects(readCourseData(dataPath), /failed validation: CS 0: missing "department"; .* \(and 16 more\)$/);
+  });
+});
+
+describe('CourseDataset', () => {
+  let dir;
+  let restoreConsole;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'course-dataset-'));
+    restoreConsole = silenceConsole();
+  });
+
+  afterEach(async () => {
+    restoreConsole();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const write = (file, data) => fs.writeFile(path.join(dir, file), typeof data === 'string' ? data : JSON.stringify(data));
+
+  it('reports no data until courses.json exists', async () => {
+    const dataset = new CourseDataset({ dataDir: dir });
+    await dataset.reload();
+    const health = dataset.getHealth();
+    assert.strictEqual(health.status, 'no-data');
+    assert.strictEqual(health.lastReloadError, 'courses.json not found');
+  });
+
+  it('builds the graph and search index and tags courses with the institution', async () => {
+    await write('courses.json', COURSES);
+    const loads = [];
+    const dataset = new CourseDataset({ dataDir: dir, institution: 'Test University', onLoad: loaded => loads.push(loaded) });
+    await dataset.reload();
+
+    assert.strictEqual(loads.length, 1);
+    assert.strictEqual(loads[0].graph, dataset.graph);
+    assert.strictEqual(dataset.graph.nodes.size, 2);
+    assert.strictEqual(dataset.search.search('intro', 5).length, 2);
+    assert.ok(dataset.courses.every(course => course.institution === 'Test University'));
+    assert.strictEqual(dataset.getHealth().status, 'ok');
+    assert.strictEqual(dataset.getHealth().schedule, null);
+  });
+
+  it('keeps serving the previous data when a new file is rejected', async () => {
+    await write('courses.json', COURSES);
+    const loads = [];
+    const dataset = new CourseDataset({ dataDir: dir, onLoad: loaded => loads.push(loaded) });
+    await dataset.reload();
+    const { graph, version } = dataset;
+
+    await write('courses.json', '[{"code": "CS 124"');
+    await dataset.reload();
+    assert.strictEqual(dataset.graph, graph);
+    assert.strictEqual(loads.length, 1);
+    const health = dataset.getHealth();
+    assert.strictEqual(health.status, 'degraded');
+    assert.strictEqual(health.version, version);
+    assert.match(health.lastReloadError, /not valid JSON/);
+
+    // Putting the old file back clears the error without rebuilding
+    await write('courses.json', COURSES);
+    await dataset.reload();
+    assert.strictEqual(dataset.graph, graph);
+    assert.strictEqual(dataset.getHealth().status, 'ok');
+  });
+
+  it('loads the courses without a schedule when schedule.json is invalid', async () => {
+    await write('courses.json', COURSES);
+    await write('schedule.json', { terms: 'Fall 2026' });
+    const dataset = new CourseDataset({ dataDir: dir });
+    await dataset.reload();
+
+    const health = dataset.getHealth();
+    assert.strictEqual(health.courses, 2);
+    assert.strictEqual(health.schedule, null);
+    assert.strictEqual(health.status, 'degraded');
+    assert.match(health.scheduleError, /schedule\.json failed validation/);
+
+    await write('schedule.json', SCHEDULE);
+    await dataset.reload();
+    assert.deepStrictEqual(dataset.getHealth().schedule.terms, ['Fall 2026']);
+    assert.strictEqual(dataset.getHealth().scheduleError, null);
+    assert.deepStrictEqual(dataset.graph.getOfferedTerms('CS 124'), ['Fall 2026']);
+  });
+
+  it('runs overlapping reloads one after another', async () => {
+    await write('courses.json', COURSES);
+    const loads = [];
+    const dataset = new CourseDataset({ dataDir: dir, onLoad: loaded => loads.push(loaded) });
+    await Promise.all([dataset.reload(), dataset.reload(), dataset.reload()]);
+    // Later reloads find the same file and keep the data from the first
+    assert.strictEqual(loads.length, 1);
+  });
+});
@@ -0,0 +1,154 @@
+// Tests for CourseGraph queries, on small graphs built in each suite
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const CourseGraph = require('../../src/graph/graphBuilder');
+
+// A course with no prerequisites (level and Gen Ed are derived or left empty)
+function course(code, fields = {}) {
+  return {
+    code,
+    name: code,
+    department: code.split(' ')[0],
+    description: '',
+    prerequisites: [],
+    corequisites: [],
+    ...fields
+  };
+}
+
+describe('CourseGraph.matchesFilters', () => {
+  const graph = new CourseGraph();
+  graph.buildFromCourses([
+    course('CS 225'),
+    course('CS 374', { genEd: ['Quantitative Reasoning'] }),
+    course('CS 421'),
+    course('BIOLO 3150'),
+    course('BIOLO 1100')
+  ]);
+  const codes = (department, filters) => graph.getNodesByDepartment(department)
+    .filter(node => graph.matchesFilters(node, filters))
+    .map(node => node.id);
+
+  it('matches a full level exactly', () => {
+    assert.deepStrictEqual(codes('CS', { level: '300' }), ['CS 374']);
+    assert.deepStrictEqual(codes('BIOLO', { level: '3000' }), ['BIOLO 3150']);
+    assert.deepStrictEqual(codes('BIOLO', { level: '300' }), []);
+  });
+
+  it('matches a single digit against the leading digit of the level', () => {
+    assert.deepStrictEqual(codes('CS', { level: '4' }), ['CS 421']);
+    assert.deepStrictEqual(codes('BIOLO', { level: '3' }), ['BIOLO 3150']);
+    assert.deepStrictEqual(codes('BIOLO', { level: '1' }), ['BIOLO 1100']);
+  });
+
+  it('matches Gen Ed categories by partial text', () => {
+    assert.deepStrictEqual(codes('CS', { genEd: 'quantitative' }), ['CS 374']);
+    assert.deepStrictEqual(codes('CS', { level: '2', genEd: 'quantitative' }), []);
+  });
+});
+
+describe('CourseGraph.findPrerequisitePaths', () => {
+  // CS 124 reaches CS 421 through CS 225 directly, through CS 225 and CS 374, or through CS 173 and CS 374
+  const graph = new CourseGraph();
+  graph.buildFromCourses([
+    course('CS 124'),
+    course('CS 128', { prerequisites: ['CS 124'] }),
+    course('CS 173', { prerequisites: ['CS 124'] }),
+    course('CS 225', { prerequisites: ['CS 128'] }),
+    course('CS 374', { prerequisites: ['CS 225', 'CS 173'] }),
+    course('CS 421', { prerequisites: ['CS 225', 'CS 374'] }),
+    course('MATH 221')
+  ]);
+
+  it('finds the shortest chain', () => {
+    const [path] = graph.findPrerequisitePaths('CS 124', 'CS 421');
+    assert.strictEqual(path.length, 4);
+    assert.strictEqual(path[0], 'CS 124');
+    assert.strictEqual(path[3], 'CS 421');
+  });
+
+  it('lists every distinct chain, shortest first, up to k', () => {
+    const paths = graph.findPrerequisitePaths('CS 124', 'CS 421', 10);
+    assert.deepStrictEqual(paths.map(path => path.length), [4, 4, 5]);
+    assert.deepStrictEqual(paths.map(path => path.join(' > ')).sort(), [
+      'CS 124 > CS 128 > CS 225 > CS 374 > CS 421',
+      'CS 124 > CS 128 > CS 225 > CS 421',
+      'CS 124 > CS 173 > CS 374 > CS 421'
+    ]);
+    assert.strictEqual(graph.findPrerequisitePaths('CS 124', 'CS 421', 2).length, 2);
+  });
+
+  it('returns no paths when the course is not reachable', () => {
+    assert.deepStrictEqual(graph.findPrerequisitePaths('CS 421', 'CS 124', 3), []);
+    assert.deepStrictEqual(graph.findPrerequisitePaths('MATH 221', 'CS 421'), []);
+  });
+
+  it('finds the courses between two courses and the ones every chain needs', () => {
+    assert.deepStrictEqual(graph.getCoursesBetween('CS 124', 'CS 374'), {
+      courses: ['CS 128', 'CS 173', 'CS 225'],
+      required: []
+    });
+    assert.deepStrictEqual(graph.getCoursesBetween('CS 128', 'CS 421'), {
+      courses: ['CS 225', 'CS 374'],
+      required: ['CS 225']
+    });
+    assert.deepStrictEqual(graph.getCoursesBetween('MATH 221', 'CS 421'), { courses: [], required: [] });
+  });
+});
+
+describe('CourseGraph.getEligibility', () => {
+  const requirement = code => ({ type: 'course', code, concurrentAllowed: false });
+  const graph = new CourseGraph();
+  graph.buildFromCourses([
+    course('CS 124'),
+    course('MATH 221'),
+    course('CS 128', { prerequisites: ['CS 124'] }),
+    // One of CS 124 or CS 128, and MATH 221 (may be taken at the same time)
+    course('CS 173', {
+      prerequisites: ['CS 124', 'CS 128'],
+      corequisites: ['MATH 221'],
+      requirements: {
+        type: 'allOf',
+        requirements: [
+          { type: 'oneOf', requirements: [requirement('CS 124'), requirement('CS 128')] },
+          { type: 'course', code: 'MATH 221', concurrentAllowed: true }
+        ]
+      }
+    }),
+    course('CS 225', { prerequisites: ['CS 128', 'CS 173'] }),
+    course('CS 374', { prerequisites: ['CS 225'], crossListings: ['ECE 374'] }),
+    course('ECE 374', { prerequisites: ['CS 225'], crossListings: ['CS 374'] })
+  ]);
+  const statuses = (completed, courses) => Object.fromEntries(graph.getEligibility(completed, courses));
+
+  it('sorts every course by how close the student is to taking it', () => {
+    assert.deepStrictEqual(statuses(['CS 124']), {
+      'CS 124': { status: 'completed', missing: [] },
+      'MATH 221': { status: 'eligible', missing: [] },
+      'CS 128': { status: 'eligible', missing: [] },
+      'CS 173': { status: 'concurrent', missing: ['MATH 221'] },
+      'CS 225': { status: 'locked', missing: ['CS 128', 'CS 173'] },
+      'CS 374': { status: 'one-away', missing: ['CS 225'] },
+      'ECE 374': { status: 'one-away', missing: ['CS 225'] }
+    });
+  });
+
+  it('meets a "one of" requirement with any of its courses', () => {
+    const result = statuses(['CS 128', 'MATH 221'], ['CS 173', 'CS 225']);
+    assert.deepStrictEqual(result, {
+      'CS 173': { status: 'eligible', missing: [] },
+      'CS 225': { status: 'one-away', missing: ['CS 173'] }
+    });
+  });
+
+  it('counts a completed cross-listed code as the course itself', () => {
+    assert.deepStrictEqual(statuses(['ECE 374'], ['CS 374', 'ECE 374']), {
+      'CS 374': { status: 'completed', missing: [] },
+      'ECE 374': { status: 'completed', missing: [] }
+    });
+  });
+
+  it('skips codes that are not in the catalog', () => {
+    assert.deepStrictEqual([...graph.getEligibility([], ['CS 999', 'CS 124']).keys()], ['CS 124']);
+  });
+});
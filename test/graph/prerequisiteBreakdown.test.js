@@ -0,0 +1,121 @@
+// Tests for the typed prerequisite checklist shown in course details
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const IllinoisAdapter = require('../../src/scraper/adapters/illinoisAdapter');
+const { extractPrerequisiteText, findConditions, buildPrerequisiteBreakdown } = require('../../src/graph/prerequisiteBreakdown');
+
+const adapter = new IllinoisAdapter();
+const findCourseCodes = text => adapter.findCourseCodes(text);
+const course = (code, concurrentAllowed = false) => ({ type: 'course', code, concurrentAllowed });
+// Conditions without the flags, for shorter expectations
+const conditions = text => findConditions(text, findCourseCodes)
+  .map(({ alternative, forConcurrentRegistration, ...item }) => ({
+    ...item,
+    ...(alternative ? { alternative } : {}),
+    ...(forConcurrentRegistration ? { forConcurrentRegistration } : {})
+  }));
+
+describe('extractPrerequisiteText', () => {
+  it('cuts the section at "Credit Hours:" or "Same as"', () => {
+    assert.strictEqual(
+      extractPrerequisiteText('Intro.  Prerequisite: CS 225;\n junior standing. Same as ECE 374.'),
+      'CS 225; junior standing.'
+    );
+    assert.strictEqual(extractPrerequisiteText('Prerequisite: CS 128. Credit Hours: 4'), 'CS 128.');
+    assert.strictEqual(extractPrerequisiteText('No prerequisites listed.'), null);
+    assert.strictEqual(extractPrerequisiteText(undefined), null);
+  });
+});
+
+describe('findConditions', () => {
+  it('reads class standing levels', () => {
+    assert.deepStrictEqual(conditions('CS 225; Junior or Senior standing.'), [
+      { type: 'standing', levels: ['junior', 'senior'], text: 'Junior or senior standing' }
+    ]);
+  });
+
+  it('marks consent offered instead of the courses as an alternative', () => {
+    assert.deepStrictEqual(conditions('CS 225, or consent of instructor.'), [
+      { type: 'consent', of: 'instructor', text: 'Consent of instructor', alternative: true }
+    ]);
+    assert.deepStrictEqual(conditions('CS 225; concurrent registration with consent of instructor.'), [
+      { type: 'consent', of: 'instructor', text: 'Consent of instructor (for concurrent registration)', forConcurrentRegistration: true }
+    ]);
+    assert.deepStrictEqual(conditions('Departmental approval.'), [
+      { type: 'consent', of: 'department', text: 'Consent of department' }
+    ]);
+  });
+
+  it('ends a restriction before a following ", or" condition', () => {
+    assert.deepStrictEqual(conditions('Restricted to Computer Science majors, or consent of instructor.'), [
+      { type: 'restriction', to: 'Computer Science majors', text: 'Restricted to Computer Science majors' },
+      { type: 'consent', of: 'instructor', text: 'Consent of instructor', alternative: true }
+    ]);
+  });
+
+  it('reads minimum grades with the courses they apply to', () => {
+    assert.deepStrictEqual(conditions('Grade of C or better in CS 173.'), [
+      { type: 'minimumGrade', grade: 'C', courses: ['CS 173'], text: 'Grade of C or better in CS 173' }
+    ]);
+    assert.deepStrictEqual(conditions('CS 225 with a minimum grade of B- in all prerequisites.'), [
+      { type: 'minimumGrade', grade: 'B-', courses: [], text: 'Grade of B- or better in all prerequisites' }
+    ]);
+    // "a" here is an article, not a letter grade
+    assert.deepStrictEqual(conditions('A grade of a passing nature.'), []);
+  });
+
+  it('keeps one condition when two patterns match the same words', () => {
+    assert.deepStrictEqual(conditions('Restricted to junior standing in Engineering.'), [
+      { type: 'restriction', to: 'junior standing in Engineering', text: 'Restricted to junior standing in Engineering' }
+    ]);
+  });
+});
+
+describe('buildPrerequisiteBreakdown', () => {
+  it('lists each part of the top-level "and", then the conditions', () => {
+    const requirement = {
+      type: 'allOf',
+      requirements: [
+        course('CS 225'),
+        { type: 'oneOf', requirements: [course('MATH 225'), course('MATH 415')] },
+        course('STAT 400', true)
+      ]
+    };
+    const breakdown = buildPrerequisiteBreakdown(
+      requirement,
+      'Prerequisite: CS 225; one of MATH 225 or MATH 415; credit or concurrent registration in STAT 400; junior standing.',
+      findCourseCodes
+    );
+
+    assert.strictEqual(breakdown.text, 'CS 225; one of MATH 225 or MATH 415; credit or concurrent registration in STAT 400; junior standing.');
+    assert.deepStrictEqual(breakdown.items.map(item => [item.type, item.text]), [
+      ['course', 'CS 225'],
+      ['oneOf', 'MATH 225 or MATH 415'],
+      ['course', 'STAT 400 (or concurrent registration)'],
+      ['standing', 'Junior standing']
+    ]);
+    assert.deepStrictEqual(breakdown.items[1].options.map(option => option.code), ['MATH 225', 'MATH 415']);
+    assert.deepStrictEqual(breakdown.concurrentAllowed, ['STAT 400']);
+  });
+
+  it('keeps "and" groups inside an alternative', () => {
+    const breakdown = buildPrerequisiteBreakdown({
+      type: 'oneOf',
+      requirements: [course('CS 173'), { type: 'allOf', requirements: [course('MATH 213'), course('MATH 231', true)] }]
+    }, 'Prerequisite: CS 173 or MATH 213 and MATH 231.', findCourseCodes);
+
+    assert.strictEqual(breakdown.items.length, 1);
+    const [alternatives] = breakdown.items;
+    assert.strictEqual(alternatives.type, 'oneOf');
+    assert.deepStrictEqual(alternatives.options[1].items.map(item => item.code), ['MATH 213', 'MATH 231']);
+    assert.deepStrictEqual(breakdown.concurrentAllowed, ['MATH 231']);
+  });
+
+  it('has no items for a course without prerequisites', () => {
+    assert.deepStrictEqual(buildPrerequisiteBreakdown(null, 'Introduction to computing.', findCourseCodes), {
+      text: null,
+      items: [],
+      concurrentAllowed: []
+    });
+  });
+});
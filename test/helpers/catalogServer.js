@@ -0,0 +1,58 @@
+// Local HTTP stand-in for the course catalog, serving the recorded pages in test/fixtures/catalog
+// (or test/fixtures/partner for the partner catalog with 5-letter subjects and 4-digit numbers)
+//   /courses-of-instruction/          -> index.html (A-Z department index)
+//   /courses-of-instruction/<dept>/   -> <dept>.html
+// Pages are sent with an ETag and answer If-None-Match with 304, like the real catalog
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURE_ROOT = path.join(__dirname, '../fixtures');
+
+/**
+ * Starts the stand-in on a free local port
+ * @param {object} options - Stand-in options
+ * @param {Array} options.failing - Department codes that respond with HTTP 500 (e.g., ["STAT"])
+ * @param {string} options.fixtures - Fixture directory under test/fixtures (default: "catalog")
+ * @returns {object} baseUrl, requests (array of { url, status }) and close()
+ */
+async function startCatalogServer({ failing = [], fixtures = 'catalog' } = {}) {
+  const fixtureDir = path.join(FIXTURE_ROOT, fixtures);
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const match = req.url.match(/^\/courses-of-instruction\/(?:([a-z]+)\/)?$/);
+    const department = match && match[1];
+    const reply = (status, body = '', headers = {}) => {
+      requests.push({ url: req.url, status });
+      res.writeHead(status, headers);
+      res.end(body);
+    };
+
+    if (!match) return reply(404);
+    if (department && failing.includes(department.toUpperCase())) return reply(500);
+
+    let html;
+    try {
+      html = await fs.readFile(path.join(fixtureDir, `${department || 'index'}.html`), 'utf-8');
+    } catch (error) {
+      return reply(404);
+    }
+
+    const etag = `"${crypto.createHash('sha1').update(html).digest('hex')}"`;
+    if (req.headers['if-none-match'] === etag) return reply(304, '', { ETag: etag });
+    reply(200, html, { 'Content-Type': 'text/html; charset=utf-8', ETag: etag });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}/courses-of-instruction/`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startCatalogServer };
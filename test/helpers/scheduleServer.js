@@ -0,0 +1,49 @@
+// Local HTTP stand-in for the class schedule explorer, serving the recorded pages in test/fixtures/schedule
+//   /schedule/<year>/<season>.xml             -> <year>/<season>.xml (subjects in a term)
+//   /schedule/<year>/<season>/<SUBJECT>.xml   -> <year>/<season>/<SUBJECT>.xml (sections, any query string)
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/schedule');
+
+/**
+ * Starts the stand-in on a free local port
+ * @param {object} options - Stand-in options
+ * @param {Array} options.failing - Subject codes that respond with HTTP 500 (e.g., ["MATH"])
+ * @returns {object} baseUrl, requests (array of { url, status }) and close()
+ */
+async function startScheduleServer({ failing = [] } = {}) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const match = req.url.match(/^\/schedule\/(\d{4})\/([a-z]+)(?:\/([A-Z]+))?\.xml(?:\?.*)?$/);
+    const reply = (status, body = '') => {
+      requests.push({ url: req.url, status });
+      res.writeHead(status, { 'Content-Type': 'application/xml; charset=utf-8' });
+      res.end(body);
+    };
+
+    if (!match) return reply(404);
+    const [, year, season, subject] = match;
+    if (subject && failing.includes(subject)) return reply(500);
+
+    try {
+      const file = subject ? path.join(year, season, `${subject}.xml`) : path.join(year, `${season}.xml`);
+      reply(200, await fs.readFile(path.join(FIXTURE_DIR, file), 'utf-8'));
+    } catch (error) {
+      reply(404);
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}/schedule`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startScheduleServer };
@@ -0,0 +1,182 @@
+// Tests for ScheduleSolver, using sections scraped from the recorded class schedule pages (test/fixtures/schedule)
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const CourseGraph = require('../../src/graph/graphBuilder');
+const ScheduleScraper = require('../../src/scraper/scheduleScraper');
+const ScheduleSolver = require('../../src/planner/scheduleSolver');
+const { normalizeConstraints } = require('../../src/planner/scheduleSolver');
+const { startScheduleServer } = require('../helpers/scheduleServer');
+
+const TERMS = ['Fall 2026', 'Spring 2027'];
+
+// Scrapes the fixture schedule and joins it to a graph with the scheduled courses
+async function buildGraph() {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  const schedule = await startScheduleServer();
+  try {
+    const scraper = new ScheduleScraper(schedule.baseUrl, { cache: false, delays: { min: 0, max: 0, cached: 0 } });
+    await scraper.scrapeTerms(TERMS);
+
+    const codes = [...new Set(scraper.sections.map(section => section.course))];
+    const graph = new CourseGraph();
+    graph.buildFromCourses(codes.map(code => ({
+      code,
+      name: code,
+      department: code.split(' ')[0],
+      description: '',
+      prerequisites: [],
+      corequisites: []
+    })));
+    graph.setSchedule({ terms: scraper.terms, sections: scraper.sections });
+    return graph;
+  } finally {
+    await schedule.close();
+    console.log = log;
+    console.error = error;
+  }
+}
+
+// A section with one meeting, for cases the fixtures don't cover
+function section(course, number, type, days, start, end, partOfTerm = '1') {
+  return {
+    term: 'Fall 2026',
+    course,
+    crn: `${course}-${number}`,
+    section: number,
+    type,
+    partOfTerm,
+    meetings: [{ type, days, start, end, location: null }],
+    instructors: []
+  };
+}
+
+describe('ScheduleSolver', () => {
+  let graph;
+  let solver;
+
+  before(async () => {
+    graph = await buildGraph();
+    solver = new ScheduleSolver(graph);
+  });
+
+  const solve = (courses, constraints = {}, options = {}) => solver.solve({
+    courses,
+    term: 'Fall 2026',
+    constraints: normalizeConstraints(constraints).constraints,
+    ...options
+  });
+  const crns = schedule => schedule.sections.map(s => `${s.course} ${s.section}`).sort();
+
+  describe('getCourseOptions', () => {
+    it('pairs a lecture with each linked lab', () => {
+      const options = solver.getCourseOptions(graph.getSections('CS 124').filter(s => s.term === 'Fall 2026'));
+      assert.deepStrictEqual(
+        options.map(option => option.sections.map(s => s.section)),
+        [['AL1', 'AYA'], ['AL1', 'AYB']]
+      );
+    });
+
+    it('only links sections that share the first letter of their section number', () => {
+      const options = solver.getCourseOptions([
+        section('CS 999', 'AL1', 'LEC', 'MW', '09:00', '09:50'),
+        section('CS 999', 'BL1', 'LEC', 'MW', '13:00', '13:50'),
+        section('CS 999', 'AYA', 'LAB', 'F', '09:00', '10:50'),
+        section('CS 999', 'BYA', 'LAB', 'F', '13:00', '14:50')
+      ]);
+      assert.deepStrictEqual(options.map(option => option.sections.map(s => s.section)), [['AL1', 'AYA'], ['BL1', 'BYA']]);
+    });
+
+    it('combines every section type freely when no letter covers all of them', () => {
+      const options = solver.getCourseOptions([
+        section('CS 999', 'AL1', 'LEC', 'MW', '09:00', '09:50'),
+        section('CS 999', 'BYA', 'LAB', 'F', '09:00', '10:50'),
+        section('CS 999', 'CYA', 'LAB', 'F', '13:00', '14:50')
+      ]);
+      assert.strictEqual(options.length, 2);
+    });
+  });
+
+  describe('overlaps', () => {
+    const slot = (start, end, partOfTerm = '1') => ({ day: 'M', start, end, partOfTerm });
+
+    it('finds overlapping times on the same day', () => {
+      assert.ok(solver.overlaps(slot(600, 660), slot(630, 700)));
+      assert.ok(!solver.overlaps(slot(600, 660), slot(660, 700)));
+      assert.ok(!solver.overlaps(slot(600, 660), { ...slot(600, 660), day: 'T' }));
+    });
+
+    it('never lets first-half and second-half sections conflict', () => {
+      assert.ok(!solver.overlaps(slot(600, 660, 'A'), slot(600, 660, 'B')));
+      assert.ok(solver.overlaps(slot(600, 660, 'A'), slot(600, 660, 'A')));
+      assert.ok(solver.overlaps(slot(600, 660, '1'), slot(600, 660, 'B')));
+    });
+  });
+
+  describe('solve', () => {
+    it('skips section combinations with a time conflict', () => {
+      // CS 124 lab AYA (T 9:00-10:50) overlaps the CS 225 lecture (TR 9:30-10:45)
+      const result = solve(['CS 124', 'CS 225']);
+      assert.strictEqual(result.totalFound, 1);
+      assert.deepStrictEqual(crns(result.schedules[0]), ['CS 124 AL1', 'CS 124 AYB', 'CS 225 AL1', 'CS 225 AYA']);
+    });
+
+    it('ranks weeks with the same days and gaps by the later first class', () => {
+      // Lab AYB (R 13:00) makes 12:00 the first class of the week; lab AYA (T 9:00) makes it 9:00
+      const result = solve(['CS 124']);
+      assert.deepStrictEqual(result.schedules.map(schedule => schedule.daysOnCampus), [4, 4]);
+      assert.deepStrictEqual(result.schedules.map(schedule => schedule.earliestStart), ['12:00', '09:00']);
+      assert.deepStrictEqual(result.schedules.map(schedule => schedule.rank), [1, 2]);
+    });
+
+    it('reports the course that no section can fit into the constraints', () => {
+      const early = solve(['CS 225', 'MATH 221'], { earliestStart: '10:00' });
+      assert.strictEqual(early.totalFound, 0);
+      assert.deepStrictEqual(early.reasons, [
+        'CS 225: every section combination has a class before 10:00',
+        'MATH 221: every section combination has a class before 10:00'
+      ]);
+
+      const fridays = solve(['CS 124'], { freeDays: ['F'] });
+      assert.deepStrictEqual(fridays.reasons, ['CS 124: every section combination has a class on F']);
+
+      const late = solve(['MATH 231'], { latestEnd: '13:30' });
+      assert.deepStrictEqual(late.reasons, ['MATH 231: every section combination has a class after 13:30']);
+    });
+
+    it('drops timetables with a gap longer than maxGap', () => {
+      // The longest gap is on Tuesday: MATH 221's discussion ends at 8:50 and MATH 231 starts at 13:00
+      const week = solve(['MATH 221', 'MATH 231'], { maxGap: 250 });
+      assert.strictEqual(week.totalFound, 1);
+      assert.strictEqual(week.schedules[0].longestGapMinutes, 250);
+      const result = solve(['MATH 221', 'MATH 231'], { maxGap: 60 });
+      assert.strictEqual(result.totalFound, 0);
+      assert.deepStrictEqual(result.reasons, ['Every conflict-free combination has a gap longer than 60 minutes']);
+    });
+
+    it('lists courses with no sections in the term', () => {
+      const result = solve(['CS 233', 'CS 225']);
+      assert.deepStrictEqual(result.notOffered, ['CS 233']);
+      assert.strictEqual(result.totalFound, 1);
+    });
+
+    it('explains an empty result when the search stops early', () => {
+      const result = new ScheduleSolver(graph, { maxCombinations: 1 }).solve({
+        courses: ['CS 124', 'CS 225'],
+        term: 'Fall 2026',
+        constraints: normalizeConstraints({}).constraints
+      });
+      assert.strictEqual(result.truncated, true);
+      assert.strictEqual(result.totalFound, 0);
+      assert.deepStrictEqual(result.reasons, ['Search stopped after 1 combinations; narrow the course list']);
+    });
+  });
+
+  describe('normalizeConstraints', () => {
+    it('rejects malformed constraints', () => {
+      const { problems } = normalizeConstraints({ earliestStart: '25:00', freeDays: ['X'], maxGap: -5 });
+      assert.strictEqual(problems.length, 3);
+    });
+  });
+});
@@ -0,0 +1,318 @@
+// Offline tests for CourseScraper, run against recorded catalog pages (test/fixtures/catalog)
+// served by a local HTTP stand-in, so no request leaves the machine
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CourseScraper = require('../../src/scraper/courseScraper');
+const { formatRequirement } = require('../../src/graph/requirements');
+const { loadCatalog } = require('../../src/scraper/adapters');
+const { startCatalogServer } = require('../helpers/catalogServer');
+
+// Expected requisites for every course in the fixtures
+// Some cases pin down current quirks of parsePrerequisitesAndCorequisites, noted as "quirk"
+const EXPECTED = {
+  CS: [
+    { code: 'CS 100', phrasing: 'no Prerequisite section', prerequisites: [], corequisites: [] },
+    { code: 'CS 124', phrasing: 'linked courses outside the Prerequisite section are ignored', prerequisites: [], corequisites: [] },
+    { code: 'CS 128', phrasing: 'single linked prerequisite', prerequisites: ['CS 124'], corequisites: [] },
+    { code: 'CS 173', phrasing: '"One of" list followed by credit or concurrent registration', prerequisites: ['CS 124', 'CS 125', 'CS 128'], corequisites: ['MATH 221'] },
+    { code: 'CS 225', phrasing: '"and" mixed with "or"', prerequisites: ['CS 128', 'CS 173', 'MATH 213'], corequisites: [] },
+    { code: 'CS 233', phrasing: 'prerequisite; then credit or concurrent registration', prerequisites: ['CS 225'], corequisites: ['CS 374'] },
+    { code: 'CS 241', phrasing: '"Concurrent:" label marks the corequisite boundary', prerequisites: ['CS 225', 'CS 233'], corequisites: ['CS 341'] },
+    { code: 'CS 357', phrasing: 'several "or" clauses before a concurrent clause', prerequisites: ['CS 101', 'CS 124', 'MATH 225', 'MATH 257'], corequisites: ['MATH 241'] },
+    // quirk: the 50-character exclusion window reaches "Credit is not given" in the next sentence
+    { code: 'CS 361', phrasing: 'exclusion sentence right after a corequisite', prerequisites: ['CS 173'], corequisites: [] },
+    { code: 'CS 374', phrasing: '"Same as" before the Prerequisite section', prerequisites: ['CS 173', 'MATH 213', 'CS 225'], corequisites: [] },
+    { code: 'CS 411', phrasing: '"Not open to students" more than 50 characters away', prerequisites: ['CS 225'], corequisites: [] },
+    // quirk: a prerequisite within 50 characters of "Not open to students" is dropped too
+    { code: 'CS 412', phrasing: '"Not open to students" right after the prerequisite', prerequisites: [], corequisites: [] },
+    { code: 'CS 421', phrasing: 'two prerequisites joined by "and"', prerequisites: ['CS 233', 'CS 374'], corequisites: [] },
+    { code: 'CS 425', phrasing: '"One of" list ending in ", or"', prerequisites: ['CS 240', 'CS 241', 'ECE 391'], corequisites: [] },
+    // quirk: "May not be taken concurrently" excludes every course within 50 characters
+    { code: 'CS 433', phrasing: '"May not be taken concurrently" after short clauses', prerequisites: [], corequisites: [] },
+    // quirk: indexOf finds the first occurrence of the link text, so both links count as before the boundary
+    { code: 'CS 438', phrasing: 'same course linked before and after "concurrent registration"', prerequisites: ['CS 241'], corequisites: [] },
+    // Links use non-breaking spaces, so an unlinked "CS 241" in plain text doesn't shadow the link
+    { code: 'CS 439', phrasing: 'unlinked mention before the linked corequisite', prerequisites: [], corequisites: ['CS 241'] },
+    { code: 'CS 440', phrasing: 'everything after "concurrent registration" is a corequisite', prerequisites: ['CS 225'], corequisites: ['CS 361', 'STAT 400', 'MATH 225'] },
+    { code: 'CS 446', phrasing: 'duplicate links are listed once', prerequisites: ['CS 225', 'MATH 225', 'MATH 415', 'STAT 400', 'STAT 410', 'MATH 461', 'CS 361'], corequisites: [] },
+    { code: 'CS 450', phrasing: '"and/or" and link text without a space ("MATH225")', prerequisites: ['CS 101', 'CS 357', 'MATH 225'], corequisites: [] },
+    { code: 'CS 461', phrasing: 'unlinked course codes are not requisites', prerequisites: ['CS 233', 'CS 241'], corequisites: [] },
+    // quirk: only the exact label "Prerequisite:" starts the section
+    { code: 'CS 491', phrasing: 'plural "Prerequisites:" label', prerequisites: [], corequisites: [] },
+    { code: 'CS 492', phrasing: 'lowercase "prerequisite:" label', prerequisites: [], corequisites: [] },
+    { code: 'CS 493', phrasing: 'non-course link in the Prerequisite section', prerequisites: ['CS 492'], corequisites: [] },
+    { code: 'CS 498', phrasing: 'self-reference in the Prerequisite section', prerequisites: [], corequisites: [] },
+    { code: 'CS 512', phrasing: 'prerequisite ", or credit or concurrent registration"', prerequisites: ['CS 412'], corequisites: ['CS 511'] }
+  ],
+  MATH: [
+    { code: 'MATH 221', phrasing: 'placement text without links', prerequisites: [], corequisites: [] },
+    { code: 'MATH 231', phrasing: 'two alternatives', prerequisites: ['MATH 220', 'MATH 221'], corequisites: [] },
+    { code: 'MATH 241', phrasing: 'single prerequisite in a numbered title', prerequisites: ['MATH 231'], corequisites: [] },
+    // quirk: "no credit" falls outside MATH 115's window, so only MATH 012 is excluded
+    { code: 'MATH 112', phrasing: '"no credit toward graduation" sentence', prerequisites: ['MATH 115'], corequisites: [] },
+    { code: 'MATH 257', phrasing: 'prerequisites from another department', prerequisites: ['MATH 220', 'MATH 221', 'CS 101', 'CS 124'], corequisites: [] },
+    { code: 'MATH 415', phrasing: '"or concurrent registration" after the only course', prerequisites: ['MATH 241'], corequisites: [] },
+    { code: 'MATH 461', phrasing: '"Same as" in a numbered title course', prerequisites: ['MATH 241'], corequisites: [] }
+  ],
+  STAT: [
+    { code: 'STAT 100', phrasing: 'exclusion sentence without a Prerequisite section', prerequisites: [], corequisites: [] },
+    { code: 'STAT 200', phrasing: '"Credit is not given" inside the Prerequisite section', prerequisites: [], corequisites: [] },
+    { code: 'STAT 400', phrasing: 'prerequisite from another department', prerequisites: ['MATH 241'], corequisites: [] },
+    { code: 'STAT 410', phrasing: '"and credit or concurrent registration in", or consent', prerequisites: ['STAT 400'], corequisites: ['MATH 415'] },
+    { code: 'STAT 420', phrasing: '"Concurrent registration in ... is required" sentence', prerequisites: ['STAT 410'], corequisites: ['STAT 425'] },
+    { code: 'STAT 425', phrasing: '", and" between two "or" groups', prerequisites: ['STAT 410', 'STAT 400', 'MATH 415', 'MATH 416'], corequisites: [] },
+    { code: 'STAT 430', phrasing: 'repeatability note after the prerequisites', prerequisites: ['STAT 200', 'STAT 212', 'STAT 400'], corequisites: [] }
+  ]
+};
+
+// The scraper reports progress with console.log; keep test output readable
+function silenceConsole() {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return () => {
+    console.log = log;
+    console.error = error;
+  };
+}
+
+describe('CourseScraper.parseRequirementTree', () => {
+  const scraper = new CourseScraper('http://127.0.0.1/catalog');
+  const parse = (text, prerequisites, corequisites = []) =>
+    formatRequirement(scraper.parseRequirementTree(text, prerequisites, corequisites));
+
+  it('keeps courses before "one of" required', () => {
+    assert.strictEqual(
+      parse('Prerequisite: CS 225 and one of MATH 225, MATH 415.', ['CS 225', 'MATH 225', 'MATH 415']),
+      'CS 225 and (MATH 225 or MATH 415)'
+    );
+    assert.strictEqual(
+      parse('Prerequisite: CS 173 or MATH 213, and one of CS 225, CS 277.', ['CS 173', 'MATH 213', 'CS 225', 'CS 277']),
+      '(CS 173 or MATH 213) and (CS 225 or CS 277)'
+    );
+  });
+
+  it('treats a clause that starts with "One of" as a single list of alternatives', () => {
+    assert.strictEqual(
+      parse('Prerequisite: One of CS 124, CS 125 or CS 128; credit or concurrent registration in MATH 221.',
+        ['CS 124', 'CS 125', 'CS 128'], ['MATH 221']),
+      '(CS 124 or CS 125 or CS 128) and MATH 221 (concurrent allowed)'
+    );
+  });
+});
+
+describe('CourseScraper against recorded catalog pages', () => {
+  let catalog;
+  let restoreConsole;
+
+  before(async () => {
+    restoreConsole = silenceConsole();
+    catalog = await startCatalogServer();
+  });
+
+  after(async () => {
+    await catalog.close();
+    restoreConsole();
+  });
+
+  describe('scrapeDepartmentList', () => {
+    it('lists departments from the A-Z index and skips letter headers', async () => {
+      const scraper = new CourseScraper(catalog.baseUrl, { cache: false });
+      const departments = await scraper.scrapeDepartmentList();
+
+      assert.deepStrictEqual(departments, [
+        { name: 'Computer Science', code: 'CS', url: `${catalog.baseUrl}cs/` },
+        { name: 'Mathematics', code: 'MATH', url: `${catalog.baseUrl}math/` },
+        { name: 'Statistics', code: 'STAT', url: `${catalog.baseUrl}stat/` }
+      ]);
+    });
+  });
+
+  describe('scrapeDepartmentCourses', () => {
+    const scraped = {};
+
+    before(async () => {
+      const scraper = new CourseScraper(catalog.baseUrl, { cache: false });
+      for (const department of Object.keys(EXPECTED)) {
+        scraped[department] = await scraper.scrapeDepartmentCourses(
+          `${catalog.baseUrl}${department.toLowerCase()}/`,
+          department
+        );
+      }
+    });
+
+    it('scrapes every course block that has a course number', () => {
+      Object.keys(EXPECTED).forEach(department => {
+        assert.deepStrictEqual(
+          scraped[department].map(course => course.code),
+          EXPECTED[department].map(course => course.code)
+        );
+      });
+    });
+
+    Object.keys(EXPECTED).forEach(department => {
+      EXPECTED[department].forEach(expected => {
+        it(`${expected.code}: ${expected.phrasing}`, () => {
+          const course = scraped[department].find(c => c.code === expected.code);
+          assert.ok(course, `${expected.code} was not scraped`);
+          assert.deepStrictEqual(
+            { prerequisites: course.prerequisites, corequisites: course.corequisites },
+            { prerequisites: expected.prerequisites, corequisites: expected.corequisites }
+          );
+        });
+      });
+    });
+
+    it('reads code, name and credits from "CS 225   Data Structures   credit: 4 Hours." titles', () => {
+      const course = scraped.CS.find(c => c.code === 'CS 225');
+      assert.strictEqual(course.name, 'Data Structures');
+      assert.strictEqual(course.department, 'CS');
+      assert.strictEqual(course.minCredits, 4);
+      assert.strictEqual(course.maxCredits, 4);
+    });
+
+    it('uses the department code for numbered titles ("221. Calculus I")', () => {
+      const course = scraped.MATH.find(c => c.code === 'MATH 221');
+      assert.strictEqual(course.department, 'MATH');
+      assert.strictEqual(course.level, 200);
+    });
+
+    it('records "Same as" courses as cross-listings instead of prerequisites', () => {
+      assert.deepStrictEqual(scraped.CS.find(c => c.code === 'CS 374').crossListings, ['ECE 374']);
+      assert.deepStrictEqual(scraped.MATH.find(c => c.code === 'MATH 461').crossListings, ['STAT 461']);
+    });
+
+    it('builds AND/OR requirement trees from the same section', () => {
+      const course = scraped.CS.find(c => c.code === 'CS 233');
+      assert.deepStrictEqual(course.requirements, {
+        type: 'allOf',
+        requirements: [
+          { type: 'course', code: 'CS 225', concurrentAllowed: false },
+          { type: 'course', code: 'CS 374', concurrentAllowed: true }
+        ]
+      });
+    });
+  });
+
+  describe('scrapeAll', () => {
+    let dataDir;
+
+    before(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'course-scraper-'));
+    });
+
+    after(async () => {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    const noDelays = { start: 0, min: 0, max: 0, cached: 0 };
+
+    it('scrapes every department and revalidates cached pages on the next run', async () => {
+      const first = new CourseScraper(catalog.baseUrl, { dataDir, delays: noDelays });
+      const courses = await first.scrapeAll();
+      const expectedCount = Object.values(EXPECTED).reduce((sum, list) => sum + list.length, 0);
+      assert.strictEqual(courses.length, expectedCount);
+
+      // The second run sends If-None-Match and reuses the cached pages
+      const requestCount = catalog.requests.length;
+      const second = new CourseScraper(catalog.baseUrl, { dataDir, delays: noDelays });
+      assert.strictEqual((await second.scrapeAll()).length, expectedCount);
+      const secondRun = catalog.requests.slice(requestCount);
+      assert.ok(secondRun.length > 0);
+      assert.ok(secondRun.every(request => request.status === 304));
+    });
+
+    it('does not mark departments whose page failed as completed', async () => {
+      const failingCatalog = await startCatalogServer({ failing: ['STAT'] });
+      try {
+        const scraper = new CourseScraper(failingCatalog.baseUrl, { dataDir, cache: false, delays: noDelays });
+        await scraper.scrapeAll();
+        const progress = await scraper.loadProgress();
+        assert.deepStrictEqual(progress.completed, ['CS', 'MATH']);
+      } finally {
+        await failingCatalog.close();
+      }
+    });
+
+    it('keeps the existing courses of departments that came back empty when merging', async () => {
+      const existing = [
+        { code: 'MATH 1', department: 'MATH' },
+        { code: 'STAT 1', department: 'STAT' },
+        { code: 'ECE 1', department: 'ECE' }
+      ];
+      await fs.writeFile(path.join(dataDir, 'courses.json'), JSON.stringify(existing));
+
+      const failingCatalog = await startCatalogServer({ failing: ['STAT'] });
+      try {
+        const scraper = new CourseScraper(failingCatalog.baseUrl, { dataDir, cache: false, delays: noDelays });
+        await scraper.scrapeAll(null, { only: ['MATH', 'STAT'] });
+        const { refreshed, empty } = await scraper.mergeIntoExisting(['MATH', 'STAT']);
+        assert.deepStrictEqual(refreshed, ['MATH']);
+        assert.deepStrictEqual(empty, ['STAT']);
+
+        const codes = scraper.courses.map(course => course.code);
+        assert.ok(codes.includes('STAT 1'));
+        assert.ok(codes.includes('ECE 1'));
+        assert.ok(!codes.includes('MATH 1'));
+        assert.ok(codes.includes('MATH 221'));
+      } finally {
+        await failingCatalog.close();
+      }
+    });
+  });
+});
+
+describe('CourseScraper with the partner catalog (5-letter subjects, 4-digit numbers)', () => {
+  let catalog;
+  let partner;
+  let dataDir;
+  let restoreConsole;
+
+  before(async () => {
+    restoreConsole = silenceConsole();
+    catalog = await startCatalogServer({ fixtures: 'partner' });
+    partner = await loadCatalog('partner');
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'course-scraper-'));
+  });
+
+  after(async () => {
+    await catalog.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+    restoreConsole();
+  });
+
+  it('is configured with the generic CourseLeaf adapter and its own data directory', () => {
+    assert.strictEqual(partner.adapter.constructor.name, 'CourseLeafAdapter');
+    assert.strictEqual(partner.institution, 'Partner University');
+    assert.strictEqual(path.basename(partner.dataDir), 'partner');
+    assert.deepStrictEqual(partner.adapter.findCourseCodes('BIOLO 2250, CHEMS1010 and CS 225'), ['BIOLO 2250', 'CHEMS 1010']);
+  });
+
+  it('scrapes departments, titles and requisites in the partner code format', async () => {
+    const scraper = new CourseScraper(catalog.baseUrl, {
+      adapter: partner.adapter,
+      dataDir,
+      cache: false,
+      delays: { start: 0, min: 0, max: 0, cached: 0 }
+    });
+    const courses = await scraper.scrapeAll();
+
+    assert.deepStrictEqual(courses.map(course => course.code), ['BIOLO 1100', 'BIOLO 2250', 'BIOLO 3150', 'CHEMS 1010', 'CHEMS 2020']);
+    assert.ok(courses.every(course => course.institution === 'Partner University'));
+
+    const byCode = new Map(courses.map(course => [course.code, course]));
+    assert.strictEqual(byCode.get('BIOLO 2250').name, 'Cell Biology');
+    assert.strictEqual(byCode.get('BIOLO 2250').level, 2000);
+    assert.deepStrictEqual(byCode.get('BIOLO 2250').prerequisites, ['BIOLO 1100', 'CHEMS 1010']);
+    // Numbered titles ("3150. Genetics") take the department code
+    assert.strictEqual(byCode.get('BIOLO 3150').department, 'BIOLO');
+    assert.strictEqual(byCode.get('BIOLO 3150').level, 3000);
+    assert.deepStrictEqual(byCode.get('BIOLO 3150').prerequisites, ['BIOLO 2250']);
+    assert.deepStrictEqual(byCode.get('BIOLO 3150').corequisites, ['CHEMS 2020']);
+    // "MATH 115" has a 3-digit number, so it isn't a course code in this catalog
+    assert.deepStrictEqual(byCode.get('CHEMS 1010').prerequisites, []);
+  });
+});
@@ -0,0 +1,160 @@
+// Offline tests for ScheduleScraper, run against recorded class schedule pages (test/fixtures/schedule)
+// served by a local HTTP stand-in, so no request leaves the machine
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ScheduleScraper = require('../../src/scraper/scheduleScraper');
+const { parseTerm, getUpcomingTerms, parseTime } = require('../../src/scraper/scheduleScraper');
+const { validateScheduleData, formatOfferedTerms } = require('../../src/data/scheduleData');
+const { startScheduleServer } = require('../helpers/scheduleServer');
+
+const noDelays = { min: 0, max: 0, cached: 0 };
+
+// The scraper reports progress with console.log; keep test output readable
+function silenceConsole() {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  return () => {
+    console.log = log;
+    console.error = error;
+  };
+}
+
+describe('ScheduleScraper helpers', () => {
+  it('parses term names in either form', () => {
+    assert.deepStrictEqual(parseTerm('Fall 2026'), { year: 2026, season: 'fall', name: 'Fall 2026' });
+    assert.deepStrictEqual(parseTerm('spring-2027'), { year: 2027, season: 'spring', name: 'Spring 2027' });
+    assert.strictEqual(parseTerm('Autumn 2026'), null);
+  });
+
+  it('picks the current fall or spring term and the ones after it', () => {
+    assert.deepStrictEqual(getUpcomingTerms(new Date(2026, 9, 18)), ['Fall 2026', 'Spring 2027']);
+    assert.deepStrictEqual(getUpcomingTerms(new Date(2027, 1, 1), 3), ['Spring 2027', 'Fall 2027', 'Spring 2028']);
+  });
+
+  it('converts meeting times to 24-hour time', () => {
+    assert.strictEqual(parseTime('09:30 AM'), '09:30');
+    assert.strictEqual(parseTime('12:00 PM'), '12:00');
+    assert.strictEqual(parseTime('12:15 AM'), '00:15');
+    assert.strictEqual(parseTime('01:00 PM'), '13:00');
+    assert.strictEqual(parseTime('ARRANGED'), null);
+  });
+
+  it('describes the terms a course is offered', () => {
+    const terms = ['Fall 2026', 'Spring 2027'];
+    assert.strictEqual(formatOfferedTerms(terms, terms), 'Offered Fall 2026 and Spring 2027');
+    assert.strictEqual(formatOfferedTerms(['Spring 2027'], terms), 'Offered Spring 2027');
+    assert.strictEqual(formatOfferedTerms([], terms), 'Not offered Fall 2026 or Spring 2027');
+    assert.strictEqual(formatOfferedTerms(null, []), null);
+  });
+});
+
+describe('ScheduleScraper against recorded schedule pages', () => {
+  let schedule;
+  let restoreConsole;
+
+  before(async () => {
+    restoreConsole = silenceConsole();
+    schedule = await startScheduleServer();
+  });
+
+  after(async () => {
+    await schedule.close();
+    restoreConsole();
+  });
+
+  describe('scrapeTerms', () => {
+    let sections;
+
+    before(async () => {
+      const scraper = new ScheduleScraper(schedule.baseUrl, { cache: false, delays: noDelays });
+      sections = await scraper.scrapeTerms(['Fall 2026', 'Spring 2027']);
+    });
+
+    const find = (term, crn) => sections.find(section => section.term === term && section.crn === crn);
+
+    it('scrapes every section of every subject in each term, skipping cancelled sections', () => {
+      assert.deepStrictEqual(
+        sections.map(section => `${section.term} ${section.course} ${section.section}`),
+        [
+          'Fall 2026 CS 124 AL1', 'Fall 2026 CS 124 AYA', 'Fall 2026 CS 124 AYB',
+          'Fall 2026 CS 225 AL1', 'Fall 2026 CS 225 AYA', 'Fall 2026 CS 498 ONL',
+          'Fall 2026 MATH 221 AL1', 'Fall 2026 MATH 221 ADA', 'Fall 2026 MATH 231 BL1',
+          'Spring 2027 CS 225 AL1', 'Spring 2027 CS 233 AL1',
+          'Spring 2027 MATH 221 AL1'
+        ]
+      );
+    });
+
+    it('reads the CRN, section type, meeting times and instructors', () => {
+      assert.deepStrictEqual(find('Fall 2026', '35876'), {
+        term: 'Fall 2026',
+        course: 'CS 225',
+        crn: '35876',
+        section: 'AL1',
+        type: 'LEC',
+        typeName: 'Lecture',
+        partOfTerm: '1',
+        meetings: [
+          { type: 'LEC', typeName: 'Lecture', days: 'TR', start: '09:30', end: '10:45', location: '1002 Lincoln Hall' }
+        ],
+        instructors: ['Evans, G', 'Fagen-Ulmschneider, W']
+      });
+      assert.strictEqual(find('Fall 2026', '74478').type, 'LBD');
+    });
+
+    it('keeps every meeting of a section and lists each instructor once', () => {
+      const section = find('Fall 2026', '40150');
+      assert.deepStrictEqual(section.meetings.map(meeting => `${meeting.days} ${meeting.start}`), ['MWF 13:00', 'T 13:00']);
+      assert.deepStrictEqual(section.instructors, ['Rapti, Z']);
+    });
+
+    it('leaves days and times empty for arranged (online) meetings', () => {
+      const section = find('Fall 2026', '66012');
+      assert.deepStrictEqual(section.meetings, [
+        { type: 'OLC', typeName: 'Online Lecture', days: '', start: null, end: null, location: null }
+      ]);
+      assert.strictEqual(section.partOfTerm, 'B');
+    });
+  });
+
+  describe('saveToFile', () => {
+    let dataDir;
+
+    before(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schedule-scraper-'));
+    });
+
+    after(async () => {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('writes terms and sections to schedule.json, separate from courses.json', async () => {
+      const scraper = new ScheduleScraper(schedule.baseUrl, { dataDir, cache: false, delays: noDelays });
+      await scraper.scrapeTerms(['Fall 2026', 'Spring 2027'], { only: ['CS'] });
+      await scraper.saveToFile();
+
+      const saved = JSON.parse(await fs.readFile(path.join(dataDir, 'schedule.json'), 'utf-8'));
+      assert.deepStrictEqual(saved.terms, ['Fall 2026', 'Spring 2027']);
+      assert.ok(saved.sections.every(section => section.course.startsWith('CS ')));
+      assert.deepStrictEqual(validateScheduleData(saved), []);
+      await assert.rejects(fs.access(path.join(dataDir, 'courses.json')));
+    });
+
+    it('skips terms that are not published and subjects whose page failed', async () => {
+      const failingSchedule = await startScheduleServer({ failing: ['MATH'] });
+      try {
+        const scraper = new ScheduleScraper(failingSchedule.baseUrl, { cache: false, delays: noDelays });
+        await scraper.scrapeTerms(['Fall 2026', 'Fall 2027']);
+        assert.deepStrictEqual(scraper.terms, ['Fall 2026']);
+        assert.ok(scraper.sections.length > 0);
+        assert.ok(scraper.sections.every(section => section.course.startsWith('CS ')));
+      } finally {
+        await failingSchedule.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// Tests for JsonFileStore, using a store file in a temporary directory
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const JsonFileStore = require('../../src/store/jsonFileStore');
+
+describe('JsonFileStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-'));
+    filePath = path.join(dir, 'store', 'profiles.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('starts empty when the file does not exist yet', async () => {
+    const store = new JsonFileStore(filePath);
+    assert.deepStrictEqual(await store.list(), []);
+    assert.strictEqual(await store.get('missing'), null);
+  });
+
+  it('creates, updates and removes records and keeps them in the file', async () => {
+    const store = new JsonFileStore(filePath);
+    const created = await store.create({ name: 'Alex' });
+    assert.match(created.id, /^[0-9a-f]{16}$/);
+    assert.strictEqual(created.createdAt, created.updatedAt);
+
+    const updated = await store.update(created.id, { name: 'Sam', id: 'ignored' });
+    assert.strictEqual(updated.id, created.id);
+    assert.strictEqual(updated.name, 'Sam');
+    assert.strictEqual(updated.createdAt, created.createdAt);
+    assert.strictEqual(await store.update('missing', { name: 'Nobody' }), null);
+
+    // A new store reads what the first one wrote
+    const reopened = new JsonFileStore(filePath);
+    assert.deepStrictEqual(await reopened.list(), [updated]);
+
+    assert.strictEqual(await store.remove(created.id), true);
+    assert.strictEqual(await store.remove(created.id), false);
+    assert.deepStrictEqual(JSON.parse(await fs.readFile(filePath, 'utf-8')), []);
+  });
+
+  it('keeps every record when changes arrive at the same time', async () => {
+    const store = new JsonFileStore(filePath);
+    await Promise.all(['A', 'B', 'C'].map(name => store.create({ name })));
+    const names = JSON.parse(await fs.readFile(filePath, 'utf-8')).map(record => record.name);
+    assert.deepStrictEqual(names, ['A', 'B', 'C']);
+  });
+
+  it('leaves the records unchanged when the write fails', async () => {
+    const store = new JsonFileStore(filePath);
+    const kept = await store.create({ name: 'Alex' });
+
+    // A directory in place of the file makes the rename fail
+    await fs.rm(filePath);
+    await fs.mkdir(filePath);
+    await assert.rejects(store.create({ name: 'Sam' }));
+    await assert.rejects(store.update(kept.id, { name: 'Sam' }));
+    await assert.rejects(store.remove(kept.id));
+    assert.deepStrictEqual(await store.list(), [kept]);
+
+    // Later changes still go through once the file can be written again
+    await fs.rm(filePath, { recursive: true });
+    await store.create({ name: 'Sam' });
+    assert.deepStrictEqual((await store.list()).map(record => record.name), ['Alex', 'Sam']);
+  });
+});
@@ -0,0 +1,60 @@
+// Tests for profile and plan validation
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const IllinoisAdapter = require('../../src/scraper/adapters/illinoisAdapter');
+const { normalizeProfile, normalizePlan } = require('../../src/store/records');
+
+const codePattern = new IllinoisAdapter().getCodePattern('');
+
+describe('normalizeProfile', () => {
+  it('normalizes course codes and drops unknown fields', () => {
+    const { profile, problems } = normalizeProfile({
+      name: ' Alex ',
+      completedCourses: ['cs 124', 'CS-124', 'CS124', 'math  221'],
+      inProgress: [{ term: 'Fall 2026', courses: ['cs 128'] }],
+      admin: true
+    }, codePattern);
+    assert.deepStrictEqual(problems, []);
+    assert.deepStrictEqual(profile, {
+      name: 'Alex',
+      completedCourses: ['CS 124', 'MATH 221'],
+      inProgress: [{ term: 'Fall 2026', courses: ['CS 128'] }]
+    });
+  });
+
+  it('rejects values that are not course codes in the catalog format', () => {
+    const { problems } = normalizeProfile({
+      name: 'Alex',
+      completedCourses: ['CS 124', '<img src=x onerror=alert(1)>'],
+      inProgress: [{ term: 'Fall 2026', courses: ['CS 1234'] }]
+    }, codePattern);
+    assert.deepStrictEqual(problems, [
+      '"completedCourses" has invalid course codes: "<IMG SRC=X ONERROR=ALERT(1)>"',
+      '"inProgress[0].courses" has invalid course codes: "CS 1234"'
+    ]);
+  });
+
+  it('reports a missing name and malformed lists', () => {
+    const { problems } = normalizeProfile({ completedCourses: 'CS 124', inProgress: [{ courses: [] }] }, codePattern);
+    assert.deepStrictEqual(problems, [
+      'missing "name"',
+      '"completedCourses" must be an array of course codes',
+      'inProgress[0]: missing "term" name'
+    ]);
+  });
+});
+
+describe('normalizePlan', () => {
+  it('validates each term and the profile id', () => {
+    const { plan, problems } = normalizePlan({
+      name: 'CS minor',
+      profileId: 42,
+      terms: [{ term: 'Spring 2027', courses: ['cs 225', 'CS225x'] }]
+    }, codePattern);
+    assert.strictEqual(plan.profileId, null);
+    assert.deepStrictEqual(problems, [
+      '"profileId" must be a string',
+      '"terms[0].courses" has invalid course codes: "CS225X"'
+    ]);
+  });
+});
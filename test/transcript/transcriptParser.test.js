@@ -0,0 +1,76 @@
+// Tests for the transcript parser, with plain-text and CSV transcripts
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const IllinoisAdapter = require('../../src/scraper/adapters/illinoisAdapter');
+const { parseTranscript } = require('../../src/transcript/transcriptParser');
+
+const options = {
+  codePattern: new IllinoisAdapter().getCodePattern(''),
+  knownCodes: new Set(['CS 124', 'CS 128', 'CS 173', 'CS 225', 'MATH 221', 'MATH 231', 'MATH 241'])
+};
+
+describe('parseTranscript', () => {
+  it('reads plain text with term headings', () => {
+    const result = parseTranscript([
+      'Fall 2023',
+      'CS 124    Intro to Computer Science I    A-    3.00',
+      'MATH 221  Calculus I                     B+    4.00',
+      'Term GPA: 3.50',
+      'Spring 2024 CS 128  Intro to Computer Science II  A  3.00',
+      'MATH 231  Calculus II  3.00  W'
+    ].join('\n'), options);
+
+    assert.deepStrictEqual(result.completedCourses, ['CS 124', 'MATH 221', 'CS 128']);
+    assert.deepStrictEqual(result.completed[0], {
+      term: 'Fall 2023',
+      code: 'CS 124',
+      title: 'Intro to Computer Science I',
+      grade: 'A-',
+      hours: 3
+    });
+    assert.strictEqual(result.completed[2].term, 'Spring 2024');
+    // Hours before the grade are read too
+    assert.deepStrictEqual(result.excluded.map(entry => [entry.code, entry.hours, entry.reason]), [['MATH 231', 3, 'withdrawn']]);
+  });
+
+  it('reads CSV with a header in any column order', () => {
+    const result = parseTranscript([
+      'Grade,Course,Course Title,Term,Credits',
+      'A,cs225,"Data Structures, Honors",Fall 2024,4',
+      'F,MATH 241,Calculus III,Fall 2024,4'
+    ].join('\n'), options);
+
+    assert.deepStrictEqual(result.completed, [
+      { term: 'Fall 2024', code: 'CS 225', title: 'Data Structures, Honors', grade: 'A', hours: 4 }
+    ]);
+    assert.deepStrictEqual(result.excluded.map(entry => entry.reason), ['failed']);
+  });
+
+  it('joins separate subject and number columns', () => {
+    const result = parseTranscript('Subject,Number,Grade\nCS,173,P\nMATH,241,IP', options);
+    assert.deepStrictEqual(result.completedCourses, ['CS 173']);
+    assert.deepStrictEqual(result.excluded.map(entry => [entry.code, entry.reason]), [['MATH 241', 'in progress']]);
+  });
+
+  it('assumes term, code, title, grade, hours without a header', () => {
+    const result = parseTranscript('Fall 2023,CS 124,Intro,A,3\nFall 2023,CS 128,Intro II,,3', options);
+    assert.deepStrictEqual(result.completedCourses, ['CS 124']);
+    assert.deepStrictEqual(result.excluded.map(entry => entry.reason), ['no grade']);
+  });
+
+  it('counts a retaken course once it has been passed', () => {
+    const result = parseTranscript('Fall 2023,CS 225,Data Structures,F,4\nSpring 2024,CS 225,Data Structures,B,4', options);
+    assert.deepStrictEqual(result.completedCourses, ['CS 225']);
+    assert.deepStrictEqual(result.excluded, []);
+  });
+
+  it('flags codes that are not in the catalog and reports unrecognized grades', () => {
+    const result = parseTranscript('Fall 2023,PHYS 211,Mechanics,A,4\nFall 2023,CS 173,Discrete,Z,3', options);
+    assert.deepStrictEqual(result.unmatched.map(entry => entry.code), ['PHYS 211']);
+    assert.deepStrictEqual(result.excluded.map(entry => entry.reason), ['unrecognized grade "Z"']);
+  });
+
+  it('returns empty lists for an empty transcript', () => {
+    assert.deepStrictEqual(parseTranscript('  \n', options), { completedCourses: [], completed: [], excluded: [], unmatched: [] });
+  });
+});